@@ -1,6 +1,12 @@
 import os
-import requests
+import re
 import json
+import socket
+import ipaddress
+import requests
+from requests.adapters import HTTPAdapter
+from urllib.parse import urljoin, urlparse
+from bs4 import BeautifulSoup
 from flask import Flask, request, Response, stream_with_context, jsonify
 from flask_cors import CORS
 
@@ -9,10 +15,32 @@ CORS(app)
 
 GROQ_KEY = os.getenv("GROQ_API_KEY", "").strip()
 
+# Global mode carries retrieved passages from across the book, so it gets more room
+CONTEXT_LIMITS = {'strict': 5000, 'global': 12000}
+
+# Conversation memory replayed from the client is trusted only up to these sizes
+MAX_HISTORY_TURNS = 20
+MAX_TURN_CHARS = 4000
+
+# Groq models the client may pick (src/lib/providers.js lists the same); the first is the default
+MODELS = ['deepseek-r1-distill-llama-70b', 'llama-3.3-70b-versatile', 'llama-3.1-8b-instant', 'qwen/qwen3-32b']
+
+
+def history_messages(history, summary):
+    messages = []
+    if summary:
+        messages.append({"role": "system", "content": f"Summary of the earlier conversation: {str(summary)[:MAX_TURN_CHARS]}"})
+    for turn in (history or [])[-MAX_HISTORY_TURNS:]:
+        role = turn.get('role') if isinstance(turn, dict) else None
+        content = str(turn.get('content', '')).strip() if role else ''
+        if role in ('user', 'assistant') and content:
+            messages.append({"role": role, "content": content[:MAX_TURN_CHARS]})
+    return messages
+
 @app.route('/api/chat', methods=['POST'])
 def chat_with_ai():
     if not GROQ_KEY:
-        def key_err(): yield f"data: {json.dumps({'error': 'GROQ_API_KEY missing'})}\n\n"
+        def key_err(): yield f"data: {json.dumps({'error': 'GROQ_API_KEY missing', 'status': 401})}\n\n"
         return Response(stream_with_context(key_err()), mimetype='text/event-stream')
 
     try:
@@ -21,32 +49,51 @@ def chat_with_ai():
         user_q = data.get('prompt', 'Hello')
         context = data.get('context', '')
         mode = data.get('mode', 'strict')
+        model = data.get('model') if data.get('model') in MODELS else MODELS[0]
+        history = history_messages(data.get('history'), data.get('memorySummary'))
+        context_limit = CONTEXT_LIMITS.get(mode, CONTEXT_LIMITS['strict'])
+        scope_rule = (
+            "Passages are tagged [Page N]; mention the page numbers you relied on."
+            if mode == 'global' else
+            "Only the current page is provided."
+        )
 
         def generate():
             # FIXED: Added missing comma in the payload and enabled stream: True
             payload = {
-                "model": "deepseek-r1-distill-llama-70b", # Fixed comma here
+                "model": model,
                 "messages": [
                     {
                         "role": "system", 
-                        "content": f"{sys_msg} RULE: Answer strictly based on manuscript. Use <think> tags."
+                        "content": f"{sys_msg} RULE: Answer strictly based on manuscript. {scope_rule} Use <think> tags."
                     },
+                    *history,
                     {
                         "role": "user", 
-                        "content": f"MANUSCRIPT:\n{context[:5000]}\n\nQUESTION: {user_q}"
+                        # Utility calls (e.g. memory summaries) send no manuscript
+                        "content": f"MANUSCRIPT:\n{context[:context_limit]}\n\nQUESTION: {user_q}" if context else user_q
                     }
                 ],
                 "temperature": 0.6,
                 "stream": True # CRITICAL for Vercel stability
             }
 
-            response = requests.post(
-                url="https://api.groq.com/openai/v1/chat/completions",
-                headers={"Authorization": f"Bearer {GROQ_KEY}", "Content-Type": "application/json"},
-                json=payload,
-                stream=True,
-                timeout=90 
-            )
+            try:
+                response = requests.post(
+                    url="https://api.groq.com/openai/v1/chat/completions",
+                    headers={"Authorization": f"Bearer {GROQ_KEY}", "Content-Type": "application/json"},
+                    json=payload,
+                    stream=True,
+                    timeout=90 
+                )
+            except requests.RequestException as e:
+                yield f"data: {json.dumps({'error': f'Model provider unreachable: {e}', 'status': 502})}\n\n"
+                return
+
+            # Pass the upstream status on so the client can retry throttling and outages
+            if response.status_code != 200:
+                yield f"data: {json.dumps({'error': f'Model provider returned {response.status_code}', 'status': response.status_code})}\n\n"
+                return
 
             for line in response.iter_lines():
                 if line:
@@ -63,3 +110,140 @@ def chat_with_ai():
 
     except Exception as e:
         return jsonify({"error": str(e)}), 500
+
+
+# --- URL IMPORT ---
+# Fetches a web page server-side (browsers can't read cross-origin pages) and
+# reduces it to readable article text plus the link to the next chapter.
+
+MAX_PAGE_BYTES = 5 * 1024 * 1024
+MAX_REDIRECTS = 5
+USER_AGENT = "NovelQuest/1.0 (+reader import)"
+BOILERPLATE_TAGS = ['script', 'style', 'noscript', 'iframe', 'nav', 'header', 'footer', 'aside', 'form', 'button', 'svg']
+BOILERPLATE_HINT = re.compile(r'nav|menu|footer|sidebar|comment|share|social|advert|promo|breadcrumb|related|cookie|banner|subscribe', re.I)
+NEXT_TEXT = re.compile(r'^\s*(next(\s+(chapter|part|page))?|›|»|→|>>)\s*[›»→>]*\s*$', re.I)
+
+
+class UnsafeUrl(Exception):
+    pass
+
+
+def resolve_public(url):
+    """(parsed URL, address to connect to) for an http(s) URL whose host resolves only to public addresses, else None."""
+    parsed = urlparse(url)
+    if parsed.scheme not in ('http', 'https') or not parsed.hostname:
+        return None
+    try:
+        infos = socket.getaddrinfo(parsed.hostname, parsed.port or 0, proto=socket.IPPROTO_TCP)
+        addresses = [ipaddress.ip_address(info[4][0]) for info in infos]
+    except (socket.gaierror, UnicodeError, ValueError):
+        return None
+    if not addresses or not all(a.is_global for a in addresses):
+        return None
+    return parsed, addresses[0]
+
+
+class PinnedHostAdapter(HTTPAdapter):
+    """Connects to an already checked address while TLS still verifies the certificate for the real hostname."""
+
+    def __init__(self, hostname):
+        self.hostname = hostname
+        super().__init__()
+
+    def init_poolmanager(self, *args, **kwargs):
+        kwargs['server_hostname'] = self.hostname
+        kwargs['assert_hostname'] = self.hostname
+        super().init_poolmanager(*args, **kwargs)
+
+
+def fetch_public(url):
+    """
+    GETs a public page, following redirects by hand so every hop is checked and
+    fetched from the address that was checked (no second DNS lookup to rebind).
+    Returns (final url, streamed response); raises UnsafeUrl for a refused URL.
+    """
+    for _ in range(MAX_REDIRECTS + 1):
+        target = resolve_public(url)
+        if not target:
+            raise UnsafeUrl("Enter a public http(s) URL")
+        parsed, address = target
+        host = f'[{address}]' if address.version == 6 else str(address)
+        pinned = parsed._replace(netloc=f'{host}:{parsed.port}' if parsed.port else host).geturl()
+        host_header = f'[{parsed.hostname}]' if ':' in parsed.hostname else parsed.hostname
+        session = requests.Session()
+        if parsed.scheme == 'https':
+            session.mount('https://', PinnedHostAdapter(parsed.hostname))
+        response = session.get(pinned, timeout=20, stream=True, allow_redirects=False, headers={
+            "User-Agent": USER_AGENT,
+            "Host": f'{host_header}:{parsed.port}' if parsed.port else host_header,
+        })
+        if not response.is_redirect:
+            return url, response
+        location = response.headers.get('Location', '')
+        response.close()
+        url = urljoin(url, location)
+    raise UnsafeUrl("Too many redirects")
+
+
+def find_next_link(soup, base_url):
+    link = soup.find(['link', 'a'], rel=lambda r: r and 'next' in r)
+    if not link:
+        link = next((a for a in soup.find_all('a', href=True) if NEXT_TEXT.match(a.get_text(' ', strip=True))), None)
+    if not link or not link.get('href'):
+        return None
+    target = urljoin(base_url, link['href'])
+    return target if target.split('#')[0] != base_url.split('#')[0] else None
+
+
+def extract_article(html, base_url):
+    soup = BeautifulSoup(html, 'html.parser')
+    next_url = find_next_link(soup, base_url)
+    title = soup.title.get_text(strip=True) if soup.title else ''
+
+    for tag in soup(BOILERPLATE_TAGS):
+        tag.decompose()
+    for tag in soup.find_all(lambda t: t.attrs is not None and BOILERPLATE_HINT.search(' '.join(t.get('class', [])) + ' ' + (t.get('id') or ''))):
+        tag.decompose()
+
+    # Prefer semantic containers, else the element holding the most paragraph text
+    root = soup.find('article') or soup.find('main')
+    if not root:
+        scores = {}
+        for p in soup.find_all('p'):
+            parent = p.parent
+            scores[parent] = scores.get(parent, 0) + len(p.get_text(strip=True))
+        root = max(scores, key=scores.get) if scores else (soup.body or soup)
+
+    heading = root.find(['h1', 'h2'])
+    if heading:
+        title = heading.get_text(' ', strip=True)
+    paragraphs = [
+        el.get_text(' ', strip=True)
+        for el in root.find_all(['p', 'h3', 'h4', 'blockquote', 'li', 'pre'])
+        if el.get_text(strip=True) and not el.find_parent(['p', 'blockquote', 'li'])
+    ]
+    if not paragraphs:
+        paragraphs = [line for line in root.get_text('\n', strip=True).split('\n') if line.strip()]
+    if heading and paragraphs and paragraphs[0] == title:
+        paragraphs = paragraphs[1:]
+    return {'title': title, 'paragraphs': paragraphs, 'next': next_url}
+
+
+# Each chapter the client follows comes back through here, so "next" links get the same checks
+@app.route('/api/import-url', methods=['POST'])
+def import_url():
+    body = request.get_json(silent=True)
+    url = body.get('url') if isinstance(body, dict) else None
+    if not isinstance(url, str):
+        return jsonify({"error": "Enter a public http(s) URL"}), 400
+    url = url.strip()
+    try:
+        final_url, response = fetch_public(url)
+        response.raise_for_status()
+        html = response.raw.read(MAX_PAGE_BYTES, decode_content=True)
+        encoding = response.encoding or response.apparent_encoding or 'utf-8'
+        return jsonify({"url": final_url, **extract_article(html.decode(encoding, errors='replace'), final_url)})
+    except UnsafeUrl as e:
+        return jsonify({"error": str(e)}), 400
+    except requests.RequestException as e:
+        return jsonify({"error": f"Fetch failed: {e}"}), 502
@@ -3,39 +3,90 @@ import {
   BookOpen, MessageSquare, Languages, FileUp, Link as LinkIcon, 
   Trash2, Send, Loader2, User, Clock, Cloud, CloudOff, Check, 
   LogOut, LogIn, Info, X, Layers, AlertCircle, Sun, Moon, Library,
-  RefreshCw, Sparkles, BrainCircuit, Quote, Wand2
+  RefreshCw, Sparkles, BrainCircuit, Quote, Wand2, Plus, Pencil, Download,
+  Bookmark, Highlighter, Users, Shield, History, Search, ChevronUp, ChevronDown, BarChart3, Timer,
+  Headphones, Play, Pause, SkipBack, SkipForward, Square, Volume2, Columns2,
+  BookA, GraduationCap, Eye, GitCompare, RotateCcw, ListChecks, Cpu,
+  CheckSquare, Tag, Folder, FolderPlus, ImagePlus, Undo2
 } from 'lucide-react';
 
 // Firebase Imports
-import { initializeApp, getApps, getApp } from 'firebase/app';
 import { 
-  getAuth, signInAnonymously, signInWithCustomToken, signInWithPopup, GoogleAuthProvider, 
+  signInAnonymously, signInWithCustomToken, signInWithPopup, GoogleAuthProvider, 
   onAuthStateChanged, signOut 
 } from 'firebase/auth';
-import { 
-  getFirestore, doc, setDoc, getDoc, collection, onSnapshot, addDoc, deleteDoc, query 
-} from 'firebase/firestore';
-
-/**
- * --- ENVIRONMENT CONFIGURATION ---
- */
-const firebaseConfig = {
-  apiKey: import.meta.env.VITE_FIREBASE_API_KEY,
-  authDomain: import.meta.env.VITE_FIREBASE_AUTH_DOMAIN,
-  projectId: import.meta.env.VITE_FIREBASE_PROJECT_ID,
-  storageBucket: import.meta.env.VITE_FIREBASE_STORAGE_BUCKET,
-  messagingSenderId: import.meta.env.VITE_FIREBASE_MESSAGING_SENDER_ID,
-  appId: import.meta.env.VITE_FIREBASE_APP_ID,
-};
+import { onSnapshot, setDoc } from 'firebase/firestore';
+import { auth, userCollection, userDoc } from './lib/firebase';
+import { saveSource, loadSourceContent, deleteSource, updateSourceText } from './lib/storage';
+import {
+  UNDO_MS, LIBRARY_SORTS, shelvesCollection, addShelf, renameShelf, deleteShelf, updateSources, booksLabel,
+  sourceTitle, sourceByline, parseTags, allTags, filterSources, sortSources, imageToCover
+} from './lib/library';
+import { readLocal, writeLocal, clearLocal } from './lib/localdb';
+import { queueWrite, watchSync, syncPendingWrites } from './lib/sync';
+import {
+  threadsCollection, createThread, saveThreadMessages, saveThreadMemory, renameThread, deleteThread, rememberThread,
+  threadToMarkdown
+} from './lib/threads';
+import { downloadFile, safeFilename } from './lib/download';
+import { manuscriptChapters } from './lib/exporters/manuscript';
+import { buildEpub } from './lib/exporters/epub';
+import { printChapters } from './lib/exporters/print';
+import { studyPackMarkdown } from './lib/exporters/studypack';
+import {
+  HIGHLIGHT_COLORS, colorById, annotationsCollection, addAnnotation, updateAnnotation, deleteAnnotation, anchorAnnotations
+} from './lib/annotations';
+import {
+  CODEX_KINDS, CODEX_BATCH_PAGES, CODEX_AUTO_BATCHES, codexCollection, codexRequest, mergeCodex, saveCodexEntry, deleteCodexEntry, setCodexProgress,
+  normalizeName
+} from './lib/codex';
+import { loadFurthestPages, saveFurthestPages, readsOn, READ_DWELL_MS, spoilerRule, guardLabel } from './lib/spoilers';
+import { deviceId, loadPositions, savePositions, saveReadingPosition, latestPosition, measurePosition } from './lib/progress';
+import {
+  DEFAULT_WPM, recentSessionsQuery, saveSession, advanceSession, resumeSession, summarizeStats, bookTimeline, formatDuration
+} from './lib/stats';
+import { summariesCollection, saveSummary, sectionRanges, sectionOfPage, summarizePages, summarizeSection, summarizeBook } from './lib/summaries';
+import {
+  LEARNED_DAYS, GRADES, vocabCollection, addVocab, updateVocab, deleteVocab, vocabKey, wordAt, sentenceAround, defineTerm,
+  reviewCard, dueCards, formatDue
+} from './lib/vocab';
+import {
+  revisionsCollection, newRevisionId, saveRevision, markRevisionGap, revisionEntry, oldestRestorable, applyEdit, applySplice, undoSplice, revisionState, diffWords, diffExcerpt
+} from './lib/revisions';
+import { continuityCollection, saveContinuity, issueKey, currentIssues, checkContinuity } from './lib/continuity';
+import {
+  weaverCollection, addBranches, updateBranch, deleteBranches, childBranches, subtreeIds, branchPath, promotionText, suggestBranches, draftBranch
+} from './lib/weaver';
+import { translationsCollection, saveTranslation, cachedTranslation, untranslatedPages, translatePages, translationToMarkdown } from './lib/translations';
 
-const appId = String(import.meta.env.VITE_APP_ID || 'novel-quest-v1').replace(/[^a-zA-Z0-9]/g, '_');
-
-// Initialize Firebase services
-const app = getApps().length === 0 ? initializeApp(firebaseConfig) : getApp();
-const auth = getAuth(app);
-const db = getFirestore(app);
+import { streamChat, splitThought, completeAi, parseJsonReply } from './lib/ai';
+import { PROVIDERS, loadAiSettings, saveAiSettings, modelLabel } from './lib/providers';
+import { toTurns, planHistory, summaryPrompt, SUMMARY_SYSTEM_PROMPT } from './lib/memory';
+import { buildContext } from './lib/retrieval';
+import { CITATION_RULE, extractCitations } from './lib/citations';
+import { segmentText, overlayRange, locateQuote } from './lib/highlight';
+import { layoutManuscript, pageOfOffset, findParagraphs } from './lib/layout';
+import { findInText, searchTexts } from './lib/search';
+import { isSpeechSupported, loadVoices, voiceFor, splitSpeech, speak } from './lib/speech';
+import { MAX_MATCHES } from './lib/find';
+import { importFile, acceptedTypes, importerLabels } from './lib/importers';
+import { ensurePdfJs } from './lib/importers/pdf';
+import { importFromUrl, DEFAULT_CHAPTER_LIMIT, MAX_CHAPTER_LIMIT } from './lib/importers/url';
 
 const WORDS_PER_PAGE = 275;
+// Offer a recap when a book is reopened after this long
+const RECAP_AFTER_MS = 12 * 60 * 60 * 1000;
+// An edited page saves once typing pauses this long
+const AUTOSAVE_MS = 1500;
+// Saves closer together than this extend the same revision
+const REVISION_GAP_MS = 5 * 60 * 1000;
+
+// Textareas grow with their content instead of scrolling
+const autoGrow = (el) => {
+  if (!el) return;
+  el.style.height = 'auto';
+  el.style.height = `${el.scrollHeight}px`;
+};
 
 const LANGUAGES = [
   { code: 'en', name: 'English' },
@@ -54,19 +105,21 @@ export default function App() {
   const [isSigningIn, setIsSigningIn] = useState(false);
   
   // --- PERSISTENT STATES ---
-  const [text, setText] = useState(() => localStorage.getItem('nq_text') || "");
+  const [text, setText] = useState(""); // restored from IndexedDB on mount
+  const [isTextRestored, setIsTextRestored] = useState(false);
   const [currentDocId, setCurrentDocId] = useState(() => localStorage.getItem('nq_doc_id') || null);
   const [currentDocName, setCurrentDocName] = useState(() => localStorage.getItem('nq_doc_name') || "Untitled Manuscript");
-  const [currentPage, setCurrentPage] = useState(() => Number(localStorage.getItem('nq_page')) || 0);
-  const [theme, setTheme] = useState(() => localStorage.getItem('nq_theme') || 'light');
-  const [chatHistory, setChatHistory] = useState(() => {
+  const [chapters, setChapters] = useState(() => {
     try {
-      const saved = localStorage.getItem('nq_chat');
-      return saved ? JSON.parse(saved) : [];
+      return JSON.parse(localStorage.getItem('nq_chapters') || '[]');
     } catch {
       return [];
     }
   });
+  const [currentPage, setCurrentPage] = useState(0); // restored from the saved reading position
+  const [theme, setTheme] = useState(() => localStorage.getItem('nq_theme') || 'light');
+  const [chatHistory, setChatHistory] = useState([]); // the active thread's messages, see lib/threads.js
+  const [isLocalChatRestored, setIsLocalChatRestored] = useState(false);
 
   // UI States
   const [activeTab, setActiveTab] = useState('library');
@@ -77,11 +130,121 @@ export default function App() {
   const [notification, setNotification] = useState(null);
   const [insightResult, setInsightResult] = useState("");
   const [insightType, setInsightType] = useState(null);
-  const [isPdfReady, setIsPdfReady] = useState(false);
+  const [insightLimit, setInsightLimit] = useState(null);
   const [selectedLang, setSelectedLang] = useState('hi');
   const [chatMode, setChatMode] = useState('strict'); 
+  const [activeCitation, setActiveCitation] = useState(null);
+  const [isUrlFormOpen, setIsUrlFormOpen] = useState(false);
+  const [importUrl, setImportUrl] = useState("");
+  const [chapterLimit, setChapterLimit] = useState(DEFAULT_CHAPTER_LIMIT);
+  const [importProgress, setImportProgress] = useState(null);
+  const [exportProgress, setExportProgress] = useState(null); // { label, done, total }
+  const [openingSourceId, setOpeningSourceId] = useState(null);
+  const [threads, setThreads] = useState([]);
+  const [activeThreadId, setActiveThreadId] = useState(null);
+  const [threadsSourceId, setThreadsSourceId] = useState(null); // source whose threads snapshot has arrived
+  const [annotations, setAnnotations] = useState([]);
+  const [selectionDraft, setSelectionDraft] = useState(null); // { page, start, end, quote, x, y }
+  const [draftNote, setDraftNote] = useState("");
+  const [editingAnnotation, setEditingAnnotation] = useState(null); // { id, note }
+  const [codexEntries, setCodexEntries] = useState([]);
+  const [codexStatus, setCodexStatus] = useState(null);
+  const [codexError, setCodexError] = useState(false);
+  const [codexAuto, setCodexAuto] = useState(() => localStorage.getItem('nq_codex_auto') !== 'off');
+  const [codexAutoRuns, setCodexAutoRuns] = useState(0); // automatic updates this session
+  const [codexFilter, setCodexFilter] = useState('all');
+  const [editingEntry, setEditingEntry] = useState(null); // form draft
+  const [spoilerGuard, setSpoilerGuard] = useState(() => localStorage.getItem('nq_spoiler_guard') === 'on');
+  const [furthestPages, setFurthestPages] = useState(loadFurthestPages); // { [sourceId]: page }
+  const [summaries, setSummaries] = useState({}); // { [key]: { hash, text } }
+  const [summaryStatus, setSummaryStatus] = useState(null);
+  const [recapOffer, setRecapOffer] = useState(false);
+  const [translations, setTranslations] = useState({}); // { [lang-page]: { hash, paragraphs } }
+  const [translationView, setTranslationView] = useState(false); // side by side in `selectedLang`
+  const [translationStatus, setTranslationStatus] = useState(null);
+  const [vocab, setVocab] = useState([]);
+  const [lookup, setLookup] = useState(null); // { page, term, sentence, x, y, status, ...definition }
+  const [vocabReveal, setVocabReveal] = useState(false);
+  const [tapToDefine, setTapToDefine] = useState(() => localStorage.getItem('nq_tap_define') === 'on');
+  const [searchQuery, setSearchQuery] = useState("");
+  const [searchScope, setSearchScope] = useState('book'); // 'book' | 'library'
+  const [matchCase, setMatchCase] = useState(false);
+  const [bookMatches, setBookMatches] = useState([]); // [{ start, end }] absolute offsets
+  const [activeMatch, setActiveMatch] = useState(-1);
+  const [libraryResults, setLibraryResults] = useState(null);
+  const [searchStatus, setSearchStatus] = useState(null);
+  const [syncState, setSyncState] = useState({ online: navigator.onLine, pending: false });
+  const [positions, setPositions] = useState(loadPositions); // { [sourceId]: reading position }
+  const [sessions, setSessions] = useState([]);
+  const [statsSourceId, setStatsSourceId] = useState(null); // timeline book; defaults to the open one
+  const [voices, setVoices] = useState([]);
+  const [ttsVoice, setTtsVoice] = useState(() => localStorage.getItem('nq_tts_voice') || '');
+  const [ttsRate, setTtsRate] = useState(() => Number(localStorage.getItem('nq_tts_rate')) || 1);
+  const [readAloud, setReadAloud] = useState(null); // { page, status: 'playing' | 'paused' }
+  const [spokenWord, setSpokenWord] = useState(null); // { page, start, end }
+  const [speakingMessageId, setSpeakingMessageId] = useState(null);
+  const [editDraft, setEditDraft] = useState(null); // { start, end, value, dirty }: the open editor over text[start, end)
+  const [editStatus, setEditStatus] = useState(null); // 'saving' | 'saved' | 'error'
+  const [revisions, setRevisions] = useState([]); // oldest first, see lib/revisions.js
+  const [revisionCompare, setRevisionCompare] = useState(null); // { index, against: 'previous' | 'current' }
+  const [weaverBranches, setWeaverBranches] = useState([]);
+  const [weaverSteer, setWeaverSteer] = useState("");
+  const [weaverStatus, setWeaverStatus] = useState(null);
+  const [openBranchId, setOpenBranchId] = useState(null); // branch whose draft is shown
+  const [promoting, setPromoting] = useState(null); // { id, page, after }: branch being inserted after paragraph `after`
+  const [continuity, setContinuity] = useState({}); // cache entries, see lib/continuity.js
+  const [continuityStatus, setContinuityStatus] = useState(null);
+  const [showSettledIssues, setShowSettledIssues] = useState(false);
+  const [aiSettings, setAiSettings] = useState(loadAiSettings); // see lib/providers.js
+  const [shelves, setShelves] = useState([]);
+  const [libraryView, setLibraryView] = useState(() => {
+    try {
+      return { shelf: 'all', tag: null, sort: 'added', ...JSON.parse(localStorage.getItem('nq_library_view') || '{}') };
+    } catch {
+      return { shelf: 'all', tag: null, sort: 'added' };
+    }
+  });
+  const [libraryQuery, setLibraryQuery] = useState("");
+  const [selectedSourceIds, setSelectedSourceIds] = useState(null); // ticked for a bulk action; null outside select mode
+  const [bulkTag, setBulkTag] = useState("");
+  const [sourceDraft, setSourceDraft] = useState(null); // { id, title, author, series, seriesNumber, tags, shelfId, cover } being edited
+  const [libraryUndo, setLibraryUndo] = useState(null); // label of the Library action that can still be undone
+  const [providerModels, setProviderModels] = useState(null); // models listed by an OpenAI-compatible server
   
   const isInitialLoad = useRef(true);
+  const importAbort = useRef(null);
+  const exportAbort = useRef(null);
+  const loadedThreadId = useRef(null); // thread whose messages are in chatHistory
+  const lastSavedChat = useRef("");
+  const isCreatingThread = useRef(false);
+  const isMigratingChat = useRef(false);
+  const previousDocId = useRef(currentDocId);
+  const localMemory = useRef({}); // conversation summaries for threads without a Firestore doc
+  const isCodexRunning = useRef(false);
+  const summaryAbort = useRef(null);
+  const localSummaries = useRef({}); // summary cache for manuscripts outside the Library
+  const translationAbort = useRef(null);
+  const lookupSeq = useRef(0); // latest lookup; replies to older ones are dropped
+  const findSeq = useRef(0); // latest find-in-book request; older replies are dropped
+  const findAnchor = useRef(null); // offset the next find should start from
+  const pendingJump = useRef(null); // { sourceId, offset } to show once a source opens
+  const readerRef = useRef(null);
+  const positionTimer = useRef({ local: null, remote: null });
+  const pendingPosition = useRef(null); // { uid, sourceId, position } not yet written to Firestore
+  const resumeChecked = useRef(null); // source whose synced position has been considered
+  const readingSession = useRef(null); // live session, see lib/stats.js
+  const lastActivity = useRef(Date.now());
+  const trackReadingRef = useRef(null);
+  const speechPlayback = useRef(null); // handle from lib/speech.js speak()
+  const speechChunk = useRef(null); // { page, offset } of the chunk being read
+  const revisionSession = useRef(null); // revision that recent autosaves extend
+  const editSaves = useRef({ queue: Promise.resolve(), pending: 0 }); // text saves, run in order
+  const loadedEdit = useRef(null); // `editedAt` of the text on screen
+  const weaverAbort = useRef(null);
+  const continuityAbort = useRef(null);
+  const aiAbort = useRef(null); // the chat reply being streamed
+  const pendingUndo = useRef(null); // { undo, commit, timer } behind `libraryUndo`
+  const purgedSources = useRef(new Set()); // deleted sources whose data is being removed
 
   // --- THEME ENGINE ---
   useEffect(() => {
@@ -97,27 +260,40 @@ export default function App() {
   }, [theme]);
 
   // --- PERSISTENCE SYNC ---
+  // The manuscript text lives in IndexedDB; older versions kept it in localStorage
+  useEffect(() => {
+    const legacy = localStorage.getItem('nq_text');
+    readLocal('current')
+      .then(saved => {
+        const restored = saved ?? legacy ?? "";
+        setText(prev => prev || restored);
+        if (legacy !== null) return writeLocal('current', restored).then(() => localStorage.removeItem('nq_text'));
+      })
+      .catch(err => {
+        console.error("Local restore error:", err);
+        if (legacy) setText(prev => prev || legacy);
+      })
+      .finally(() => setIsTextRestored(true));
+  }, []);
+
+  useEffect(() => {
+    if (!isTextRestored) return;
+    const timer = setTimeout(() => {
+      writeLocal('current', text).catch(err => console.error("Local save error:", err));
+    }, 500);
+    return () => clearTimeout(timer);
+  }, [text, isTextRestored]);
+
   useEffect(() => {
-    localStorage.setItem('nq_text', text);
     localStorage.setItem('nq_doc_id', currentDocId || "");
     localStorage.setItem('nq_doc_name', currentDocName);
-    localStorage.setItem('nq_chat', JSON.stringify(chatHistory));
-    localStorage.setItem('nq_page', currentPage.toString());
-  }, [text, currentDocId, currentDocName, chatHistory, currentPage]);
+    localStorage.setItem('nq_chapters', JSON.stringify(chapters));
+  }, [text, currentDocId, currentDocName, chapters]);
 
-  // --- PDF ENGINE LOADER ---
+  // --- PDF ENGINE PRELOAD ---
+  // Other formats parse in-browser; pdf.js comes from the CDN, so warm it up early.
   useEffect(() => {
-    if (window.pdfjsLib) {
-      setIsPdfReady(true);
-      return;
-    }
-    const script = document.createElement('script');
-    script.src = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.4.120/pdf.min.js';
-    script.onload = () => {
-      window.pdfjsLib.GlobalWorkerOptions.workerSrc = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.4.120/pdf.worker.min.js';
-      setIsPdfReady(true);
-    };
-    document.head.appendChild(script);
+    ensurePdfJs().catch(err => console.error("PDF engine load error:", err));
   }, []);
 
   // --- AUTH INITIALIZATION ---
@@ -143,13 +319,22 @@ export default function App() {
   }, []);
 
   // --- FIRESTORE SYNC ---
+  useEffect(() => watchSync(setSyncState), []);
+
+  // Writes queued offline in an earlier session replay once the user is known
+  useEffect(() => {
+    if (user) syncPendingWrites();
+  }, [user]);
+
   useEffect(() => {
     if (!user) return;
-    const sourcesRef = collection(db, 'artifacts', appId, 'users', user.uid, 'sources');
+    const sourcesRef = userCollection(user.uid, 'sources');
     const unsubscribe = onSnapshot(sourcesRef, 
       (snap) => {
         const docs = snap.docs.map(d => ({ id: d.id, ...d.data() }));
-        setSources(docs.sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0)));
+        // Deletions left unfinished when their undo window passed (e.g. the tab closed) complete now
+        purgeSources(user.uid, docs.filter(d => d.deletedAt && Date.now() - d.deletedAt > UNDO_MS).map(d => d.id));
+        setSources(docs.filter(d => !d.deletedAt).sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0)));
       },
       (error) => {
         console.error("Firestore sync error:", error);
@@ -158,15 +343,385 @@ export default function App() {
     return () => unsubscribe();
   }, [user]);
 
+  // --- CHAT THREADS ---
+  // Each source has its own threads; `chatHistory` mirrors the active one.
+  useEffect(() => {
+    setThreads([]);
+    setThreadsSourceId(null);
+    if (!user || !currentDocId) return;
+    const unsubscribe = onSnapshot(threadsCollection(user.uid, currentDocId),
+      (snap) => {
+        const docs = snap.docs.map(d => ({ id: d.id, ...d.data() }));
+        setThreads(docs.sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0)));
+        setThreadsSourceId(currentDocId);
+      },
+      (error) => console.error("Thread sync error:", error)
+    );
+    return () => unsubscribe();
+  }, [user, currentDocId]);
+
+  // Switching books must never carry the old conversation over
+  useEffect(() => {
+    if (previousDocId.current === currentDocId) return;
+    previousDocId.current = currentDocId;
+    loadedThreadId.current = null;
+    localMemory.current = {};
+    setActiveThreadId(null);
+    setChatHistory([]);
+  }, [currentDocId]);
+
+  // Restore the remembered (or most recent) thread once this book's threads arrive
+  useEffect(() => {
+    if (activeThreadId || !threads.length) return;
+    const remembered = sources.find(s => s.id === currentDocId)?.lastThreadId;
+    setActiveThreadId(threads.some(t => t.id === remembered) ? remembered : threads[0].id);
+  }, [threads, sources, currentDocId, activeThreadId]);
+
+  useEffect(() => {
+    if (!activeThreadId || loadedThreadId.current === activeThreadId) return;
+    const thread = threads.find(t => t.id === activeThreadId);
+    if (!thread) return;
+    loadedThreadId.current = activeThreadId;
+    lastSavedChat.current = JSON.stringify(thread.messages || []);
+    setChatHistory(thread.messages || []);
+    if (user && currentDocId) rememberThread(user.uid, currentDocId, activeThreadId).catch(err => console.error("Thread restore error:", err));
+  }, [activeThreadId, threads, user, currentDocId]);
+
+  // Save the active thread once streaming settles; the first message creates a thread
+  useEffect(() => {
+    if (!user || !currentDocId || chatHistory.some(m => m.isStreaming)) return;
+    if (!activeThreadId) {
+      // Until the book's threads have arrived, an existing thread may still be restored
+      if (threadsSourceId !== currentDocId || threads.length) return;
+      if (!chatHistory.length || isCreatingThread.current) return;
+      isCreatingThread.current = true;
+      createThread(user.uid, currentDocId, `Thread ${threads.length + 1}`, chatHistory)
+        .then(id => {
+          loadedThreadId.current = id;
+          lastSavedChat.current = JSON.stringify(chatHistory);
+          setActiveThreadId(id);
+        })
+        .catch(err => console.error("Thread create error:", err))
+        .finally(() => { isCreatingThread.current = false; });
+      return;
+    }
+    const serialized = JSON.stringify(chatHistory);
+    if (loadedThreadId.current !== activeThreadId || serialized === lastSavedChat.current) return;
+    const timer = setTimeout(() => {
+      lastSavedChat.current = serialized;
+      saveThreadMessages(user.uid, currentDocId, activeThreadId, chatHistory).catch(err => console.error("Thread save error:", err));
+    }, 800);
+    return () => clearTimeout(timer);
+  }, [chatHistory, activeThreadId, user, currentDocId, threads.length, threadsSourceId]);
+
+  // A manuscript outside the Library has no threads; its one chat is kept in IndexedDB
+  useEffect(() => {
+    setIsLocalChatRestored(false);
+    if (currentDocId) return;
+    let cancelled = false;
+    readLocal('chat')
+      .then(saved => { if (!cancelled && Array.isArray(saved)) setChatHistory(saved); })
+      .catch(err => console.error("Local chat restore error:", err))
+      .finally(() => { if (!cancelled) setIsLocalChatRestored(true); });
+    return () => { cancelled = true; };
+  }, [currentDocId]);
+
+  useEffect(() => {
+    if (currentDocId || !isLocalChatRestored || chatHistory.some(m => m.isStreaming)) return;
+    const timer = setTimeout(() => {
+      writeLocal('chat', chatHistory).catch(err => console.error("Local chat save error:", err));
+    }, 800);
+    return () => clearTimeout(timer);
+  }, [chatHistory, currentDocId, isLocalChatRestored]);
+
+  // Older versions kept the chat in localStorage: it becomes a thread of the open
+  // book (or the local chat), and the copy is only dropped once that is saved
+  useEffect(() => {
+    const legacy = localStorage.getItem('nq_chat');
+    if (legacy === null || isMigratingChat.current) return;
+    let messages = null;
+    try {
+      messages = JSON.parse(legacy);
+    } catch {
+      messages = null;
+    }
+    if (!Array.isArray(messages) || !messages.length) return localStorage.removeItem('nq_chat');
+    // A reply cut off mid-stream keeps what had arrived
+    const settled = messages.map(m => ({ ...m, isStreaming: false }));
+    let save;
+    if (!currentDocId) {
+      if (!isLocalChatRestored) return;
+      const merged = [...settled, ...chatHistory];
+      save = writeLocal('chat', merged).then(() => setChatHistory(merged));
+    } else {
+      // Wait for the book's threads so the restored one can be picked up like any other
+      if (!user || threadsSourceId !== currentDocId) return;
+      save = createThread(user.uid, currentDocId, 'Earlier chat', settled);
+    }
+    isMigratingChat.current = true;
+    save
+      .then(() => localStorage.removeItem('nq_chat'))
+      .catch(err => console.error("Chat migration error:", err))
+      .finally(() => { isMigratingChat.current = false; });
+  }, [user, currentDocId, threadsSourceId, isLocalChatRestored]);
+
   // --- READING ENGINE ---
-  const pages = useMemo(() => {
-    const words = text.split(/\s+/).filter(Boolean);
-    const res = [];
-    for (let i = 0; i < words.length; i += WORDS_PER_PAGE) {
-      res.push(words.slice(i, i + WORDS_PER_PAGE).join(" "));
+  const layout = useMemo(() => layoutManuscript(text, chapters, WORDS_PER_PAGE), [text, chapters]);
+
+  const pages = useMemo(() => (
+    layout.pages.length > 0 ? layout.pages : ["No manuscript loaded. Use the Library to upload a manuscript or start writing."]
+  ), [layout]);
+
+  const currentChapter = layout.toc[layout.pageChapters[currentPage]] || null;
+
+  // --- ANNOTATIONS ---
+  useEffect(() => {
+    setAnnotations([]);
+    if (!user || !currentDocId) return;
+    const unsubscribe = onSnapshot(annotationsCollection(user.uid, currentDocId),
+      (snap) => setAnnotations(snap.docs.map(d => ({ id: d.id, ...d.data() }))),
+      (error) => console.error("Annotation sync error:", error)
+    );
+    return () => unsubscribe();
+  }, [user, currentDocId]);
+
+  // Re-anchored against the current text on every layout change
+  const anchoredAnnotations = useMemo(
+    () => anchorAnnotations(annotations, text, layout.pages, layout.pageStarts),
+    [annotations, text, layout]
+  );
+
+  const highlightsByPage = useMemo(() => {
+    const map = new Map();
+    anchoredAnnotations.filter(a => a.type === 'highlight').forEach(a => a.ranges.forEach(r => {
+      if (!map.has(r.page)) map.set(r.page, []);
+      map.get(r.page).push({ start: r.start, end: r.end, kind: 'highlight', annotation: a });
+    }));
+    return map;
+  }, [anchoredAnnotations]);
+
+  const bookmarksByPage = useMemo(() => new Map(
+    anchoredAnnotations.filter(a => a.type === 'bookmark').map(a => [a.page, a])
+  ), [anchoredAnnotations]);
+
+  // --- CODEX ---
+  const currentSource = sources.find(s => s.id === currentDocId) || null;
+  const codexPage = currentSource?.codexPage ?? -1;
+
+  useEffect(() => {
+    setCodexEntries([]);
+    setCodexError(false);
+    if (!user || !currentDocId) return;
+    const unsubscribe = onSnapshot(codexCollection(user.uid, currentDocId),
+      (snap) => setCodexEntries(snap.docs.map(d => ({ id: d.id, ...d.data() }))),
+      (error) => console.error("Codex sync error:", error)
+    );
+    return () => unsubscribe();
+  }, [user, currentDocId]);
+
+  useEffect(() => {
+    localStorage.setItem('nq_codex_auto', codexAuto ? 'on' : 'off');
+  }, [codexAuto]);
+
+  // --- SPOILER GUARD ---
+  // Furthest page reached, kept locally and on the source document
+  const furthestPage = Math.max(furthestPages[currentDocId || 'local'] ?? 0, currentSource?.furthestPage ?? 0);
+  const spoilerLimit = spoilerGuard && text && furthestPage < pages.length - 1 ? furthestPage : null;
+
+  useEffect(() => {
+    localStorage.setItem('nq_spoiler_guard', spoilerGuard ? 'on' : 'off');
+  }, [spoilerGuard]);
+
+  useEffect(() => {
+    const key = currentDocId || 'local';
+    if (isInitialLoad.current || !text || !readsOn(furthestPage, currentPage)) return;
+    const timer = setTimeout(() => {
+      const next = { ...furthestPages, [key]: currentPage };
+      setFurthestPages(next);
+      saveFurthestPages(next);
+    }, READ_DWELL_MS);
+    return () => clearTimeout(timer);
+  }, [currentPage, currentDocId, text, furthestPages, furthestPage]);
+
+  useEffect(() => {
+    if (!user || !currentDocId || furthestPage <= (currentSource?.furthestPage ?? -1)) return;
+    const timer = setTimeout(() => {
+      queueWrite(setDoc(userDoc(user.uid, 'sources', currentDocId), { furthestPage }, { merge: true }))
+        .catch(err => console.error("Progress sync error:", err));
+    }, 2000);
+    return () => clearTimeout(timer);
+  }, [user, currentDocId, furthestPage, currentSource?.furthestPage]);
+
+  // --- SUMMARIES ---
+  // Page summaries roll up into one summary per chapter (or block of pages)
+  const sections = useMemo(() => sectionRanges(layout.toc, layout.pages.length), [layout]);
+
+  useEffect(() => {
+    setSummaries({});
+    if (!user || !currentDocId) return;
+    const unsubscribe = onSnapshot(summariesCollection(user.uid, currentDocId),
+      (snap) => setSummaries(Object.fromEntries(snap.docs.map(d => [d.id, d.data()]))),
+      (error) => console.error("Summary sync error:", error)
+    );
+    return () => unsubscribe();
+  }, [user, currentDocId]);
+
+  // A running summary belongs to the book it was started on
+  useEffect(() => () => summaryAbort.current?.abort(), [currentDocId]);
+
+  // --- TRANSLATION ---
+  // Whole pages are translated paragraph by paragraph and cached per language
+  useEffect(() => {
+    setTranslations({});
+    if (!user || !currentDocId) return;
+    const unsubscribe = onSnapshot(translationsCollection(user.uid, currentDocId),
+      (snap) => setTranslations(Object.fromEntries(snap.docs.map(d => [d.id, d.data()]))),
+      (error) => console.error("Translation sync error:", error)
+    );
+    return () => unsubscribe();
+  }, [user, currentDocId]);
+
+  useEffect(() => () => translationAbort.current?.abort(), [currentDocId]);
+
+  const translationLanguage = LANGUAGES.find(l => l.code === selectedLang) || { code: selectedLang, name: selectedLang };
+
+  // Only worked out while the side-by-side view is open
+  const paragraphsByPage = useMemo(() => (translationView ? layout.pages.map(findParagraphs) : []), [layout, translationView]);
+  const translatedPages = useMemo(() => (
+    translationView ? layout.pages.map((_, i) => cachedTranslation(translations, layout.pages, selectedLang, i)) : []
+  ), [layout, translations, selectedLang, translationView]);
+  const missingTranslations = useMemo(() => (
+    activeTab === 'insights' ? untranslatedPages(translations, layout.pages, selectedLang).length : 0
+  ), [activeTab, layout, translations, selectedLang]);
+
+  // --- VOCABULARY ---
+  // Lookups explain a word in its sentence; saved words go into an SM-2 review deck
+  useEffect(() => {
+    setVocab([]);
+    if (!user) return;
+    const unsubscribe = onSnapshot(vocabCollection(user.uid),
+      (snap) => setVocab(snap.docs.map(d => ({ id: d.id, ...d.data() }))),
+      (error) => console.error("Vocabulary sync error:", error)
+    );
+    return () => unsubscribe();
+  }, [user]);
+
+  useEffect(() => {
+    localStorage.setItem('nq_tap_define', tapToDefine ? 'on' : 'off');
+  }, [tapToDefine]);
+
+  const vocabKeys = useMemo(() => new Set(vocab.map(c => vocabKey(c.term))), [vocab]);
+  const dueVocab = activeTab === 'vocab' ? dueCards(vocab) : [];
+  const nextCard = dueVocab[0] || null;
+  const nextCardTermAt = nextCard ? nextCard.sentence.toLowerCase().indexOf(nextCard.term.toLowerCase()) : -1;
+
+  // Explains `start`–`end` of page `page` (page-relative offsets) in a popover at `x`, `y`
+  const openLookup = async ({ page, start, end, x, y }) => {
+    const pageText = layout.pages[page] || '';
+    const term = pageText.slice(start, end).trim();
+    if (!term) return;
+    if (term.length > 80) return notify("Select a word or short phrase", "info");
+    const sentence = sentenceAround(pageText, start, end);
+    const seq = ++lookupSeq.current;
+    setSelectionDraft(null);
+    setLookup({ page, term, sentence, x, y, status: 'loading' });
+    try {
+      const result = await defineTerm(completeAi, { term, sentence, language: translationLanguage });
+      if (seq === lookupSeq.current) setLookup(l => l && { ...l, ...result, status: 'done' });
+    } catch (err) {
+      console.error("Lookup error:", err);
+      if (seq === lookupSeq.current) setLookup(l => l && { ...l, status: 'error' });
+    }
+  };
+
+  const closeLookup = () => {
+    lookupSeq.current += 1;
+    setLookup(null);
+  };
+
+  const saveLookup = async () => {
+    if (lookup?.status !== 'done') return;
+    if (!user) return notify("Sign in to keep a vocabulary deck", "error");
+    const { term, lemma, partOfSpeech, definition, translation, sentence, page } = lookup;
+    try {
+      await addVocab(user.uid, {
+        term, lemma, partOfSpeech, definition, translation, sentence, page, lang: selectedLang,
+        sourceId: currentDocId || null, sourceName: currentDocName
+      });
+      notify(`Saved "${term}"`, "success");
+      closeLookup();
+    } catch (err) {
+      console.error("Vocabulary save error:", err);
+      notify("Could not save word", "error");
+    }
+  };
+
+  const gradeCard = async (card, quality) => {
+    setVocabReveal(false);
+    try {
+      await updateVocab(user.uid, card.id, { ...reviewCard(card, quality), lastReviewedAt: Date.now() });
+    } catch (err) {
+      console.error("Review save error:", err);
+      notify("Could not save review", "error");
+    }
+  };
+
+  const removeVocab = async (card) => {
+    try {
+      await deleteVocab(user.uid, card.id);
+    } catch (err) {
+      console.error("Vocabulary delete error:", err);
+      notify("Could not delete word", "error");
+    }
+  };
+
+  // --- SEARCH ---
+  // Find-in-book reruns as the query changes and starts from the page on screen
+  useEffect(() => {
+    const query = searchQuery.trim();
+    if (searchScope !== 'book' || !query || !text) {
+      setBookMatches([]);
+      setActiveMatch(-1);
+      return;
     }
-    return res.length > 0 ? res : ["No manuscript loaded. Use the Library to upload a PDF or start writing."];
-  }, [text]);
+    const seq = ++findSeq.current;
+    const timer = setTimeout(async () => {
+      try {
+        const matches = await findInText({ sourceId: currentDocId || 'local', text, chapters }, query, { caseSensitive: matchCase });
+        if (seq !== findSeq.current) return;
+        const anchor = findAnchor.current ?? layout.pageStarts[currentPage] ?? 0;
+        findAnchor.current = null;
+        setBookMatches(matches);
+        setActiveMatch(matches.length ? Math.max(matches.findIndex(m => m.start >= anchor), 0) : -1);
+      } catch (err) {
+        console.error("Search error:", err);
+      }
+    }, 150);
+    return () => clearTimeout(timer);
+  }, [searchQuery, searchScope, matchCase, text, chapters, currentDocId]);
+
+  // Matches split into per-page ranges, shown while the search panel is open
+  const searchByPage = useMemo(() => {
+    const map = new Map();
+    if (activeTab !== 'search') return map;
+    bookMatches.forEach((m, index) => {
+      for (let p = pageOfOffset(layout.pageStarts, m.start); p < layout.pages.length && layout.pageStarts[p] < m.end; p++) {
+        if (!map.has(p)) map.set(p, []);
+        map.get(p).push({
+          start: Math.max(m.start - layout.pageStarts[p], 0), end: Math.min(m.end - layout.pageStarts[p], layout.pages[p].length),
+          kind: 'search', active: index === activeMatch
+        });
+      }
+    });
+    return map;
+  }, [bookMatches, activeMatch, activeTab, layout]);
+
+  useEffect(() => {
+    if (activeTab !== 'search' || activeMatch < 0) return;
+    document.querySelector('[data-search-active]')?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }, [activeMatch, bookMatches, activeTab]);
+
+  const stepMatch = (dir) => setActiveMatch(i => (bookMatches.length ? (i + dir + bookMatches.length) % bookMatches.length : -1));
 
   const readProgress = useMemo(() => {
     if (pages.length <= 1 || !text) return 0;
@@ -190,169 +745,1474 @@ export default function App() {
   }, [pages]);
 
   // Restore Last Visited Page
+  // Resumes from whichever device read this book last; search hits take precedence
   useEffect(() => {
-    if (pages.length > 0 && isInitialLoad.current) {
-      const savedPage = Number(localStorage.getItem('nq_page')) || 0;
-      const safePage = Math.min(savedPage, pages.length - 1);
+    if (pages.length > 0 && isInitialLoad.current && isTextRestored) {
+      const jump = pendingJump.current?.sourceId === currentDocId ? pendingJump.current : null;
+      pendingJump.current = null;
+      const remote = currentSource?.reading;
+      const saved = latestPosition(positions[currentDocId || 'local'], remote);
+      if (currentSource) resumeChecked.current = currentDocId;
+      // Versions before per-book positions kept one page number for every book
+      const legacyPage = Math.min(Number(localStorage.getItem('nq_page')) || 0, pages.length - 1);
       setTimeout(() => {
-        scrollToPage(safePage);
+        if (jump) scrollToOffset(jump.offset);
+        else if (saved) scrollToOffset(saved.offset ?? layout.pageStarts[saved.page] ?? 0);
+        else scrollToPage(legacyPage);
+        if (!jump && saved && saved === remote && remote.device !== deviceId) notify(`Resumed on page ${remote.page + 1} from your other device`);
+        localStorage.removeItem('nq_page');
         isInitialLoad.current = false;
       }, 800);
     }
-  }, [pages]);
+  }, [pages, isTextRestored]);
 
-  // --- INTEGRATED: FIXED STREAMING AI ENGINE ---
-  const callAi = async (prompt, systemPrompt = "You are a helpful scholarly assistant.") => {
-    setIsAiLoading(true);
-    const botMsgId = Date.now();
-    
-    // Add streaming placeholder
-    setChatHistory(prev => [...prev, { 
-      id: botMsgId, role: 'bot', content: '', thought: '', isStreaming: true 
-    }]);
+  // --- READING POSITION ---
+  const progressOf = (s) => latestPosition(positions[s.id], s.reading)?.percent ?? 0;
 
-    let finalAnswer = "";
+  // Books started but not finished, most recently read first
+  const continueReading = useMemo(() => sources
+    .map(s => ({ source: s, position: latestPosition(positions[s.id], s.reading) }))
+    .filter(({ position }) => position && position.percent < 100)
+    .sort((a, b) => (b.position.updatedAt || 0) - (a.position.updatedAt || 0))
+    .slice(0, 3), [sources, positions]);
+
+  useEffect(() => {
+    savePositions(positions);
+  }, [positions]);
+
+  // --- LIBRARY ---
+  useEffect(() => {
+    setShelves([]);
+    if (!user) return;
+    const unsubscribe = onSnapshot(shelvesCollection(user.uid),
+      (snap) => setShelves(snap.docs.map(d => ({ id: d.id, ...d.data() })).sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0))),
+      (error) => console.error("Shelves sync error:", error)
+    );
+    return () => unsubscribe();
+  }, [user]);
+
+  useEffect(() => {
+    localStorage.setItem('nq_library_view', JSON.stringify(libraryView));
+  }, [libraryView]);
+
+  const shelfIds = useMemo(() => new Set(shelves.map(sh => sh.id)), [shelves]);
+  const libraryTags = useMemo(() => allTags(sources), [sources]);
+  // A shelf or tag that has since disappeared falls back to showing everything
+  const activeShelf = libraryView.shelf === 'all' || libraryView.shelf === 'none' || shelfIds.has(libraryView.shelf) ? libraryView.shelf : 'all';
+  const activeTag = libraryTags.includes(libraryView.tag) ? libraryView.tag : null;
+  const currentShelf = shelves.find(sh => sh.id === activeShelf) || null;
+  const librarySources = useMemo(() => sortSources(
+    filterSources(sources, { shelf: activeShelf, tag: activeTag, query: libraryQuery }, shelfIds), libraryView.sort, progressOf
+  ), [sources, activeShelf, activeTag, libraryQuery, shelfIds, libraryView.sort, positions]);
+
+  const settleUndo = () => {
+    const entry = pendingUndo.current;
+    if (!entry) return;
+    clearTimeout(entry.timer);
+    pendingUndo.current = null;
+    setLibraryUndo(null);
+    entry.commit?.();
+  };
+
+  // Offers to undo a Library action for UNDO_MS; `commit` runs once it can no longer be undone
+  const offerUndo = (label, undo, commit = null) => {
+    settleUndo();
+    pendingUndo.current = { undo, commit, timer: setTimeout(settleUndo, UNDO_MS) };
+    setLibraryUndo(label);
+  };
 
+  const undoLibraryAction = async () => {
+    const entry = pendingUndo.current;
+    if (!entry) return;
+    clearTimeout(entry.timer);
+    pendingUndo.current = null;
+    setLibraryUndo(null);
     try {
-      const response = await fetch("/api/chat", {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ 
-          prompt, 
-          systemPrompt,
-          context: pages[currentPage] || "", 
-          mode: chatMode 
-        })
-      });
+      await entry.undo();
+    } catch (err) {
+      console.error("Undo error:", err);
+      notify("Undo failed", "error");
+    }
+  };
 
-      // Handle 404 or 504 errors before parsing JSON
-      if (!response.ok) {
-        const errText = await response.text();
-        throw new Error(`Server connection failed. ${errText.substring(0, 30)}...`);
-      }
+  // Removes sources marked as deleted, along with everything stored beneath them
+  const purgeSources = (uid, ids) => ids.forEach(id => {
+    if (purgedSources.current.has(id)) return;
+    purgedSources.current.add(id);
+    deleteSource(uid, id).catch(err => {
+      purgedSources.current.delete(id);
+      console.error("Delete source error:", err);
+      notify("Delete failed", "error");
+    });
+  });
 
-      // STREAM READER: Replaces .json() to prevent "Unexpected end of input"
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
-      let fullContent = "";
-
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
-
-        const chunk = decoder.decode(value);
-        const lines = chunk.split('\n\n'); // Split by Server-Sent Event boundary
-
-        lines.forEach(line => {
-          if (!line.startsWith('data: ')) return;
-          try {
-            const data = JSON.parse(line.replace('data: ', ''));
-            const token = data.token;
-            if (!token) return;
-            
-            fullContent += token;
-
-            // Chain of Thought separation for DeepSeek
-            let thought = "";
-            let answer = fullContent;
-            if (fullContent.includes("<think>")) {
-              const parts = fullContent.split("</think>");
-              thought = parts[0].replace("<think>", "").trim();
-              answer = parts[1] ? parts[1].trim() : "";
-            }
+  // Applies `changesFor(source)` to the sources in `ids` and offers to put the old values back
+  const updateLibrary = async (ids, label, changesFor, commit = null) => {
+    const targets = sources.filter(s => ids.includes(s.id));
+    if (!targets.length) return;
+    const changes = new Map(targets.map(s => [s.id, changesFor(s)]));
+    const previous = new Map(targets.map(s => [s.id, Object.fromEntries(Object.keys(changes.get(s.id)).map(k => [k, s[k] ?? null]))]));
+    try {
+      await updateSources(user.uid, [...changes.keys()], id => changes.get(id));
+      offerUndo(label, () => updateSources(user.uid, [...previous.keys()], id => previous.get(id)), commit);
+    } catch (err) {
+      console.error("Library update error:", err);
+      notify("Could not update the Library", "error");
+    }
+  };
 
-            finalAnswer = answer; 
+  // Leaves the reader empty; per-book state (threads, notes, codex…) resets with the doc id
+  const closeBook = () => {
+    setEditDraft(null);
+    setText("");
+    setChapters([]);
+    setCurrentDocName("Untitled Manuscript");
+    setCurrentDocId(null);
+    setCurrentPage(0);
+  };
 
-            setChatHistory(prev => prev.map(msg => 
-              msg.id === botMsgId ? { ...msg, content: answer, thought: thought } : msg
-            ));
-          } catch (e) {
-            // Partial JSON packet; skip until next chunk
-          }
-        });
-      }
-      return finalAnswer; 
+  const handleDeleteSources = async (ids) => {
+    const uid = user.uid;
+    // Nothing may keep writing under a book that is about to be purged
+    if (ids.includes(currentDocId)) closeBook();
+    await updateLibrary(ids, `Deleted ${booksLabel(ids.length)}`, () => ({ deletedAt: Date.now() }), () => purgeSources(uid, ids));
+    setSelectedSourceIds(sel => sel && sel.filter(id => !ids.includes(id)));
+  };
+
+  const moveSources = (ids, shelfId) => {
+    const shelf = shelves.find(sh => sh.id === shelfId);
+    return updateLibrary(ids, shelf ? `Moved ${booksLabel(ids.length)} to ${shelf.name}` : `Unshelved ${booksLabel(ids.length)}`, () => ({ shelfId }));
+  };
+
+  const tagSources = (ids, input, add) => {
+    const [tag] = parseTags(input);
+    if (!tag) return;
+    setBulkTag("");
+    const key = tag.toLowerCase();
+    return updateLibrary(ids, add ? `Tagged ${booksLabel(ids.length)} "${tag}"` : `Removed "${tag}" from ${booksLabel(ids.length)}`, s => ({
+      tags: add ? parseTags([...(s.tags || []), tag].join(',')) : (s.tags || []).filter(t => t.toLowerCase() !== key)
+    }));
+  };
+
+  const toggleSourceSelected = (id) =>
+    setSelectedSourceIds(sel => (sel.includes(id) ? sel.filter(x => x !== id) : [...sel, id]));
+
+  const handleNewShelf = async () => {
+    const name = prompt("Shelf name")?.trim();
+    if (!name || !user) return;
+    try {
+      const id = await addShelf(user.uid, name);
+      setLibraryView(v => ({ ...v, shelf: id }));
     } catch (err) {
-      console.error("AI Proxy Error:", err);
-      notify("AI connection timed out.", "error");
-      setChatHistory(prev => prev.filter(m => m.id !== botMsgId));
-      return "";
-    } finally {
-      setIsAiLoading(false);
-      setChatHistory(prev => prev.map(msg => 
-        msg.id === botMsgId ? { ...msg, isStreaming: false } : msg
-      ));
+      console.error("Shelf create error:", err);
+      notify("Could not create shelf", "error");
     }
   };
 
-  // --- UI HANDLERS ---
-  const scrollToPage = (index) => {
-    const el = document.getElementById(`page-${index}`);
-    if (el) el.scrollIntoView({ behavior: 'smooth', block: 'start' });
-    if (window.innerWidth < 768) setIsSidebarOpen(false);
+  const handleRenameShelf = async (shelf) => {
+    const name = prompt("Rename shelf", shelf.name)?.trim();
+    if (!name || name === shelf.name) return;
+    try {
+      await renameShelf(user.uid, shelf.id, name);
+    } catch (err) {
+      console.error("Shelf rename error:", err);
+      notify("Rename failed", "error");
+    }
   };
 
-  const handleFileUpload = async (e) => {
+  // Books on a deleted shelf stay in the Library, unshelved
+  const handleDeleteShelf = async (shelf) => {
+    const books = sources.filter(s => s.shelfId === shelf.id).map(s => s.id);
+    if (!confirm(books.length ? `Delete the shelf "${shelf.name}"? Its ${booksLabel(books.length)} will stay in the Library.` : `Delete the shelf "${shelf.name}"?`)) return;
+    try {
+      await deleteShelf(user.uid, shelf.id);
+      await updateSources(user.uid, books, { shelfId: null });
+      setLibraryView(v => ({ ...v, shelf: 'all' }));
+    } catch (err) {
+      console.error("Shelf delete error:", err);
+      notify("Could not delete shelf", "error");
+    }
+  };
+
+  const startEditingSource = (s) => setSourceDraft({
+    id: s.id, title: sourceTitle(s), author: s.author || '', series: s.series || '', seriesNumber: s.seriesNumber ?? '',
+    tags: (s.tags || []).join(', '), shelfId: shelfIds.has(s.shelfId) ? s.shelfId : '', cover: s.cover || null
+  });
+
+  const saveSourceDraft = async () => {
+    const d = sourceDraft;
+    const number = parseFloat(d.seriesNumber);
+    const changes = {
+      title: d.title.trim() || null, author: d.author.trim() || null, series: d.series.trim() || null,
+      seriesNumber: d.series.trim() && Number.isFinite(number) ? number : null,
+      tags: parseTags(d.tags), shelfId: d.shelfId || null, cover: d.cover || null
+    };
+    try {
+      await updateSources(user.uid, [d.id], changes);
+      if (d.id === currentDocId) setCurrentDocName(sourceTitle({ ...currentSource, ...changes }));
+      setSourceDraft(null);
+    } catch (err) {
+      console.error("Library update error:", err);
+      notify("Could not save details", "error");
+    }
+  };
+
+  const handleCoverUpload = async (e) => {
     const file = e.target.files[0];
-    if (!file || !user || !isPdfReady) return notify("PDF engine not ready", "error");
-    setIsAiLoading(true);
+    e.target.value = "";
+    if (!file) return;
     try {
-      const buf = await file.arrayBuffer();
-      const pdf = await window.pdfjsLib.getDocument({ data: buf }).promise;
-      let fullText = "";
-      for (let i = 1; i <= Math.min(pdf.numPages, 100); i++) {
-        const page = await pdf.getPage(i);
-        const content = await page.getTextContent();
-        fullText += content.items.map(item => item.str).join(' ') + '\n';
+      const cover = await imageToCover(file);
+      setSourceDraft(d => d && { ...d, cover });
+    } catch (err) {
+      console.error("Cover error:", err);
+      notify("That image could not be read", "error");
+    }
+  };
+
+  // Firestore gets the position a few seconds after scrolling stops, or right away when the tab is hidden
+  const flushPosition = () => {
+    const pending = pendingPosition.current;
+    if (!pending) return;
+    pendingPosition.current = null;
+    saveReadingPosition(pending.uid, pending.sourceId, pending.position)
+      .catch(err => console.error("Progress sync error:", err));
+  };
+
+  useEffect(() => {
+    const onHide = () => document.visibilityState === 'hidden' && flushPosition();
+    document.addEventListener('visibilitychange', onHide);
+    return () => document.removeEventListener('visibilitychange', onHide);
+  }, []);
+
+  const recordPosition = () => {
+    const reader = readerRef.current;
+    if (!reader || !text || isInitialLoad.current) return;
+    const position = measurePosition(reader, layout.pageStarts, layout.pages);
+    setPositions(prev => ({ ...prev, [currentDocId || 'local']: position }));
+    if (!user || !currentDocId) return;
+    if (pendingPosition.current?.sourceId !== currentDocId) flushPosition();
+    pendingPosition.current = { uid: user.uid, sourceId: currentDocId, position };
+    clearTimeout(positionTimer.current.remote);
+    positionTimer.current.remote = setTimeout(flushPosition, 3000);
+  };
+
+  const handleReaderScroll = () => {
+    lastActivity.current = Date.now();
+    if (selectionDraft) setSelectionDraft(null);
+    if (lookup) closeLookup();
+    clearTimeout(positionTimer.current.local);
+    positionTimer.current.local = setTimeout(recordPosition, 800);
+  };
+
+  // The Library snapshot can arrive after the book is already on screen
+  useEffect(() => {
+    const remote = currentSource?.reading;
+    if (!remote || !currentDocId || isInitialLoad.current || resumeChecked.current === currentDocId) return;
+    resumeChecked.current = currentDocId;
+    if (remote.device === deviceId || (remote.updatedAt || 0) <= (positions[currentDocId]?.updatedAt || 0)) return;
+    scrollToOffset(remote.offset ?? 0);
+    notify(`Resumed on page ${remote.page + 1} from your other device`);
+  }, [currentSource?.reading, currentDocId]);
+
+  // --- READING STATS ---
+  // Sessions are built from the same page tracking that drives `currentPage`
+  const pageWords = useMemo(() => layout.pages.map(p => (p.match(/\S+/g) || []).length), [layout]);
+
+  useEffect(() => {
+    setSessions([]);
+    if (!user) return;
+    const unsubscribe = onSnapshot(recentSessionsQuery(user.uid),
+      (snap) => setSessions(snap.docs.map(d => ({ id: d.id, ...d.data() }))),
+      (error) => console.error("Stats sync error:", error)
+    );
+    return () => unsubscribe();
+  }, [user]);
+
+  const trackReading = () => {
+    if (!user || !currentDocId || !text || isInitialLoad.current) return;
+    const before = readingSession.current;
+    const { session, ended } = advanceSession(before, {
+      uid: user.uid, sourceId: currentDocId, sourceName: currentDocName, page: currentPage,
+      pageWords, now: Date.now(), lastActivity: lastActivity.current
+    });
+    readingSession.current = session;
+    const persist = (s) => saveSession(user.uid, s).catch(err => console.error("Stats save error:", err));
+    if (ended?.activeMs > 0) persist(ended);
+    if (session.activeMs > (before?.activeMs ?? 0) || session.words !== before?.words) persist(session);
+  };
+  trackReadingRef.current = trackReading;
+
+  useEffect(() => {
+    trackReadingRef.current();
+  }, [currentPage, currentDocId, text]);
+
+  // Ticks while the tab is visible; hidden time is never credited
+  useEffect(() => {
+    const timer = setInterval(() => document.visibilityState === 'visible' && trackReadingRef.current(), 30000);
+    const markActive = () => { lastActivity.current = Date.now(); };
+    const onVisibility = () => {
+      if (document.visibilityState === 'hidden') return trackReadingRef.current();
+      markActive();
+      readingSession.current = resumeSession(readingSession.current, Date.now());
+    };
+    const activity = ['keydown', 'pointerdown', 'pointermove', 'wheel'];
+    activity.forEach(type => window.addEventListener(type, markActive, { passive: true }));
+    document.addEventListener('visibilitychange', onVisibility);
+    return () => {
+      clearInterval(timer);
+      activity.forEach(type => window.removeEventListener(type, markActive));
+      document.removeEventListener('visibilitychange', onVisibility);
+    };
+  }, []);
+
+  const readingStats = useMemo(() => summarizeStats(sessions), [sessions]);
+  const readingSpeedWpm = readingStats.speed || DEFAULT_WPM;
+  const timeline = useMemo(() => bookTimeline(sessions, statsSourceId || currentDocId), [sessions, statsSourceId, currentDocId]);
+
+  // Words from the top of the current page to the end of its chapter and of the book
+  const wordsLeft = useMemo(() => {
+    const nextChapter = layout.toc.find(c => c.page > currentPage)?.page ?? pageWords.length;
+    const sum = (from, to) => pageWords.slice(from, to).reduce((a, b) => a + b, 0);
+    return { chapter: sum(currentPage, nextChapter), book: sum(currentPage, pageWords.length) };
+  }, [pageWords, layout.toc, currentPage]);
+
+  // --- READ ALOUD ---
+  // Reads the book a page at a time, turning pages as it goes
+  useEffect(() => {
+    let cancelled = false;
+    loadVoices().then(list => !cancelled && setVoices(list));
+    return () => { cancelled = true; };
+  }, []);
+
+  useEffect(() => {
+    localStorage.setItem('nq_tts_voice', ttsVoice);
+    localStorage.setItem('nq_tts_rate', String(ttsRate));
+  }, [ttsVoice, ttsRate]);
+
+  const stopReading = () => {
+    speechPlayback.current?.cancel();
+    speechPlayback.current = null;
+    speechChunk.current = null;
+    setReadAloud(null);
+    setSpokenWord(null);
+    setSpeakingMessageId(null);
+  };
+
+  // Reads page `page` from text offset `from` (relative to the page), then the pages after it
+  const readPage = (page, from = 0) => {
+    speechPlayback.current?.cancel();
+    if (!text || page >= layout.pages.length) return stopReading();
+    setSpeakingMessageId(null);
+    setSpokenWord(null);
+    setReadAloud({ page, status: 'playing' });
+    if (page !== currentPage) {
+      document.getElementById(`page-${page}`)?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+      setCurrentPage(page);
+    }
+    speechChunk.current = { page, offset: from };
+    speechPlayback.current = speak(layout.pages[page], {
+      from, rate: ttsRate, voice: voiceFor(voices, { voiceURI: ttsVoice }),
+      onChunk: (offset) => {
+        speechChunk.current = { page, offset };
+        // Listening counts as reading for the stats
+        lastActivity.current = Date.now();
+      },
+      onWord: (start, end) => setSpokenWord({ page, start, end }),
+      onDone: () => readPage(page + 1),
+      onError: (code) => {
+        console.error("Read aloud error:", code);
+        notify("Read aloud stopped", "error");
+        stopReading();
       }
-      const docRef = await addDoc(collection(db, 'artifacts', appId, 'users', user.uid, 'sources'), {
-        name: file.name, content: fullText, date: new Date().toLocaleDateString(), timestamp: Date.now()
-      });
-      setText(fullText); setCurrentDocName(file.name); setCurrentDocId(docRef.id); setCurrentPage(0);
-      notify("Imported Successfully!", "success");
-    } catch (err) { 
-      console.error("PDF upload error:", err);
-      notify("PDF processing failed", "error"); 
+    });
+  };
+
+  // Play starts where the reader is scrolled to; afterwards it pauses and resumes
+  const toggleReading = () => {
+    if (!readAloud) {
+      const position = readerRef.current ? measurePosition(readerRef.current, layout.pageStarts, layout.pages) : null;
+      const page = position?.page ?? currentPage;
+      return readPage(page, Math.max((position?.offset ?? 0) - (layout.pageStarts[page] ?? 0), 0));
+    }
+    if (readAloud.status === 'playing') {
+      speechPlayback.current?.pause();
+      setReadAloud(r => ({ ...r, status: 'paused' }));
+    } else {
+      speechPlayback.current?.resume();
+      setReadAloud(r => ({ ...r, status: 'playing' }));
+    }
+  };
+
+  // Moves one chunk (about a sentence) back or forward, crossing page boundaries
+  const skipReading = (dir) => {
+    const { page, offset } = speechChunk.current || { page: currentPage, offset: 0 };
+    const chunks = splitSpeech(layout.pages[page] || '');
+    const index = chunks.findIndex(c => c.end > offset);
+    const target = (index === -1 ? chunks.length : index) + dir;
+    if (target >= chunks.length) return readPage(page + 1);
+    if (target >= 0) return readPage(page, chunks[target].start);
+    if (page === 0) return readPage(0);
+    const previous = splitSpeech(layout.pages[page - 1]);
+    readPage(page - 1, previous[previous.length - 1]?.start ?? 0);
+  };
+
+  // A new voice or speed takes effect from the start of the current chunk
+  useEffect(() => {
+    if (readAloud?.status !== 'playing' || !speechChunk.current) return;
+    readPage(speechChunk.current.page, speechChunk.current.offset);
+  }, [ttsVoice, ttsRate]);
+
+  // Stop when the book or its text changes, and on unmount
+  useEffect(() => stopReading, [currentDocId, text]);
+
+  // Keep the spoken word on screen, leaving room for the control bar
+  useEffect(() => {
+    const el = spokenWord && document.querySelector('[data-spoken-word]');
+    if (!el || !readerRef.current) return;
+    const word = el.getBoundingClientRect();
+    const view = readerRef.current.getBoundingClientRect();
+    if (word.top < view.top + 40 || word.bottom > view.bottom - 140) el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }, [spokenWord]);
+
+  // Reads a chat reply aloud; translations get a voice for their language
+  const speakMessage = (m) => {
+    if (speakingMessageId === m.id) return stopReading();
+    stopReading();
+    const voice = voiceFor(voices, { voiceURI: ttsVoice, lang: m.lang });
+    if (!voice && m.lang) notify(`No ${LANGUAGES.find(l => l.code === m.lang)?.name || m.lang} voice installed, using the default`, "info");
+    setSpeakingMessageId(m.id);
+    speechPlayback.current = speak(m.content, {
+      voice, lang: m.lang, rate: ttsRate,
+      onDone: () => setSpeakingMessageId(id => (id === m.id ? null : id)),
+      onError: (code) => {
+        console.error("Read aloud error:", code);
+        notify("Read aloud stopped", "error");
+        setSpeakingMessageId(null);
+      }
+    });
+  };
+
+
+  // --- INTEGRATED: FIXED STREAMING AI ENGINE ---
+  // `scope` defaults to the chat mode: "global" adds retrieved passages from the whole book.
+  // `cite` asks for [[pN: "quote"]] markers, which are turned into verified citation chips.
+  // `memory` ({ summary, turns }) replays the conversation so far; only chat sends it.
+  // `lang` (a LANGUAGES code) marks the reply as written in that language, for read-aloud.
+  // `replaceId` regenerates that bot message in place instead of adding a new one.
+  const callAi = async (prompt, systemPrompt = "You are a helpful scholarly assistant.", { scope = chatMode, cite = true, memory = null, lang = null, replaceId = null } = {}) => {
+    setIsAiLoading(true);
+    const botMsgId = replaceId ?? Date.now();
+    const controller = new AbortController();
+    aiAbort.current = controller;
+
+    // Add streaming placeholder; `request` is kept so the reply can be regenerated
+    const placeholder = {
+      id: botMsgId, role: 'bot', content: '', thought: '', isStreaming: true, spoilerLimit, lang,
+      model: modelLabel(aiSettings), request: { prompt, systemPrompt, scope, cite, lang, withMemory: !!memory }
+    };
+    setChatHistory(prev => replaceId ? prev.map(msg => msg.id === replaceId ? placeholder : msg) : [...prev, placeholder]);
+
+    const rules = [systemPrompt, cite && CITATION_RULE, spoilerLimit !== null && spoilerRule(spoilerLimit)];
+
+    let finalAnswer = "";
+
+    try {
+      await streamChat({ 
+        prompt, 
+        systemPrompt: rules.filter(Boolean).join(' '),
+        context: buildContext({ pages, currentPage, query: prompt, scope, sourceId: currentDocId, maxPage: spoilerLimit ?? Infinity }), 
+        mode: scope,
+        history: memory?.turns || [],
+        memorySummary: memory?.summary || ""
+      }, (fullContent) => {
+        const { thought, answer } = splitThought(fullContent);
+        const { content, citations } = cite ? extractCitations(answer, pages) : { content: answer, citations: [] };
+        finalAnswer = content; 
+
+        setChatHistory(prev => prev.map(msg => 
+          msg.id === botMsgId ? { ...msg, content, citations, thought: thought, retrying: undefined } : msg
+        ));
+      }, {
+        signal: controller.signal,
+        onRetry: (attempt) => setChatHistory(prev => prev.map(msg => msg.id === botMsgId ? { ...msg, retrying: attempt } : msg))
+      });
+      return finalAnswer; 
+    } catch (err) {
+      // Stopped or failed replies keep whatever had arrived and can be regenerated
+      if (err.name === 'AbortError') {
+        setChatHistory(prev => prev.map(msg => msg.id === botMsgId ? { ...msg, stopped: true } : msg));
+        return finalAnswer;
+      }
+      console.error("AI Proxy Error:", err);
+      notify("AI request failed", "error");
+      setChatHistory(prev => prev.map(msg => msg.id === botMsgId ? { ...msg, error: err.message || "Request failed" } : msg));
+      return "";
+    } finally {
+      if (aiAbort.current === controller) aiAbort.current = null;
+      setIsAiLoading(false);
+      setChatHistory(prev => prev.map(msg => 
+        msg.id === botMsgId ? { ...msg, isStreaming: false, retrying: undefined } : msg
+      ));
+    }
+  };
+
+  const stopAi = () => aiAbort.current?.abort();
+
+  // --- AI PROVIDER ---
+  useEffect(() => {
+    saveAiSettings(aiSettings);
+  }, [aiSettings]);
+
+  const changeProvider = (provider) => {
+    setProviderModels(null);
+    setAiSettings(s => ({ ...s, provider, model: PROVIDERS[provider].models[0]?.id || '' }));
+  };
+
+  const listProviderModels = async () => {
+    try {
+      const models = await PROVIDERS.openai.listModels(aiSettings);
+      setProviderModels(models);
+      if (!models.length) notify("The server listed no models", "info");
+      else if (!aiSettings.model) setAiSettings(s => ({ ...s, model: models[0].id }));
+    } catch (err) {
+      console.error("Model list error:", err);
+      notify("Could not reach that server", "error");
+    }
+  };
+
+  // --- UI HANDLERS ---
+  const scrollToPage = (index) => {
+    const el = document.getElementById(`page-${index}`);
+    if (el) el.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    if (window.innerWidth < 768) setIsSidebarOpen(false);
+  };
+
+  // Scrolls to an absolute text offset, part-way down its page
+  const scrollToOffset = (offset) => {
+    const page = pageOfOffset(layout.pageStarts, offset);
+    const el = document.getElementById(`page-${page}`);
+    if (!el || !readerRef.current) return;
+    const fraction = Math.min(Math.max((offset - (layout.pageStarts[page] ?? 0)) / Math.max(layout.pages[page]?.length || 0, 1), 0), 1);
+    readerRef.current.scrollTo({ top: el.offsetTop + fraction * el.offsetHeight, behavior: 'smooth' });
+  };
+
+  const openCitation = (c) => {
+    scrollToPage(c.page);
+    if (!c.valid) return notify("Quote not found on that page", "error");
+    setActiveCitation({ page: c.page, start: c.start, end: c.end });
+    setTimeout(() => setActiveCitation(cur => (cur && cur.page === c.page && cur.start === c.start ? null : cur)), 6000);
+  };
+
+  // Saves an imported manuscript to the Library (as chunked storage) and opens it
+  const saveImportedSource = async (name, manuscript, extra = {}, signal) => {
+    if (!manuscript.text.trim()) throw new Error("No readable text found");
+    // Title, author and cover as far as the file records them
+    const meta = Object.fromEntries(Object.entries(manuscript.meta || {}).filter(([, v]) => v));
+    const sourceId = await saveSource(user.uid, {
+      name, chapters: manuscript.chapters, format: manuscript.format,
+      date: new Date().toLocaleDateString(), timestamp: Date.now(), ...meta, ...extra
+    }, manuscript.text, {
+      signal,
+      onProgress: ({ done, total }) => setImportProgress({ label: `Saving part ${Math.min(done + 1, total)} of ${total}`, done, total })
+    });
+    setText(manuscript.text); setChapters(manuscript.chapters); setCurrentDocName(sourceTitle({ name, ...meta })); setCurrentDocId(sourceId); setCurrentPage(0);
+  };
+
+  // Runs an import with a shared progress bar and cancel button
+  const runImport = async (task, failMessage) => {
+    const controller = new AbortController();
+    importAbort.current = controller;
+    setImportProgress({ label: "Preparing import", done: 0, total: 0 });
+    try {
+      await task(controller.signal);
+    } catch (err) {
+      if (err.name === 'AbortError') return notify("Import cancelled", "info");
+      console.error("Import error:", err);
+      notify(err.message?.startsWith("Unsupported") ? err.message : failMessage, "error");
+    } finally {
+      importAbort.current = null;
+      setImportProgress(null);
+    }
+  };
+
+  const handleFileUpload = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file || !user || importProgress) return;
+    await runImport(async (signal) => {
+      const manuscript = await importFile(file, {
+        signal,
+        onProgress: ({ done, total }) => setImportProgress({ label: `Reading ${done} of ${total}`, done, total })
+      });
+      await saveImportedSource(file.name, manuscript, {}, signal);
+      notify("Imported Successfully!", "success");
+    }, "File processing failed");
+  };
+
+  const handleUrlImport = async () => {
+    const url = importUrl.trim();
+    if (!url || !user || importProgress) return;
+    await runImport(async (signal) => {
+      const manuscript = await importFromUrl(url, {
+        signal,
+        maxChapters: chapterLimit,
+        onProgress: ({ done, total }) => setImportProgress({ label: `Fetching chapter ${done + 1} of up to ${total}`, done, total })
+      });
+      await saveImportedSource(manuscript.title, manuscript, { sourceUrl: url }, signal);
+      setImportUrl(""); setIsUrlFormOpen(false);
+      notify(`Imported ${Math.max(manuscript.chapters.length, 1)} chapter(s)`, "success");
+    }, "URL import failed");
+  };
+
+  // Chunked sources are reassembled only when opened
+  const openSource = async (s) => {
+    if (openingSourceId) return;
+    setOpeningSourceId(s.id);
+    finishEditing();
+    try {
+      const content = await loadSourceContent(user.uid, s);
+      loadedEdit.current = s.editedAt ?? null;
+      setText(content); setChapters(s.chapters || []); setCurrentDocName(sourceTitle(s)); setCurrentDocId(s.id);
+      setIsSidebarOpen(false); isInitialLoad.current = true;
+      const away = s.lastOpenedAt ? Date.now() - s.lastOpenedAt : 0;
+      setRecapOffer(away > RECAP_AFTER_MS && Math.max(furthestPages[s.id] ?? 0, s.furthestPage ?? 0) > 0);
+      queueWrite(setDoc(userDoc(user.uid, 'sources', s.id), { lastOpenedAt: Date.now() }, { merge: true }))
+        .catch(err => console.error("Progress sync error:", err));
+    } catch (err) {
+      console.error("Open source error:", err);
+      notify(navigator.onLine ? "Could not open manuscript" : "This manuscript isn't saved on this device yet", "error");
+    } finally {
+      setOpeningSourceId(null);
+    }
+  };
+
+  // Scans the next unscanned pages (up to `uptoPage`) into the codex
+  const scanCodex = async (uptoPage = currentPage) => {
+    if (!user || !currentDocId || !text || isCodexRunning.current) return;
+    const from = codexPage + 1;
+    const to = Math.min(uptoPage, from + CODEX_BATCH_PAGES - 1, pages.length - 1, spoilerLimit ?? Infinity);
+    if (to < from) return;
+    isCodexRunning.current = true;
+    setCodexStatus(from === to ? `Reading page ${from + 1}` : `Reading pages ${from + 1}–${to + 1}`);
+    try {
+      const pageNumbers = Array.from({ length: to - from + 1 }, (_, k) => from + k);
+      const request = codexRequest(codexEntries, pages, pageNumbers);
+      if (spoilerLimit !== null) request.systemPrompt += ` ${spoilerRule(spoilerLimit)}`;
+      const parsed = parseJsonReply(await completeAi(request));
+      if (!parsed) throw new Error("Codex reply was not JSON");
+      await Promise.all(mergeCodex(codexEntries, parsed, from).map(e => saveCodexEntry(user.uid, currentDocId, e)));
+      await setCodexProgress(user.uid, currentDocId, to);
+      setCodexError(false);
+    } catch (err) {
+      console.error("Codex update error:", err);
+      setCodexError(true); // pauses auto-updates until the next manual run
+    } finally {
+      isCodexRunning.current = false;
+      setCodexStatus(null);
+    }
+  };
+
+  // Keep the codex caught up with the reader, a few pages at a time
+  const codexAutoPaused = codexAutoRuns >= CODEX_AUTO_BATCHES;
+  useEffect(() => {
+    if (!codexAuto || codexAutoPaused || codexError || codexStatus || !user || !currentDocId || !text || currentPage <= codexPage) return;
+    const timer = setTimeout(() => {
+      setCodexAutoRuns(n => n + 1);
+      scanCodex();
+    }, 3000);
+    return () => clearTimeout(timer);
+  }, [codexAuto, codexAutoPaused, codexError, codexStatus, user, currentDocId, text, currentPage, codexPage]);
+
+  const saveEntryDraft = async () => {
+    const d = editingEntry;
+    if (!d?.name.trim()) return notify("Name is required", "error");
+    const relationships = d.relationshipsText.split('\n').map(line => {
+      const [target, ...rest] = line.split(':');
+      return { target: target.trim(), relation: rest.join(':').trim() };
+    }).filter(r => r.target && r.relation);
+    try {
+      await saveCodexEntry(user.uid, currentDocId, {
+        id: d.id, name: d.name.trim(), kind: d.kind, description: d.description.trim(), relationships,
+        aliases: d.aliasesText.split(',').map(a => a.trim()).filter(Boolean),
+        firstPage: Math.max(Number(d.firstPage) - 1, 0) || 0, pinned: true
+      });
+      setEditingEntry(null);
+    } catch (err) {
+      console.error("Codex save error:", err);
+      notify("Could not save entry", "error");
+    }
+  };
+
+  const removeEntry = async (e) => {
+    try {
+      await deleteCodexEntry(user.uid, currentDocId, e.id);
+    } catch (err) {
+      console.error("Codex delete error:", err);
+      notify("Could not delete entry", "error");
+    }
+  };
+
+  const editEntry = (e) => setEditingEntry({
+    id: e?.id, name: e?.name || "", kind: e?.kind || 'character', description: e?.description || "",
+    aliasesText: (e?.aliases || []).join(', '), firstPage: (e?.firstPage ?? currentPage) + 1,
+    relationshipsText: (e?.relationships || []).map(r => `${r.target}: ${r.relation}`).join('\n')
+  });
+
+  const handleInsight = (type) => {
+    if (!user) return notify("Sign in for insights", "error");
+    if (type === 'characters') {
+      setActiveTab('codex'); setIsSidebarOpen(true);
+      setCodexError(false);
+      return scanCodex();
+    }
+    if (type === 'summary') return runSummary('page');
+    if (type === 'weaver') {
+      setActiveTab('weaver'); setIsSidebarOpen(true);
+      return growBranches();
+    }
+  };
+
+  // --- CONTINUITY ---
+  // Facts are cached per page and contradictions per entity, so re-runs only read what changed
+  useEffect(() => {
+    setContinuity({});
+    if (!user || !currentDocId) return;
+    const unsubscribe = onSnapshot(continuityCollection(user.uid, currentDocId),
+      (snap) => setContinuity(Object.fromEntries(snap.docs.map(d => [d.id, d.data()]))),
+      (error) => console.error("Continuity sync error:", error)
+    );
+    return () => unsubscribe();
+  }, [user, currentDocId]);
+
+  useEffect(() => () => continuityAbort.current?.abort(), [currentDocId]);
+
+  // Codex names and aliases merge facts about the same character
+  const codexAliases = useMemo(() => new Map(
+    codexEntries.flatMap(e => [e.name, ...(e.aliases || [])].map(a => [normalizeName(a), e.name]))
+  ), [codexEntries]);
+
+  // Pages past the spoiler guard are left out, like everywhere else
+  const continuityPages = useMemo(() => (
+    Array.from({ length: Math.min(spoilerLimit ?? Infinity, layout.pages.length - 1) + 1 }, (_, p) => p)
+  ), [spoilerLimit, layout]);
+
+  const continuityIssues = useMemo(() => (
+    currentIssues(continuity, layout.pages, continuityPages, codexAliases)
+      .map(issue => ({ ...issue, status: continuity[issueKey(issue.id)]?.status || 'open' }))
+  ), [continuity, layout, continuityPages, codexAliases]);
+
+  const openIssues = continuityIssues.filter(i => i.status === 'open');
+
+  const runContinuity = async () => {
+    if (!user || !currentDocId) return notify("Open a Library manuscript to check it", "error");
+    if (!text || continuityAbort.current) return;
+    const controller = new AbortController();
+    continuityAbort.current = controller;
+    const docId = currentDocId;
+    const job = {
+      pages: layout.pages, signal: controller.signal, onProgress: setContinuityStatus,
+      complete: (request) => completeAi(request, { signal: controller.signal }),
+      cache: { ...continuity },
+      store: (key, entry) => saveContinuity(user.uid, docId, key, entry)
+        .catch(err => console.error("Continuity save error:", err))
+    };
+    try {
+      const issues = await checkContinuity(job, continuityPages, codexAliases);
+      const open = issues.filter(i => (job.cache[issueKey(i.id)]?.status || 'open') === 'open');
+      notify(open.length ? `${open.length} possible continuity issue(s)` : "No open continuity issues", open.length ? "info" : "success");
+    } catch (err) {
+      if (err.name !== 'AbortError') {
+        console.error("Continuity error:", err);
+        notify("Continuity check failed", "error");
+      }
+    } finally {
+      continuityAbort.current = null;
+      setContinuityStatus(null);
+    }
+  };
+
+  // `status` is 'open', 'dismissed' or 'resolved'
+  const setIssueStatus = (issue, status) =>
+    saveContinuity(user.uid, currentDocId, issueKey(issue.id), { status })
+      .catch(err => console.error("Continuity save error:", err));
+
+  const openIssueFact = (fact) => {
+    const span = locateQuote(layout.pages[fact.page], fact.quote);
+    openCitation({ page: fact.page, valid: !!span, ...span });
+  };
+
+  // --- EDITING ---
+  // Pages are edited in place; autosaves rewrite the source's text, and saves
+  // close together extend one revision instead of starting another.
+  useEffect(() => {
+    setRevisions([]);
+    setRevisionCompare(null);
+    setEditDraft(null);
+    setEditStatus(null);
+    revisionSession.current = null;
+    if (!user || !currentDocId) return;
+    const unsubscribe = onSnapshot(revisionsCollection(user.uid, currentDocId),
+      (snap) => setRevisions(snap.docs.map(d => ({ id: d.id, ...d.data() })).sort((a, b) => a.createdAt - b.createdAt)),
+      (error) => console.error("Revision sync error:", error)
+    );
+    return () => unsubscribe();
+  }, [user, currentDocId]);
+
+  // Another device edited the open book: show its text unless a page is open here
+  useEffect(() => {
+    const editedAt = currentSource?.editedAt;
+    if (!user || !editedAt || editedAt <= (loadedEdit.current ?? 0) || editDraft) return;
+    let cancelled = false;
+    loadedEdit.current = editedAt;
+    revisionSession.current = null;
+    loadSourceContent(user.uid, currentSource)
+      .then(content => {
+        if (cancelled) return;
+        setText(content);
+        setChapters(currentSource.chapters || []);
+      })
+      .catch(err => console.error("Source refresh error:", err));
+    return () => { cancelled = true; };
+  }, [user, currentDocId, currentSource?.editedAt, editDraft]);
+
+  // The codex re-reads everything from the first changed page
+  const rewindCodex = (offset) => {
+    const page = pageOfOffset(layout.pageStarts, offset);
+    if (!user || !currentDocId || page > codexPage) return;
+    setCodexProgress(user.uid, currentDocId, page - 1).catch(err => console.error("Codex update error:", err));
+  };
+
+  // Saves run one after another so chunk rewrites never interleave
+  // `label` (e.g. `{ restoredFrom }`) starts a revision of its own and is stored on it
+  const persistEdit = (base, next, label = null) => {
+    if (!user || !currentDocId || !currentSource) return;
+    const source = currentSource;
+    const now = Date.now();
+    const session = revisionSession.current;
+    const revision = !label && session?.sourceId === source.id && now - session.savedAt < REVISION_GAP_MS
+      ? { ...session, savedAt: now }
+      : { sourceId: source.id, id: newRevisionId(user.uid, source.id), createdAt: now, savedAt: now, base };
+    revisionSession.current = label ? null : revision;
+    loadedEdit.current = now;
+    setEditStatus('saving');
+    const saves = editSaves.current;
+    saves.pending += 1;
+    saves.queue = saves.queue.then(async (last) => {
+      try {
+        // The source snapshot may not have caught up with the previous save yet
+        const meta = await updateSourceText(user.uid, last?.id === source.id ? { ...source, ...last } : source, next.text,
+          { chapters: next.chapters, editedAt: now });
+        try {
+          await saveRevision(user.uid, source.id, revision.id, revisionEntry(revision.base, next, {
+            createdAt: revision.createdAt, savedAt: now, device: deviceId, ...label,
+          }));
+        } catch (err) {
+          // The text is already saved, so older revisions no longer lead back from it
+          console.error("Revision save error:", err);
+          if (revisionSession.current?.id === revision.id) revisionSession.current = null;
+          await markRevisionGap(user.uid, source.id, revision.createdAt)
+            .catch(gapErr => console.error("Revision gap error:", gapErr));
+          notify("Changes saved, but versions before this edit can no longer be restored", "error");
+        }
+        if (saves.pending === 1) setEditStatus('saved');
+        return { id: source.id, ...meta };
+      } catch (err) {
+        console.error("Edit save error:", err);
+        setEditStatus('error');
+        notify("Could not save your changes", "error");
+        return last;
+      } finally {
+        saves.pending -= 1;
+      }
+    });
+  };
+
+  const commitEdit = (draft = editDraft) => {
+    if (!draft?.dirty) return;
+    const next = applyEdit(text, chapters, draft);
+    setText(next.text);
+    setChapters(next.chapters);
+    setEditDraft(d => (d && d.start === draft.start ? { ...d, end: draft.start + draft.value.length, dirty: d.value !== draft.value } : d));
+    persistEdit({ text, chapters }, next);
+    rewindCodex(draft.start);
+  };
+
+  useEffect(() => {
+    if (!editDraft?.dirty) return;
+    const timer = setTimeout(() => commitEdit(editDraft), AUTOSAVE_MS);
+    return () => clearTimeout(timer);
+  }, [editDraft]);
+
+  const startEditing = (i) => {
+    let start = layout.pageStarts[i];
+    if (editDraft) {
+      commitEdit();
+      // Pages after the open one move by however much it grew or shrank
+      if (start >= editDraft.end) start += editDraft.value.length - (editDraft.end - editDraft.start);
+    }
+    setEditDraft({ start, end: start + layout.pages[i].length, value: layout.pages[i], dirty: false });
+  };
+
+  const finishEditing = () => {
+    commitEdit();
+    setEditDraft(null);
+  };
+
+  // How each page shows around the open editor: text `before` and `after` it on
+  // the page it opened on (`host`), and `hidden` for pages it covers entirely
+  const editorPages = useMemo(() => {
+    const map = new Map();
+    if (!editDraft || !layout.pages.length) return map;
+    const host = pageOfOffset(layout.pageStarts, editDraft.start);
+    for (let i = host; i < layout.pages.length && (i === host || layout.pageStarts[i] < editDraft.end); i++) {
+      const start = layout.pageStarts[i];
+      const end = start + layout.pages[i].length;
+      map.set(i, {
+        host: i === host,
+        hidden: i !== host && end <= editDraft.end,
+        before: i === host ? text.slice(start, Math.max(start, editDraft.start)) : '',
+        after: end > editDraft.end ? text.slice(Math.max(start, editDraft.end), end) : '',
+      });
+    }
+    return map;
+  }, [editDraft?.start, editDraft?.end, layout, text]);
+
+  const editStatusLabel = editDraft?.dirty || editStatus === 'saving' ? 'Saving…'
+    : !user || !currentDocId ? 'Saved on this device'
+    : editStatus === 'error' ? 'Not saved'
+    : editStatus === 'saved' ? 'All changes saved' : '';
+
+  const openHistory = () => {
+    setActiveTab('history');
+    setIsSidebarOpen(true);
+  };
+
+  const restorableFrom = useMemo(() => oldestRestorable(revisions, currentSource?.revisionGapAt),
+    [revisions, currentSource?.revisionGapAt]);
+
+  // Only worked out for the revision being compared
+  const revisionDiff = useMemo(() => {
+    if (activeTab !== 'history' || !revisionCompare) return null;
+    const { index, against } = revisionCompare;
+    if (index < restorableFrom || (against === 'previous' && index === restorableFrom)) return null;
+    const target = revisionState({ text, chapters }, revisions, index).text;
+    return diffExcerpt(against === 'current'
+      ? diffWords(target, text)
+      : diffWords(applySplice(target, revisions[index].undo), target));
+  }, [activeTab, revisionCompare, revisions, restorableFrom, text, chapters]);
+
+  // Restoring saves the old text as a new revision, so it can be undone the same way
+  const restoreRevision = (index) => {
+    if (index < restorableFrom) return notify("That version can no longer be rebuilt", "error");
+    const next = revisionState({ text, chapters }, revisions, index);
+    if (next.text === text) return notify("That is already the current text", "info");
+    const label = index < 0 ? 'the original text' : `the version from ${new Date(revisions[index].createdAt).toLocaleString()}`;
+    if (!confirm(`Restore ${label}?`)) return;
+    setText(next.text);
+    setChapters(next.chapters);
+    setEditDraft(null);
+    setRevisionCompare(null);
+    persistEdit({ text, chapters }, next, { restoredFrom: index < 0 ? 'original' : revisions[index].createdAt });
+    rewindCodex(undoSplice(text, next.text).start);
+    notify("Revision restored", "success");
+  };
+
+  // --- PLOT WEAVER ---
+  // Branches are plotted and drafted per source; one can be promoted into the text
+  useEffect(() => {
+    setWeaverBranches([]);
+    setPromoting(null);
+    if (!user || !currentDocId) return;
+    const unsubscribe = onSnapshot(weaverCollection(user.uid, currentDocId),
+      (snap) => setWeaverBranches(snap.docs.map(d => ({ id: d.id, ...d.data() }))),
+      (error) => console.error("Weaver sync error:", error)
+    );
+    return () => unsubscribe();
+  }, [user, currentDocId]);
+
+  useEffect(() => () => weaverAbort.current?.abort(), [currentDocId]);
+
+  // Root branches grouped by the page they grew from
+  const weaverTrees = useMemo(() => {
+    const byPage = new Map();
+    childBranches(weaverBranches, null).forEach(b => {
+      if (!byPage.has(b.page)) byPage.set(b.page, []);
+      byPage.get(b.page).push(b);
+    });
+    return [...byPage.entries()].sort((a, b) => a[0] - b[0]);
+  }, [weaverBranches]);
+
+  // `task` gets the cancel signal to pass on to its AI requests
+  const runWeaver = async (label, task) => {
+    if (!user || !currentDocId || !text) return notify("Open a Library manuscript to use the Weaver", "error");
+    if (weaverStatus) return;
+    const controller = new AbortController();
+    weaverAbort.current = controller;
+    setWeaverStatus(label);
+    try {
+      await task(controller.signal);
+    } catch (err) {
+      if (err.name !== 'AbortError') {
+        console.error("Weaver error:", err);
+        notify("The Weaver could not finish", "error");
+      }
+    } finally {
+      if (weaverAbort.current === controller) {
+        weaverAbort.current = null;
+        setWeaverStatus(null);
+      }
+    }
+  };
+
+  const growBranches = (parent = null) => runWeaver(parent ? `Branching "${parent.title}"` : `Weaving from page ${currentPage + 1}`, async (signal) => {
+    const page = parent ? parent.page : currentPage;
+    const suggestions = await suggestBranches((request) => completeAi(request, { signal }), {
+      pages: layout.pages, page, path: parent ? branchPath(weaverBranches, parent.id) : [], steer: weaverSteer.trim(),
+    });
+    if (signal.aborted) return;
+    await addBranches(user.uid, currentDocId, suggestions.map(s => ({ ...s, parentId: parent?.id ?? null, page, draft: '' })));
+  });
+
+  const expandBranch = (b) => runWeaver(`Drafting "${b.title}"`, async (signal) => {
+    const draft = await draftBranch((request) => completeAi(request, { signal }), { pages: layout.pages, page: b.page, path: branchPath(weaverBranches, b.id) });
+    if (signal.aborted) return;
+    await updateBranch(user.uid, currentDocId, b.id, { draft });
+    setOpenBranchId(b.id);
+  });
+
+  const pruneBranch = async (b) => {
+    const ids = subtreeIds(weaverBranches, b.id);
+    if (!confirm(ids.length > 1 ? `Prune "${b.title}" and the ${ids.length - 1} branch(es) below it?` : `Prune "${b.title}"?`)) return;
+    try {
+      await deleteBranches(user.uid, currentDocId, ids);
+    } catch (err) {
+      console.error("Weaver delete error:", err);
+      notify("Delete failed", "error");
+    }
+  };
+
+  const startPromoting = (b) => {
+    const page = Math.min(b.page, layout.pages.length - 1);
+    setPromoting({ id: b.id, page, after: findParagraphs(layout.pages[page] || '').length - 1 });
+  };
+
+  // Inserts the branch (and the drafts above it) after the chosen paragraph, as its own revision
+  const promoteBranch = () => {
+    const branch = weaverBranches.find(b => b.id === promoting?.id);
+    const paragraph = findParagraphs(layout.pages[promoting?.page] || '')[promoting?.after];
+    if (!branch || !paragraph) return;
+    if (editDraft) return notify("Finish editing the open page first", "info");
+    const offset = layout.pageStarts[promoting.page] + paragraph.end;
+    const next = applyEdit(text, chapters, { start: offset, end: offset, value: `\n\n${promotionText(weaverBranches, branch.id)}` });
+    setText(next.text);
+    setChapters(next.chapters);
+    persistEdit({ text, chapters }, next, { weaverBranch: branch.title });
+    rewindCodex(offset);
+    updateBranch(user.uid, currentDocId, branch.id, { promotedAt: Date.now(), promotedPage: promoting.page })
+      .catch(err => console.error("Weaver update error:", err));
+    setPromoting(null);
+    scrollToPage(promoting.page);
+    notify("Branch added to the manuscript", "success");
+  };
+
+  // --- SEARCH HANDLERS ---
+  // Library search loads every source's text once (cached), then searches in the worker
+  const runLibrarySearch = async () => {
+    const query = searchQuery.trim();
+    if (!query || !user || searchStatus) return;
+    setLibraryResults(null);
+    try {
+      const texts = [];
+      for (let i = 0; i < sources.length; i++) {
+        setSearchStatus(`Loading ${i + 1} of ${sources.length}`);
+        try {
+          texts.push({ sourceId: sources[i].id, text: await loadSourceContent(user.uid, sources[i]), chapters: sources[i].chapters || [] });
+        } catch (err) {
+          console.error("Search load error:", err);
+        }
+      }
+      setSearchStatus("Searching…");
+      setLibraryResults(await searchTexts(texts, query, { caseSensitive: matchCase, wordsPerPage: WORDS_PER_PAGE }));
+    } catch (err) {
+      console.error("Search error:", err);
+      notify("Search failed", "error");
+    } finally {
+      setSearchStatus(null);
+    }
+  };
+
+  // Switches to find-in-book on the hit's source, opening it first if needed
+  const openSearchHit = async (sourceId, hit) => {
+    findAnchor.current = hit.start;
+    setSearchScope('book');
+    if (sourceId === currentDocId) return;
+    const source = sources.find(s => s.id === sourceId);
+    if (!source) return;
+    pendingJump.current = { sourceId, offset: hit.start };
+    await openSource(source);
+  };
+
+  // --- SUMMARY HANDLERS ---
+  // `type` is 'page', 'chapter', 'synopsis' or 'recap'; results are cached per source
+  const runSummary = async (type) => {
+    if (!user) return notify("Sign in for insights", "error");
+    if (!text || summaryAbort.current) return;
+    const controller = new AbortController();
+    summaryAbort.current = controller;
+    setActiveTab('insights'); setIsSidebarOpen(true); setRecapOffer(false);
+    setInsightResult("");
+    setInsightType(type);
+    setInsightLimit(spoilerLimit);
+    const job = {
+      pages, signal: controller.signal, onProgress: setSummaryStatus,
+      complete: (request) => completeAi(request, { signal: controller.signal }),
+      cache: currentDocId ? { ...summaries } : localSummaries.current,
+      store: (key, entry) => currentDocId && saveSummary(user.uid, currentDocId, key, entry)
+        .catch(err => console.error("Summary save error:", err))
+    };
+    try {
+      let result = "";
+      if (type === 'page') result = (await summarizePages(job, [currentPage]))[currentPage];
+      if (type === 'chapter') result = await summarizeSection(job, sectionOfPage(sections, currentPage), spoilerLimit ?? Infinity);
+      if (type === 'synopsis') result = await summarizeBook(job, sections, spoilerLimit ?? pages.length - 1, 'book');
+      if (type === 'recap') result = await summarizeBook(job, sections, furthestPage, 'recap');
+      if (!result) notify("No summary came back", "error");
+      setInsightResult(result || "");
+    } catch (err) {
+      if (err.name !== 'AbortError') {
+        console.error("Summary error:", err);
+        notify("Summary failed", "error");
+      }
+    } finally {
+      summaryAbort.current = null;
+      setSummaryStatus(null);
+    }
+  };
+
+  // Translates one page, the chapter around it or the whole book; resolves to the cache, or null on failure
+  const runTranslation = async (scope, page = currentPage) => {
+    if (!user) return notify("Sign in for insights", "error");
+    if (!text || translationAbort.current) return null;
+    const controller = new AbortController();
+    translationAbort.current = controller;
+    const section = sectionOfPage(sections, page);
+    const [from, to] = scope === 'page' ? [page, page]
+      : scope === 'chapter' && section ? [section.from, section.to] : [0, layout.pages.length - 1];
+    const docId = currentDocId;
+    const job = {
+      pages: layout.pages, signal: controller.signal, onProgress: setTranslationStatus,
+      complete: (request) => completeAi(request, { signal: controller.signal }),
+      cache: { ...translations },
+      store: (key, entry) => {
+        if (controller.signal.aborted) return null;
+        setTranslations(prev => ({ ...prev, [key]: entry }));
+        return docId && saveTranslation(user.uid, docId, key, entry).catch(err => console.error("Translation save error:", err));
+      }
+    };
+    if (scope !== 'book') setTranslationView(true);
+    try {
+      await translatePages(job, Array.from({ length: to - from + 1 }, (_, k) => from + k), translationLanguage);
+      return job.cache;
+    } catch (err) {
+      if (err.name !== 'AbortError') {
+        console.error("Translation error:", err);
+        notify("Translation failed", "error");
+      }
+      return null;
+    } finally {
+      translationAbort.current = null;
+      setTranslationStatus(null);
+    }
+  };
+
+  // One request per page, so the whole book is only translated when asked for
+  const translateRest = () => {
+    const count = untranslatedPages(translations, layout.pages, selectedLang).length;
+    if (!count) return notify(`Every page is already in ${translationLanguage.name}`, "info");
+    if (!confirm(`Translate the ${count} page${count === 1 ? '' : 's'} not yet in ${translationLanguage.name}? This sends ${count} AI request${count === 1 ? '' : 's'}.`)) return;
+    runTranslation('book');
+  };
+
+  // Downloads the pages translated so far; nothing new is requested
+  const exportTranslation = () => {
+    const translated = layout.pages.filter((_, i) => cachedTranslation(translations, layout.pages, selectedLang, i)).length;
+    if (!translated) return notify(`No pages are translated into ${translationLanguage.name} yet`, "error");
+    downloadFile(`${safeFilename(currentDocName)}-${selectedLang}.md`,
+      translationToMarkdown({ name: currentDocName, language: translationLanguage, pages: layout.pages, cache: translations }), 'text/markdown');
+    if (missingTranslations) notify(`Exported ${translated} translated pages; ${missingTranslations} are still untranslated`, "info");
+  };
+
+  // --- ANNOTATION HANDLERS ---
+  // Offsets are measured from the start of the page's text container
+  const handlePageSelection = (pageIndex, container) => {
+    const sel = window.getSelection();
+    if (!sel || sel.isCollapsed || !sel.rangeCount || !text) return setSelectionDraft(null);
+    const range = sel.getRangeAt(0);
+    if (!container.contains(range.startContainer) || !container.contains(range.endContainer)) return setSelectionDraft(null);
+    const before = document.createRange();
+    before.selectNodeContents(container);
+    before.setEnd(range.startContainer, range.startOffset);
+    const raw = range.toString();
+    const quote = raw.trim();
+    if (!quote) return setSelectionDraft(null);
+    const start = before.toString().length + (raw.length - raw.trimStart().length);
+    const rect = range.getBoundingClientRect();
+    setDraftNote("");
+    setSelectionDraft({ page: pageIndex, start, end: start + quote.length, quote, x: rect.left + rect.width / 2, y: rect.top });
+  };
+
+  // With tap-to-define on, a plain click on a word looks it up. `base` is the
+  // container's offset within the page (side-by-side paragraphs).
+  const handlePageTap = (pageIndex, container, e, base = 0) => {
+    if (!tapToDefine || !text || !window.getSelection()?.isCollapsed || e.target.closest('[data-highlight]')) return;
+    const point = document.caretPositionFromPoint?.(e.clientX, e.clientY);
+    const range = point ? null : document.caretRangeFromPoint?.(e.clientX, e.clientY);
+    const node = point?.offsetNode ?? range?.startContainer;
+    if (!node || !container.contains(node)) return;
+    const before = document.createRange();
+    before.selectNodeContents(container);
+    before.setEnd(node, point?.offset ?? range.startOffset);
+    const word = wordAt(layout.pages[pageIndex] || '', base + before.toString().length);
+    if (word) openLookup({ page: pageIndex, ...word, x: e.clientX, y: e.clientY });
+  };
+
+  const saveHighlight = async (color) => {
+    if (!selectionDraft) return;
+    if (!user || !currentDocId) return notify("Open a Library manuscript to annotate", "error");
+    const base = layout.pageStarts[selectionDraft.page] ?? 0;
+    try {
+      await addAnnotation(user.uid, currentDocId, {
+        type: 'highlight', color, note: draftNote.trim(), quote: selectionDraft.quote,
+        start: base + selectionDraft.start, end: base + selectionDraft.end, page: selectionDraft.page
+      });
+      window.getSelection()?.removeAllRanges();
+      setSelectionDraft(null);
+    } catch (err) {
+      console.error("Highlight save error:", err);
+      notify("Could not save highlight", "error");
+    }
+  };
+
+  const toggleBookmark = async (pageIndex) => {
+    if (!user || !currentDocId) return notify("Open a Library manuscript to bookmark", "error");
+    const existing = bookmarksByPage.get(pageIndex);
+    try {
+      if (existing) await deleteAnnotation(user.uid, currentDocId, existing.id);
+      else await addAnnotation(user.uid, currentDocId, {
+        type: 'bookmark', offset: layout.pageStarts[pageIndex] ?? 0, page: pageIndex,
+        label: (pages[pageIndex] || "").split(/\s+/).slice(0, 8).join(" ")
+      });
+    } catch (err) {
+      console.error("Bookmark error:", err);
+      notify("Could not update bookmark", "error");
+    }
+  };
+
+  const openAnnotation = (a) => {
+    setActiveTab('notes'); setIsSidebarOpen(true);
+    setEditingAnnotation({ id: a.id, note: a.note || "" });
+  };
+
+  const saveAnnotationNote = async () => {
+    if (!editingAnnotation) return;
+    try {
+      await updateAnnotation(user.uid, currentDocId, editingAnnotation.id, { note: editingAnnotation.note.trim() });
+      setEditingAnnotation(null);
+    } catch (err) {
+      // The editor stays open with the note, so it can be saved again
+      console.error("Note save error:", err);
+      notify("Could not save note", "error");
+    }
+  };
+
+  const recolorAnnotation = async (id, color) => {
+    try {
+      await updateAnnotation(user.uid, currentDocId, id, { color });
+    } catch (err) {
+      console.error("Highlight update error:", err);
+      notify("Could not change highlight color", "error");
+    }
+  };
+
+  const removeAnnotation = async (a) => {
+    try {
+      await deleteAnnotation(user.uid, currentDocId, a.id);
+    } catch (err) {
+      console.error("Annotation delete error:", err);
+      notify(a.type === 'bookmark' ? "Could not remove bookmark" : "Could not delete highlight", "error");
+    }
+  };
+
+  const notify = (msg, type = 'info') => {
+    setNotification({ text: msg, type });
+    setTimeout(() => setNotification(null), 4000);
+  };
+
+  // --- CONVERSATION MEMORY ---
+  // Recent turns go out verbatim; older ones are folded into a stored summary.
+  // `fresh` summarizes `messages` alone and keeps the result out of the thread.
+  const prepareMemory = async (messages, { fresh = false } = {}) => {
+    const key = activeThreadId || 'local';
+    let memory = fresh ? {} : activeThread?.memory || localMemory.current[key] || {};
+    const plan = planHistory(toTurns(messages), memory);
+    if (plan.pending.length) {
+      try {
+        const summary = await completeAi({
+          prompt: summaryPrompt(memory.summary, plan.pending),
+          systemPrompt: SUMMARY_SYSTEM_PROMPT,
+          context: "",
+          mode: 'strict'
+        });
+        if (summary) {
+          memory = { summary, covered: plan.coveredAfter };
+          if (!fresh) {
+            localMemory.current[key] = memory;
+            if (user && currentDocId && activeThreadId) {
+              saveThreadMemory(user.uid, currentDocId, activeThreadId, memory).catch(err => console.error("Memory save error:", err));
+            }
+          }
+        }
+      } catch (err) {
+        // Without a fresh summary the oldest turns are simply left out
+        console.error("Memory summary error:", err);
+      }
+    }
+    return { summary: memory.summary || "", turns: plan.recent };
+  };
+
+  // --- SMART CHAT HANDLER ---
+  const handleChat = async () => {
+    if (!userInput.trim() || isAiLoading || !text.trim() || !user) return;
+    const q = userInput.trim(); 
+    setUserInput("");
+
+    const lowerQ = q.toLowerCase().replace(/\s/g, ''); 
+
+    // Handle Greetings Locally (kept out of the replayed conversation)
+    const social = ['hi', 'hello', 'hey', 'namaste', 'thanks', 'thankyou', 'great', 'awesome'];
+    if (social.some(s => lowerQ.startsWith(s))) {
+      const reply = lowerQ.includes('thank') ? "You're very welcome!" : "Hello! I'm ready. Ask me anything about the manuscript!";
+      setChatHistory(prev => [...prev, { role: 'user', content: q, local: true }, { role: 'bot', content: reply, thought: "Handled locally.", local: true }]);
+      return; 
+    }
+
+    setChatHistory(prev => [...prev, { role: 'user', content: q }]);
+    setIsAiLoading(true);
+    const memory = await prepareMemory(chatHistory);
+    await callAi(q, undefined, { memory });
+  };
+
+  // Asks the request behind bot message `m` again and replaces the reply in place
+  const regenerateMessage = async (m) => {
+    if (isAiLoading || !m.request) return;
+    const { prompt, systemPrompt, scope, cite, lang, withMemory } = m.request;
+    setIsAiLoading(true);
+    try {
+      let memory = null;
+      if (withMemory) {
+        // Replay only the conversation before the question this message answered;
+        // the thread's stored summary may already cover later turns
+        const index = chatHistory.findIndex(x => x.id === m.id);
+        const question = chatHistory.slice(0, index).findLastIndex(x => x.role === 'user');
+        memory = await prepareMemory(chatHistory.slice(0, Math.max(question, 0)), { fresh: true });
+      }
+      await callAi(prompt, systemPrompt, { scope, cite, lang, memory, replaceId: m.id });
+    } finally {
+      setIsAiLoading(false);
+    }
+  };
+
+  // --- THREAD HANDLERS ---
+  const activeThread = threads.find(t => t.id === activeThreadId) || null;
+
+  const handleNewThread = async () => {
+    if (!user || !currentDocId || isAiLoading) return;
+    try {
+      const id = await createThread(user.uid, currentDocId, `Thread ${threads.length + 1}`);
+      loadedThreadId.current = id;
+      lastSavedChat.current = "[]";
+      setChatHistory([]);
+      setActiveThreadId(id);
+      rememberThread(user.uid, currentDocId, id).catch(err => console.error("Thread restore error:", err));
+    } catch (err) {
+      console.error("Thread create error:", err);
+      notify("Could not create thread", "error");
     }
-    finally { setIsAiLoading(false); }
   };
 
-  const handleInsight = async (type) => {
-    if (!user) return notify("Sign in for insights", "error");
-    setInsightResult(""); 
-    setInsightType(type);
-    let p = ""; let s = "You are a literary analyst scholar.";
-    if (type === 'summary') p = "Summarize the key events on this page concisely.";
-    if (type === 'characters') p = "Identify characters on this page and their current motivations.";
-    if (type === 'weaver') p = "Suggest 3 creative plot directions based on the current scene.";
-    
-    const resultText = await callAi(p, s);
-    setInsightResult(resultText);
+  const handleRenameThread = async () => {
+    if (!activeThread) return;
+    const name = prompt("Rename thread", activeThread.name)?.trim();
+    if (!name || name === activeThread.name) return;
+    await renameThread(user.uid, currentDocId, activeThread.id, name).catch(() => notify("Rename failed", "error"));
   };
 
-  const notify = (msg, type = 'info') => {
-    setNotification({ text: msg, type });
-    setTimeout(() => setNotification(null), 4000);
+  const handleDeleteThread = async () => {
+    if (!activeThread || !confirm(`Delete "${activeThread.name}"?`)) return;
+    try {
+      await deleteThread(user.uid, currentDocId, activeThread.id);
+      loadedThreadId.current = null;
+      setChatHistory([]);
+      setActiveThreadId(threads.find(t => t.id !== activeThread.id)?.id || null);
+    } catch (err) {
+      console.error("Thread delete error:", err);
+      notify("Delete failed", "error");
+    }
   };
 
-  // --- SMART CHAT HANDLER ---
-  const handleChat = async () => {
-    if (!userInput.trim() || isAiLoading || !text.trim() || !user) return;
-    const q = userInput.trim(); 
-    setUserInput("");
-    setChatHistory(prev => [...prev, { role: 'user', content: q }]);
+  const handleExportThread = () => {
+    if (!chatHistory.length) return notify("Nothing to export", "info");
+    const name = activeThread?.name || "Chat";
+    downloadFile(`${safeFilename(currentDocName)}-${safeFilename(name)}.md`, threadToMarkdown(activeThread, chatHistory, currentDocName), 'text/markdown');
+  };
 
-    const lowerQ = q.toLowerCase().replace(/\s/g, ''); 
+  // --- EXPORT ---
+  const handleExportStudyPack = () => {
+    if (!text) return notify("Nothing to export", "info");
+    // The open thread's newest messages may not have been saved yet
+    const chats = currentDocId
+      ? threads.map(t => (t.id === activeThreadId ? { ...t, messages: chatHistory } : t))
+      : [{ name: 'Chat', messages: chatHistory }];
+    downloadFile(`${safeFilename(currentDocName)}-study-pack.md`, studyPackMarkdown({
+      name: currentDocName, sections,
+      summaries: currentDocId ? summaries : localSummaries.current,
+      insight: insightResult ? { type: insightType, text: insightResult } : null,
+      codex: codexEntries,
+      highlights: anchoredAnnotations.filter(a => a.type === 'highlight'),
+      bookmarks: [...bookmarksByPage.values()],
+      threads: chats
+    }), 'text/markdown');
+  };
 
-    // Handle Greetings Locally
-    const social = ['hi', 'hello', 'hey', 'namaste', 'thanks', 'thankyou', 'great', 'awesome'];
-    if (social.some(s => lowerQ.startsWith(s))) {
-      const reply = lowerQ.includes('thank') ? "You're very welcome!" : "Hello! I'm ready. Ask me anything about the manuscript!";
-      setChatHistory(prev => [...prev, { role: 'bot', content: reply, thought: "Handled locally." }]);
-      return; 
+  // The manuscript with its highlights and notes, as an EPUB file or through the print dialog as PDF
+  const handleExportBook = async (format) => {
+    if (!text || exportAbort.current) return;
+    const controller = new AbortController();
+    exportAbort.current = controller;
+    setExportProgress({ label: 'Preparing chapters', done: 0, total: 0 });
+    try {
+      // Let the progress bar paint before the chapters are built
+      await new Promise(resolve => setTimeout(resolve, 0));
+      const chapters = manuscriptChapters({
+        text, toc: layout.toc,
+        highlights: anchoredAnnotations.filter(a => a.type === 'highlight' && !a.orphaned)
+      });
+      if (format === 'pdf') {
+        printChapters({ title: currentDocName, subtitle: `Exported ${new Date().toLocaleDateString()}`, chapters });
+        return;
+      }
+      const blob = await buildEpub({ title: currentDocName, chapters }, { signal: controller.signal, onProgress: setExportProgress });
+      downloadFile(`${safeFilename(currentDocName)}.epub`, blob);
+    } catch (err) {
+      if (err.name !== 'AbortError') {
+        console.error("Export error:", err);
+        notify("Export failed", "error");
+      }
+    } finally {
+      exportAbort.current = null;
+      setExportProgress(null);
     }
-
-    await callAi(q);
   };
 
   const handleTranslate = async () => {
@@ -361,7 +2221,8 @@ export default function App() {
     const targetLangName = LANGUAGES.find(l => l.code === selectedLang)?.name || selectedLang;
     await callAi(
       `Translate this text to ${targetLangName}:\n\n${selection.substring(0, 500)}`,
-      `You are a professional literary translator. Reply ONLY with the translation.`
+      `You are a professional literary translator. Reply ONLY with the translation.`,
+      { scope: 'strict', cite: false, lang: selectedLang }
     );
     setActiveTab('chat'); setIsSidebarOpen(true);
   };
@@ -383,7 +2244,7 @@ export default function App() {
   const hardReset = () => {
     if (confirm("Factory reset app?")) {
       localStorage.clear();
-      window.location.reload();
+      clearLocal().catch(err => console.error("Local reset error:", err)).finally(() => window.location.reload());
     }
   };
 
@@ -396,6 +2257,100 @@ export default function App() {
     </div>
   );
 
+  // Page-relative ranges drawn over page `i`: search matches, highlights, a cited quote and the spoken word
+  const pageRanges = (i) => overlayRange([
+    ...(searchByPage.get(i) || []),
+    ...(highlightsByPage.get(i) || []),
+    ...(activeCitation?.page === i ? [{ ...activeCitation, kind: 'citation' }] : [])
+  ], spokenWord?.page === i ? { ...spokenWord, kind: 'spoken' } : null);
+
+  const renderSegment = (seg, si) => {
+    if (!seg.range) return <React.Fragment key={si}>{seg.text}</React.Fragment>;
+    if (seg.range.kind === 'spoken') return (
+      <mark key={si} data-spoken-word className="bg-sky-200 dark:bg-sky-700/60 text-inherit rounded-sm">{seg.text}</mark>
+    );
+    if (seg.range.kind === 'highlight') return (
+      <mark key={si} data-highlight onClick={() => openAnnotation(seg.range.annotation)} title={seg.range.annotation.note || undefined}
+        className={`${colorById(seg.range.annotation.color).mark} text-inherit rounded-sm cursor-pointer ${seg.range.annotation.note ? 'underline decoration-dotted underline-offset-4' : ''}`}>{seg.text}</mark>
+    );
+    if (seg.range.kind === 'search') return (
+      <mark key={si} data-search-active={seg.range.active || undefined}
+        className={`text-inherit rounded-sm ${seg.range.active ? 'bg-orange-300 dark:bg-orange-600/70 ring-2 ring-orange-400' : 'bg-yellow-200/80 dark:bg-yellow-600/40'}`}>{seg.text}</mark>
+    );
+    return <mark key={si} className="bg-amber-200 dark:bg-amber-700/60 text-inherit rounded px-0.5 transition-colors">{seg.text}</mark>;
+  };
+
+  const renderBranch = (b) => {
+    const children = childBranches(weaverBranches, b.id);
+    const isOpen = openBranchId === b.id;
+    return (
+      <div key={b.id} className="space-y-2">
+        <div className={`p-3 rounded-2xl border ${b.promotedAt ? 'border-emerald-200 dark:border-emerald-900' : 'border-zinc-100 dark:border-zinc-800'}`}>
+          <div className="flex items-start gap-2">
+            <button onClick={() => setOpenBranchId(isOpen ? null : b.id)} className="flex-1 min-w-0 text-left">
+              <p className="text-xs font-bold">{b.title}</p>
+              <p className="text-[11px] text-zinc-500 mt-1 leading-relaxed">{b.premise}</p>
+            </button>
+            <button onClick={() => pruneBranch(b)} title="Prune branch" className="p-1 text-zinc-300 hover:text-red-500"><Trash2 size={12}/></button>
+          </div>
+          {b.draft && isOpen && (
+            <div className="mt-3 p-3 max-h-96 overflow-y-auto custom-scrollbar rounded-xl bg-zinc-50 dark:bg-zinc-950 font-serif text-sm leading-relaxed whitespace-pre-wrap text-zinc-800 dark:text-zinc-200">{b.draft}</div>
+          )}
+          <div className="flex flex-wrap items-center gap-1.5 mt-3 text-[9px] font-black uppercase">
+            <button onClick={() => expandBranch(b)} disabled={!!weaverStatus} className="px-2 py-1 rounded-lg bg-purple-500 text-white disabled:opacity-50">{b.draft ? 'Redraft' : 'Draft'}</button>
+            {b.draft && (
+              <button onClick={() => setOpenBranchId(isOpen ? null : b.id)} className="px-2 py-1 rounded-lg border border-zinc-200 dark:border-zinc-700 text-zinc-500">
+                {isOpen ? 'Hide' : 'Read'} · {b.draft.split(/\s+/).length} words
+              </button>
+            )}
+            <button onClick={() => growBranches(b)} disabled={!!weaverStatus} className="px-2 py-1 rounded-lg border border-purple-200 text-purple-600 disabled:opacity-50">Branch</button>
+            {b.draft && (
+              <button onClick={() => startPromoting(b)} className="px-2 py-1 rounded-lg border border-emerald-200 text-emerald-600">Promote</button>
+            )}
+            {b.promotedAt && <span className="flex items-center gap-1 text-emerald-600"><Check size={10}/> In manuscript</span>}
+          </div>
+          {promoting?.id === b.id && (
+            <div className="mt-3 p-3 rounded-xl bg-emerald-50 dark:bg-emerald-900/10 space-y-2 animate-in">
+              <p className="text-[10px] font-black uppercase text-emerald-600">Insert after</p>
+              <div className="flex gap-2">
+                <input type="number" min={1} max={layout.pages.length} value={promoting.page + 1}
+                  onChange={e => {
+                    const page = Math.min(Math.max((Number(e.target.value) || 1) - 1, 0), layout.pages.length - 1);
+                    setPromoting(p => ({ ...p, page, after: findParagraphs(layout.pages[page] || '').length - 1 }));
+                  }}
+                  title="Page" className="w-16 p-2 bg-white dark:bg-zinc-900 border border-zinc-200 dark:border-zinc-700 rounded-xl text-xs outline-none" />
+                <select value={promoting.after} onChange={e => setPromoting(p => ({ ...p, after: Number(e.target.value) }))}
+                  className="flex-1 min-w-0 p-2 bg-white dark:bg-zinc-900 border border-zinc-200 dark:border-zinc-700 rounded-xl text-xs outline-none">
+                  {findParagraphs(layout.pages[promoting.page] || '').map((para, pi) => (
+                    <option key={pi} value={pi}>¶{pi + 1} …{layout.pages[promoting.page].slice(Math.max(para.end - 48, para.start), para.end)}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="flex gap-2">
+                <button onClick={promoteBranch} className="flex-1 py-2 bg-emerald-500 text-white rounded-xl text-[9px] font-black uppercase">Insert into manuscript</button>
+                <button onClick={() => setPromoting(null)} className="px-3 py-2 text-[9px] font-black uppercase text-zinc-400">Cancel</button>
+              </div>
+            </div>
+          )}
+        </div>
+        {children.length > 0 && (
+          <div className="ml-3 pl-3 border-l-2 border-purple-100 dark:border-purple-900/40 space-y-2">{children.map(renderBranch)}</div>
+        )}
+      </div>
+    );
+  };
+
+  const SyncStatus = ({ size }) => {
+    const { online, pending } = syncState;
+    const title = !online ? "Offline: changes are kept on this device and sync when you reconnect"
+      : pending ? "Syncing changes…" : "All changes synced";
+    return (
+      <span title={title} className={`flex items-center justify-center ${!online ? 'text-red-400' : pending ? 'text-amber-500 animate-pulse' : 'text-zinc-400'}`}>
+        {online ? <Cloud size={size} /> : <CloudOff size={size} />}
+      </span>
+    );
+  };
+
   const NavItem = ({ id, icon: Icon, label }) => (
     <button
       onClick={() => { setActiveTab(id); setIsSidebarOpen(true); }}
@@ -417,6 +2372,10 @@ export default function App() {
           <h1 className="text-xs font-black uppercase tracking-widest truncate">{currentDocName}</h1>
         </div>
         <div className="flex items-center gap-3">
+          <SyncStatus size={16} />
+          {text && isSpeechSupported() && (
+            <button onClick={toggleReading} className={`p-1 ${readAloud ? 'text-sky-500' : 'text-zinc-400'}`}><Headphones size={18} /></button>
+          )}
           <span className="text-[10px] font-black text-amber-500">{readProgress}%</span>
           <button onClick={() => setTheme(t => t === 'dark' ? 'light' : 'dark')} className="p-1 text-zinc-400">
             {theme === 'dark' ? <Sun size={18}/> : <Moon size={18}/>}
@@ -432,7 +2391,14 @@ export default function App() {
           <NavItem id="insights" icon={Sparkles} label="Magic" />
           <NavItem id="chat" icon={MessageSquare} label="Chat" />
           <NavItem id="navigator" icon={Layers} label="Pages" />
+          <NavItem id="search" icon={Search} label="Search" />
+          <NavItem id="stats" icon={BarChart3} label="Stats" />
+          <NavItem id="notes" icon={Highlighter} label="Notes" />
+          <NavItem id="vocab" icon={GraduationCap} label="Words" />
+          <NavItem id="codex" icon={Users} label="Codex" />
+          <NavItem id="weaver" icon={Wand2} label="Weaver" />
           <div className="mt-auto flex flex-col gap-4">
+            <div className="p-3"><SyncStatus size={20} /></div>
             <button onClick={() => setTheme(t => t === 'dark' ? 'light' : 'dark')} className="p-3 text-zinc-400 hover:text-amber-500 transition-colors">
               {theme === 'dark' ? <Sun size={20}/> : <Moon size={20}/>}
             </button>
@@ -442,25 +2408,114 @@ export default function App() {
           </div>
         </nav>
 
-        <main className="flex-1 overflow-y-auto px-4 md:px-20 py-8 scroll-smooth relative custom-scrollbar bg-zinc-50 dark:bg-zinc-950">
-          <div className="max-w-3xl mx-auto">
+        <main ref={readerRef} onScroll={handleReaderScroll} className="flex-1 overflow-y-auto px-4 md:px-20 py-8 scroll-smooth relative custom-scrollbar bg-zinc-50 dark:bg-zinc-950">
+          <div className={`${translationView && text ? 'max-w-6xl' : 'max-w-3xl'} mx-auto transition-all`}>
             <div className="hidden md:flex justify-between items-end border-b border-zinc-200 dark:border-zinc-800 pb-6 mb-12">
               <div className="max-w-[70%]">
                 <h1 className="text-3xl font-serif font-bold text-zinc-800 dark:text-zinc-100">{currentDocName}</h1>
                 <p className="text-[10px] uppercase font-black tracking-widest text-zinc-400 mt-2">
                   Progress: Page {currentPage + 1} of {pages.length} ({readProgress}%)
+                  {currentChapter && <span className="ml-2 text-amber-500">· {currentChapter.title}</span>}
                 </p>
               </div>
+              <div className="flex items-center gap-2">
+                {user && currentDocId && revisions.length > 0 && (
+                  <button onClick={openHistory} title="Revision history"
+                    className="flex items-center gap-2 px-4 py-2 rounded-xl text-[10px] font-black uppercase tracking-widest border border-zinc-200 dark:border-zinc-800 text-zinc-400 hover:text-amber-500 transition-colors">
+                    <History size={14} /> {revisions.length}
+                  </button>
+                )}
+                {translationView && text && (
+                  <button onClick={() => setTranslationView(false)} title="Back to the original only"
+                    className="flex items-center gap-2 px-4 py-2 rounded-xl text-[10px] font-black uppercase tracking-widest bg-amber-500 text-white">
+                    <Columns2 size={14} /> {translationLanguage.name} <X size={12} />
+                  </button>
+                )}
+                {text && isSpeechSupported() && (
+                  <button onClick={toggleReading} title={readAloud ? "Pause or resume reading aloud" : "Read aloud from here"}
+                    className={`flex items-center gap-2 px-4 py-2 rounded-xl text-[10px] font-black uppercase tracking-widest border transition-colors ${readAloud ? 'bg-sky-500 text-white border-sky-500' : 'border-zinc-200 dark:border-zinc-800 text-zinc-400 hover:text-sky-500'}`}>
+                    <Headphones size={14} /> {readAloud?.status === 'playing' ? 'Pause' : readAloud ? 'Resume' : 'Listen'}
+                  </button>
+                )}
+              </div>
             </div>
 
+            {recapOffer && (
+              <div className="flex items-center gap-3 mb-8 p-4 bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800 rounded-2xl animate-in">
+                <History size={18} className="text-amber-500 shrink-0" />
+                <p className="flex-1 text-xs font-bold text-zinc-700 dark:text-zinc-200">Welcome back. Want a quick recap of what you've read so far?</p>
+                <button onClick={() => runSummary('recap')} className="px-3 py-1.5 bg-amber-500 text-white rounded-lg text-[9px] font-black uppercase">Previously on…</button>
+                <button onClick={() => setRecapOffer(false)} className="p-1 text-zinc-400 hover:text-zinc-600"><X size={14} /></button>
+              </div>
+            )}
+
             <div className="space-y-12 pb-32">
               {pages.map((p, i) => (
                 <article key={i} id={`page-${i}`} data-page-index={i}
-                  className="bg-white dark:bg-zinc-900 p-8 md:p-16 rounded-[2rem] border border-zinc-200 dark:border-zinc-800 shadow-sm transition-all hover:shadow-md relative group selection:bg-amber-100 dark:selection:bg-amber-900/50">
-                  <span className="absolute top-6 right-8 text-[10px] font-black text-zinc-200 dark:text-zinc-800 uppercase tracking-widest transition-colors group-hover:text-amber-500">Page {i + 1}</span>
-                  <div className="font-serif text-lg md:text-xl leading-relaxed text-zinc-800 dark:text-zinc-300 whitespace-pre-wrap select-text">
-                    {p}
-                  </div>
+                  className={`bg-white dark:bg-zinc-900 p-8 md:p-16 rounded-[2rem] border border-zinc-200 dark:border-zinc-800 shadow-sm transition-all hover:shadow-md relative group selection:bg-amber-100 dark:selection:bg-amber-900/50 ${editorPages.get(i)?.hidden ? 'hidden' : ''}`}>
+                  <span className="absolute top-6 right-8 text-[10px] font-black text-zinc-200 dark:text-zinc-800 uppercase tracking-widest transition-colors group-hover:text-amber-500">
+                    {layout.toc[layout.pageChapters[i]] && <span className="mr-2">{layout.toc[layout.pageChapters[i]].title} ·</span>}Page {i + 1}
+                  </span>
+                  {text && (
+                    <button onClick={() => toggleBookmark(i)} title={bookmarksByPage.has(i) ? "Remove bookmark" : "Bookmark page"}
+                      className={`absolute top-5 left-7 p-1 transition-colors ${bookmarksByPage.has(i) ? 'text-amber-500' : 'text-zinc-200 dark:text-zinc-800 opacity-0 group-hover:opacity-100 hover:text-amber-500'}`}>
+                      <Bookmark size={16} fill={bookmarksByPage.has(i) ? 'currentColor' : 'none'} />
+                    </button>
+                  )}
+                  {text && !editorPages.has(i) && (
+                    <button onClick={() => startEditing(i)} title="Edit page"
+                      className="absolute top-5 left-14 p-1 text-zinc-200 dark:text-zinc-800 opacity-0 group-hover:opacity-100 hover:text-amber-500 transition-colors">
+                      <Pencil size={16} />
+                    </button>
+                  )}
+                  {editorPages.has(i) ? (
+                    <div className="font-serif text-lg md:text-xl leading-relaxed text-zinc-800 dark:text-zinc-300 whitespace-pre-wrap">
+                      {editorPages.get(i).host && (
+                        <div className="flex items-center gap-3 mb-6 font-sans text-[10px] font-black uppercase tracking-widest">
+                          <span className="flex items-center gap-1.5 text-amber-500"><Pencil size={12} /> Editing</span>
+                          <span className="flex-1 text-zinc-400">{editStatusLabel}</span>
+                          {user && currentDocId && (
+                            <button onClick={openHistory} className="flex items-center gap-1 text-zinc-400 hover:text-amber-500 transition-colors"><History size={12} /> History</button>
+                          )}
+                          <button onClick={finishEditing} className="px-3 py-1.5 bg-amber-500 text-white rounded-lg">Done</button>
+                        </div>
+                      )}
+                      {editorPages.get(i).before}
+                      {editorPages.get(i).host && (
+                        <textarea ref={autoGrow} value={editDraft.value} autoFocus spellCheck
+                          onChange={e => { autoGrow(e.target); setEditDraft(d => ({ ...d, value: e.target.value, dirty: true })); }}
+                          onKeyDown={e => e.key === 'Escape' && finishEditing()}
+                          className="block w-full resize-none overflow-hidden bg-amber-50/50 dark:bg-amber-900/10 rounded-xl px-3 py-2 outline-none ring-1 ring-amber-200 dark:ring-amber-900 focus:ring-2 focus:ring-amber-400" />
+                      )}
+                      {editorPages.get(i).after}
+                    </div>
+                  ) : translationView && text ? (
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-x-10 gap-y-4 font-serif text-base md:text-lg leading-relaxed">
+                      {(paragraphsByPage[i] || []).map((para, pi) => (
+                        <React.Fragment key={pi}>
+                          <p onClick={e => handlePageTap(i, e.currentTarget, e, para.start)} className="whitespace-pre-wrap text-zinc-800 dark:text-zinc-300">
+                            {segmentText(p.slice(para.start, para.end), pageRanges(i).map(r => ({ ...r, start: r.start - para.start, end: r.end - para.start }))).map(renderSegment)}
+                          </p>
+                          {translatedPages[i] ? (
+                            <p lang={selectedLang} className="whitespace-pre-wrap text-zinc-600 dark:text-zinc-400 md:border-l border-zinc-100 dark:border-zinc-800 md:pl-10 mb-4 md:mb-0">{translatedPages[i][pi]}</p>
+                          ) : pi === 0 ? (
+                            <div className="md:border-l border-zinc-100 dark:border-zinc-800 md:pl-10">
+                              <button onClick={() => runTranslation('page', i)} disabled={!!translationStatus}
+                                className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg border border-amber-200 text-amber-600 text-[9px] font-sans font-black uppercase disabled:opacity-50">
+                                <Languages size={12} /> Translate page into {translationLanguage.name}
+                              </button>
+                            </div>
+                          ) : <div className="hidden md:block md:border-l border-zinc-100 dark:border-zinc-800" />}
+                        </React.Fragment>
+                      ))}
+                    </div>
+                  ) : (
+                    <div onMouseUp={e => handlePageSelection(i, e.currentTarget)} onTouchEnd={e => handlePageSelection(i, e.currentTarget)}
+                      onClick={e => handlePageTap(i, e.currentTarget, e)}
+                      className="font-serif text-lg md:text-xl leading-relaxed text-zinc-800 dark:text-zinc-300 whitespace-pre-wrap select-text">
+                      {segmentText(p, pageRanges(i)).map(renderSegment)}
+                    </div>
+                  )}
                 </article>
               ))}
             </div>
@@ -494,41 +2549,286 @@ export default function App() {
                     </div>
                   ) : (
                     <>
-                      <label className="flex flex-col items-center justify-center p-10 border-2 border-dashed border-zinc-200 dark:border-zinc-800 rounded-3xl hover:border-amber-500 cursor-pointer transition-all group">
+                      <label className={`flex flex-col items-center justify-center p-10 border-2 border-dashed border-zinc-200 dark:border-zinc-800 rounded-3xl hover:border-amber-500 cursor-pointer transition-all group ${importProgress ? 'opacity-50 pointer-events-none' : ''}`}>
                         <FileUp size={32} className="text-zinc-300 group-hover:text-amber-500 mb-2 transition-colors"/>
-                        <span className="text-[10px] font-black uppercase text-zinc-500">Upload PDF</span>
-                        <input type="file" onChange={handleFileUpload} className="hidden" accept=".pdf" />
+                        <span className="text-[10px] font-black uppercase text-zinc-500">Upload Manuscript</span>
+                        <span className="text-[9px] text-zinc-400 mt-1">{importerLabels().join(' · ')}</span>
+                        <input type="file" onChange={handleFileUpload} className="hidden" accept={acceptedTypes()} />
                       </label>
+                      <div className="p-4 bg-zinc-50 dark:bg-zinc-800/50 rounded-2xl border border-zinc-100 dark:border-zinc-800">
+                        <button onClick={() => setIsUrlFormOpen(o => !o)} className="w-full flex items-center gap-2 text-[10px] font-black uppercase text-zinc-500 hover:text-amber-500 transition-colors">
+                          <LinkIcon size={14}/> From URL
+                        </button>
+                        {isUrlFormOpen && (
+                          <div className="mt-3 space-y-2 animate-in">
+                            <input value={importUrl} onChange={e => setImportUrl(e.target.value)} onKeyDown={e => e.key === 'Enter' && handleUrlImport()}
+                              placeholder="https://example.com/story/chapter-1" type="url"
+                              className="w-full bg-white dark:bg-zinc-900 border rounded-xl px-3 py-2 text-xs outline-none focus:ring-2 focus:ring-amber-500" />
+                            <div className="flex gap-2 items-center">
+                              <label className="text-[9px] font-black uppercase text-zinc-400">Chapters</label>
+                              <input type="number" min={1} max={MAX_CHAPTER_LIMIT} value={chapterLimit} onChange={e => setChapterLimit(e.target.value)}
+                                className="w-16 bg-white dark:bg-zinc-900 border rounded-xl px-2 py-2 text-xs" />
+                              <button onClick={handleUrlImport} disabled={!importUrl.trim() || !!importProgress}
+                                className="ml-auto px-4 py-2 bg-amber-500 text-white rounded-xl text-[10px] font-black uppercase shadow-md disabled:opacity-50">
+                                Import
+                              </button>
+                            </div>
+                          </div>
+                        )}
+                      </div>
+                      {importProgress && (
+                        <div className="p-4 rounded-2xl border border-amber-200 bg-amber-50 dark:bg-amber-900/10 space-y-2 animate-in">
+                          <div className="flex items-center gap-2">
+                            <Loader2 size={14} className="animate-spin text-amber-500" />
+                            <span className="text-[10px] font-black uppercase text-zinc-500 flex-1">{importProgress.label}</span>
+                            <button onClick={() => importAbort.current?.abort()} className="text-[9px] font-black uppercase text-zinc-400 hover:text-red-500">Cancel</button>
+                          </div>
+                          {importProgress.total > 0 && (
+                            <div className="h-1.5 bg-amber-100 dark:bg-zinc-800 rounded-full overflow-hidden">
+                              <div className="h-full bg-amber-500 transition-all" style={{ width: `${Math.round((importProgress.done / importProgress.total) * 100)}%` }} />
+                            </div>
+                          )}
+                        </div>
+                      )}
+                      {continueReading.length > 0 && (
+                        <div className="space-y-3">
+                          <h3 className="text-[10px] font-black uppercase text-zinc-400 tracking-widest">Continue Reading</h3>
+                          {continueReading.map(({ source: s, position }) => (
+                            <button key={s.id} onClick={() => openSource(s)}
+                              className="w-full p-4 rounded-2xl bg-amber-50 dark:bg-amber-900/10 border border-amber-100 dark:border-amber-900/40 text-left hover:border-amber-400 transition-all">
+                              <p className="text-xs font-bold truncate flex items-center gap-2">
+                                {openingSourceId === s.id ? <Loader2 size={12} className="animate-spin text-amber-500 shrink-0" /> : <BookOpen size={12} className="text-amber-500 shrink-0" />}{sourceTitle(s)}
+                              </p>
+                              <p className="text-[10px] text-zinc-400 mt-1">Page {position.page + 1} · {position.percent}% · {new Date(position.updatedAt).toLocaleDateString()}</p>
+                              <div className="mt-2 h-1 bg-amber-100 dark:bg-zinc-800 rounded-full overflow-hidden">
+                                <div className="h-full bg-amber-500 rounded-full" style={{ width: `${position.percent}%` }} />
+                              </div>
+                            </button>
+                          ))}
+                        </div>
+                      )}
                       <div className="space-y-3">
-                        <h3 className="text-[10px] font-black uppercase text-zinc-400 tracking-widest">Collections</h3>
-                        {sources.map(s => (
-                          <div key={s.id} className={`p-4 rounded-2xl border flex items-center gap-4 transition-all ${currentDocId === s.id ? 'border-amber-500 bg-amber-50 dark:bg-amber-900/10' : 'border-zinc-100 dark:hover:bg-zinc-800'}`}>
-                            <button onClick={() => { setText(s.content); setCurrentDocName(s.name); setCurrentDocId(s.id); setIsSidebarOpen(false); isInitialLoad.current = true; }} className="flex-1 text-left min-w-0">
-                              <p className="text-xs font-bold truncate">{s.name}</p>
-                              <p className="text-[10px] text-zinc-400 mt-1">{s.date}</p>
+                        <div className="flex items-center justify-between">
+                          <h3 className="text-[10px] font-black uppercase text-zinc-400 tracking-widest">Collections</h3>
+                          <button onClick={() => setSelectedSourceIds(sel => (sel ? null : []))}
+                            className={`flex items-center gap-1 text-[9px] font-black uppercase transition-colors ${selectedSourceIds ? 'text-amber-500' : 'text-zinc-400 hover:text-amber-500'}`}>
+                            <CheckSquare size={12}/> {selectedSourceIds ? 'Done' : 'Select'}
+                          </button>
+                        </div>
+                        <div className="flex flex-wrap items-center gap-1.5">
+                          {[{ id: 'all', name: 'All' }, { id: 'none', name: 'Unshelved' }, ...shelves].map(sh => (
+                            <button key={sh.id} onClick={() => setLibraryView(v => ({ ...v, shelf: sh.id }))}
+                              className={`px-3 py-1 rounded-full text-[9px] font-black uppercase border transition-colors ${activeShelf === sh.id
+                                ? 'bg-amber-500 border-amber-500 text-white'
+                                : 'border-zinc-200 dark:border-zinc-700 text-zinc-500 hover:border-amber-400'}`}>
+                              {sh.name}
                             </button>
-                            <button onClick={() => deleteDoc(doc(db, 'artifacts', appId, 'users', user.uid, 'sources', s.id))} className="text-zinc-300 hover:text-red-500">
-                              <Trash2 size={16}/>
+                          ))}
+                          <button onClick={handleNewShelf} title="New shelf" className="p-1 text-zinc-400 hover:text-amber-500 transition-colors"><FolderPlus size={14}/></button>
+                        </div>
+                        {currentShelf && (
+                          <div className="flex items-center gap-3 text-[9px] font-black uppercase text-zinc-400">
+                            <Folder size={12}/> <span className="flex-1 truncate">{currentShelf.name}</span>
+                            <button onClick={() => handleRenameShelf(currentShelf)} className="hover:text-amber-500">Rename</button>
+                            <button onClick={() => handleDeleteShelf(currentShelf)} className="hover:text-red-500">Delete shelf</button>
+                          </div>
+                        )}
+                        <div className="flex gap-1.5">
+                          <input value={libraryQuery} onChange={e => setLibraryQuery(e.target.value)} placeholder="Filter by title, author or series"
+                            className="flex-1 min-w-0 bg-white dark:bg-zinc-900 border border-zinc-200 dark:border-zinc-700 rounded-xl px-3 py-2 text-xs outline-none focus:ring-2 focus:ring-amber-500" />
+                          <select value={libraryView.sort} onChange={e => setLibraryView(v => ({ ...v, sort: e.target.value }))} title="Sort by"
+                            className="bg-white dark:bg-zinc-900 border border-zinc-200 dark:border-zinc-700 rounded-xl px-2 py-2 text-[10px] font-bold">
+                            {LIBRARY_SORTS.map(o => <option key={o.id} value={o.id}>{o.label}</option>)}
+                          </select>
+                        </div>
+                        {libraryTags.length > 0 && (
+                          <div className="flex flex-wrap gap-1.5">
+                            {libraryTags.map(t => (
+                              <button key={t} onClick={() => setLibraryView(v => ({ ...v, tag: activeTag === t ? null : t }))}
+                                className={`flex items-center gap-1 px-2 py-0.5 rounded-full text-[9px] font-bold border transition-colors ${activeTag === t
+                                  ? 'bg-sky-500 border-sky-500 text-white'
+                                  : 'border-zinc-200 dark:border-zinc-700 text-zinc-500 hover:border-sky-400'}`}>
+                                <Tag size={9}/> {t}
+                              </button>
+                            ))}
+                          </div>
+                        )}
+                        {selectedSourceIds && (
+                          <div className="p-3 rounded-2xl border border-amber-200 bg-amber-50 dark:bg-amber-900/10 dark:border-amber-900/40 space-y-2 animate-in">
+                            <div className="flex items-center gap-3 text-[9px] font-black uppercase text-zinc-500">
+                              <span className="flex-1">{selectedSourceIds.length} selected</span>
+                              <button onClick={() => setSelectedSourceIds(librarySources.map(s => s.id))} className="hover:text-amber-500">All</button>
+                              <button onClick={() => setSelectedSourceIds([])} className="hover:text-amber-500">None</button>
+                            </div>
+                            <div className="flex gap-1.5">
+                              <select value="" onChange={e => e.target.value && moveSources(selectedSourceIds, e.target.value === 'none' ? null : e.target.value)}
+                                disabled={!selectedSourceIds.length}
+                                className="flex-1 min-w-0 bg-white dark:bg-zinc-900 border border-zinc-200 dark:border-zinc-700 rounded-xl px-2 py-2 text-[10px] font-bold disabled:opacity-50">
+                                <option value="">Move to shelf…</option>
+                                {shelves.map(sh => <option key={sh.id} value={sh.id}>{sh.name}</option>)}
+                                <option value="none">Unshelved</option>
+                              </select>
+                              <button onClick={() => handleDeleteSources(selectedSourceIds)} disabled={!selectedSourceIds.length}
+                                className="px-3 py-2 rounded-xl border border-red-200 text-red-500 text-[9px] font-black uppercase flex items-center gap-1 disabled:opacity-30">
+                                <Trash2 size={12}/> Delete
+                              </button>
+                            </div>
+                            <div className="flex gap-1.5">
+                              <input value={bulkTag} onChange={e => setBulkTag(e.target.value)} placeholder="Tag" list="nq-library-tags"
+                                className="flex-1 min-w-0 bg-white dark:bg-zinc-900 border border-zinc-200 dark:border-zinc-700 rounded-xl px-3 py-2 text-xs" />
+                              <datalist id="nq-library-tags">
+                                {libraryTags.map(t => <option key={t} value={t} />)}
+                              </datalist>
+                              <button onClick={() => tagSources(selectedSourceIds, bulkTag, true)} disabled={!selectedSourceIds.length || !bulkTag.trim()}
+                                className="px-3 py-2 rounded-xl bg-amber-500 text-white text-[9px] font-black uppercase disabled:opacity-50">Add</button>
+                              <button onClick={() => tagSources(selectedSourceIds, bulkTag, false)} disabled={!selectedSourceIds.length || !bulkTag.trim()}
+                                className="px-3 py-2 rounded-xl border border-zinc-200 dark:border-zinc-700 text-zinc-500 text-[9px] font-black uppercase disabled:opacity-50">Remove</button>
+                            </div>
+                          </div>
+                        )}
+                        {!librarySources.length && (
+                          <p className="text-xs text-zinc-400 text-center py-6">{sources.length ? "No books match these filters." : "Upload a manuscript to start your Library."}</p>
+                        )}
+                        {librarySources.map(s => sourceDraft?.id === s.id ? (
+                          <div key={s.id} className="p-4 rounded-2xl border border-amber-300 bg-white dark:bg-zinc-900 space-y-2 animate-in">
+                            <div className="flex gap-3">
+                              <div className="shrink-0 flex flex-col items-center gap-1">
+                                {sourceDraft.cover
+                                  ? <img src={sourceDraft.cover} alt="" className="w-14 h-20 object-cover rounded-md shadow-sm" />
+                                  : <div className="w-14 h-20 rounded-md bg-zinc-100 dark:bg-zinc-800 flex items-center justify-center text-zinc-300"><BookOpen size={18}/></div>}
+                                <label className="flex items-center gap-1 text-[9px] font-black uppercase text-zinc-400 hover:text-amber-500 cursor-pointer">
+                                  <ImagePlus size={10}/> Cover
+                                  <input type="file" accept="image/*" onChange={handleCoverUpload} className="hidden" />
+                                </label>
+                                {sourceDraft.cover && (
+                                  <button onClick={() => setSourceDraft(d => ({ ...d, cover: null }))} className="text-[9px] font-black uppercase text-zinc-400 hover:text-red-500">Remove</button>
+                                )}
+                              </div>
+                              <div className="flex-1 min-w-0 space-y-2">
+                                <input value={sourceDraft.title} onChange={e => setSourceDraft(d => ({ ...d, title: e.target.value }))} placeholder={s.name}
+                                  className="w-full bg-zinc-50 dark:bg-zinc-800 border border-zinc-200 dark:border-zinc-700 rounded-xl px-3 py-2 text-xs font-bold" />
+                                <input value={sourceDraft.author} onChange={e => setSourceDraft(d => ({ ...d, author: e.target.value }))} placeholder="Author"
+                                  className="w-full bg-zinc-50 dark:bg-zinc-800 border border-zinc-200 dark:border-zinc-700 rounded-xl px-3 py-2 text-xs" />
+                                <div className="flex gap-2">
+                                  <input value={sourceDraft.series} onChange={e => setSourceDraft(d => ({ ...d, series: e.target.value }))} placeholder="Series"
+                                    className="flex-1 min-w-0 bg-zinc-50 dark:bg-zinc-800 border border-zinc-200 dark:border-zinc-700 rounded-xl px-3 py-2 text-xs" />
+                                  <input type="number" min={0} step="any" value={sourceDraft.seriesNumber} onChange={e => setSourceDraft(d => ({ ...d, seriesNumber: e.target.value }))} placeholder="#"
+                                    className="w-16 bg-zinc-50 dark:bg-zinc-800 border border-zinc-200 dark:border-zinc-700 rounded-xl px-2 py-2 text-xs" />
+                                </div>
+                              </div>
+                            </div>
+                            <input value={sourceDraft.tags} onChange={e => setSourceDraft(d => ({ ...d, tags: e.target.value }))} placeholder="Tags, separated by commas"
+                              className="w-full bg-zinc-50 dark:bg-zinc-800 border border-zinc-200 dark:border-zinc-700 rounded-xl px-3 py-2 text-xs" />
+                            <select value={sourceDraft.shelfId} onChange={e => setSourceDraft(d => ({ ...d, shelfId: e.target.value }))}
+                              className="w-full bg-zinc-50 dark:bg-zinc-800 border border-zinc-200 dark:border-zinc-700 rounded-xl px-3 py-2 text-xs font-bold">
+                              <option value="">No shelf</option>
+                              {shelves.map(sh => <option key={sh.id} value={sh.id}>{sh.name}</option>)}
+                            </select>
+                            <div className="flex justify-end gap-2">
+                              <button onClick={() => setSourceDraft(null)} className="px-4 py-2 text-[10px] font-black uppercase text-zinc-400">Cancel</button>
+                              <button onClick={saveSourceDraft} className="px-4 py-2 bg-amber-500 text-white rounded-xl text-[10px] font-black uppercase shadow-md">Save</button>
+                            </div>
+                          </div>
+                        ) : (
+                          <div key={s.id} className={`p-4 rounded-2xl border flex items-center gap-3 transition-all ${currentDocId === s.id ? 'border-amber-500 bg-amber-50 dark:bg-amber-900/10' : 'border-zinc-100 dark:hover:bg-zinc-800'}`}>
+                            {selectedSourceIds && (
+                              <input type="checkbox" checked={selectedSourceIds.includes(s.id)} onChange={() => toggleSourceSelected(s.id)} className="accent-amber-500 shrink-0" />
+                            )}
+                            <button onClick={() => (selectedSourceIds ? toggleSourceSelected(s.id) : openSource(s))} className="flex-1 text-left min-w-0 flex items-center gap-3">
+                              {s.cover
+                                ? <img src={s.cover} alt="" className="w-10 h-14 object-cover rounded-md shadow-sm shrink-0" />
+                                : <div className="w-10 h-14 rounded-md bg-zinc-100 dark:bg-zinc-800 flex items-center justify-center text-zinc-300 shrink-0"><BookOpen size={16}/></div>}
+                              <div className="flex-1 min-w-0">
+                                <p className="text-xs font-bold truncate flex items-center gap-2">
+                                  {openingSourceId === s.id && <Loader2 size={12} className="animate-spin text-amber-500 shrink-0" />}{sourceTitle(s)}
+                                </p>
+                                {sourceByline(s) && <p className="text-[10px] text-zinc-500 truncate mt-0.5">{sourceByline(s)}</p>}
+                                <p className="text-[10px] text-zinc-400 mt-1">{s.date}{progressOf(s) > 0 && ` · ${progressOf(s)}%`}</p>
+                                {s.tags?.length > 0 && (
+                                  <div className="flex flex-wrap gap-1 mt-1.5">
+                                    {s.tags.map(t => <span key={t} className="px-1.5 py-0.5 rounded-full bg-sky-50 dark:bg-sky-900/20 text-sky-600 text-[8px] font-bold">{t}</span>)}
+                                  </div>
+                                )}
+                                {progressOf(s) > 0 && (
+                                  <div className="mt-2 h-1 bg-zinc-100 dark:bg-zinc-800 rounded-full overflow-hidden">
+                                    <div className="h-full bg-amber-500 rounded-full" style={{ width: `${progressOf(s)}%` }} />
+                                  </div>
+                                )}
+                              </div>
                             </button>
+                            {!selectedSourceIds && (
+                              <div className="flex flex-col items-center gap-3 shrink-0">
+                                <button onClick={() => startEditingSource(s)} title="Edit details" className="text-zinc-300 hover:text-amber-500">
+                                  <Pencil size={14}/>
+                                </button>
+                                <button onClick={() => handleDeleteSources([s.id])} title="Delete" className="text-zinc-300 hover:text-red-500">
+                                  <Trash2 size={16}/>
+                                </button>
+                              </div>
+                            )}
                           </div>
                         ))}
                       </div>
                         <button onClick={() => signOut(auth)} className="w-full py-3 text-[10px] font-black uppercase text-zinc-400 border border-zinc-100 rounded-xl mt-8">Sign Out</button>
                     </>
                   )}
+                  {text && (
+                    <div className="p-4 bg-zinc-50 dark:bg-zinc-800/50 rounded-2xl border border-zinc-100 dark:border-zinc-800 space-y-3">
+                      <h3 className="text-[10px] font-black uppercase text-zinc-500 flex items-center gap-2"><Download size={14}/> Export {currentDocName}</h3>
+                      <div className="grid grid-cols-3 gap-2">
+                        <button onClick={handleExportStudyPack} title="Summaries, codex, highlights and chats as Markdown"
+                          className="py-2 bg-white dark:bg-zinc-900 border border-zinc-200 dark:border-zinc-700 rounded-xl text-[9px] font-black uppercase">Study pack</button>
+                        <button onClick={() => handleExportBook('epub')} disabled={!!exportProgress} title="The manuscript with chapters and highlights"
+                          className="py-2 bg-white dark:bg-zinc-900 border border-zinc-200 dark:border-zinc-700 rounded-xl text-[9px] font-black uppercase disabled:opacity-50">EPUB</button>
+                        <button onClick={() => handleExportBook('pdf')} disabled={!!exportProgress} title="Print the annotated manuscript or save it as PDF"
+                          className="py-2 bg-white dark:bg-zinc-900 border border-zinc-200 dark:border-zinc-700 rounded-xl text-[9px] font-black uppercase disabled:opacity-50">PDF</button>
+                      </div>
+                      {exportProgress && (
+                        <div className="space-y-2 animate-in">
+                          <div className="flex items-center gap-2">
+                            <Loader2 size={12} className="animate-spin text-amber-500" />
+                            <span className="text-[10px] font-black uppercase text-zinc-500 flex-1">{exportProgress.label}</span>
+                            <button onClick={() => exportAbort.current?.abort()} className="text-[9px] font-black uppercase text-zinc-400 hover:text-red-500">Cancel</button>
+                          </div>
+                          {exportProgress.total > 0 && (
+                            <div className="h-1.5 bg-amber-100 dark:bg-zinc-800 rounded-full overflow-hidden">
+                              <div className="h-full bg-amber-500 transition-all" style={{ width: `${Math.round((exportProgress.done / exportProgress.total) * 100)}%` }} />
+                            </div>
+                          )}
+                        </div>
+                      )}
+                    </div>
+                  )}
                 </div>
               )}
 
               {activeTab === 'insights' && (
                 <div className="space-y-6">
                   <div className="p-4 bg-zinc-50 dark:bg-zinc-800/50 rounded-2xl border border-zinc-100">
-                    <label className="block text-[10px] font-black uppercase text-zinc-500 mb-2">Translate Selection</label>
+                    <label className="block text-[10px] font-black uppercase text-zinc-500 mb-2">Translate</label>
                     <div className="flex gap-2">
                       <select value={selectedLang} onChange={e => setSelectedLang(e.target.value)} className="flex-1 bg-white dark:bg-zinc-900 border rounded-xl px-3 py-2 text-xs">
                         {LANGUAGES.map(l => <option key={l.code} value={l.code}>{l.name}</option>)}
                       </select>
-                      <button onClick={handleTranslate} className="px-4 py-2 bg-amber-500 text-white rounded-xl text-[10px] font-black uppercase shadow-md">Translate</button>
+                      <button onClick={handleTranslate} className="px-4 py-2 bg-amber-500 text-white rounded-xl text-[10px] font-black uppercase shadow-md">Selection</button>
+                    </div>
+                    <div className="grid grid-cols-2 gap-2 mt-2">
+                      <button onClick={() => runTranslation('page')} disabled={!!translationStatus} className="py-2 bg-white dark:bg-zinc-900 border border-zinc-200 dark:border-zinc-700 rounded-xl text-[9px] font-black uppercase disabled:opacity-50">Page</button>
+                      <button onClick={() => runTranslation('chapter')} disabled={!!translationStatus} className="py-2 bg-white dark:bg-zinc-900 border border-zinc-200 dark:border-zinc-700 rounded-xl text-[9px] font-black uppercase disabled:opacity-50">Chapter</button>
+                      <button onClick={translateRest} disabled={!!translationStatus || !missingTranslations} className="py-2 bg-white dark:bg-zinc-900 border border-zinc-200 dark:border-zinc-700 rounded-xl text-[9px] font-black uppercase disabled:opacity-50">Rest of book{missingTranslations > 0 && ` (${missingTranslations})`}</button>
+                      <button onClick={exportTranslation} disabled={!!translationStatus} className="py-2 bg-white dark:bg-zinc-900 border border-zinc-200 dark:border-zinc-700 rounded-xl text-[9px] font-black uppercase disabled:opacity-50 flex items-center justify-center gap-1"><Download size={10}/> Export</button>
                     </div>
+                    <button onClick={() => setTranslationView(v => !v)} disabled={!text}
+                      className={`mt-2 w-full py-2 rounded-xl text-[9px] font-black uppercase flex items-center justify-center gap-1.5 border transition-colors disabled:opacity-50 ${translationView ? 'bg-amber-500 text-white border-amber-500' : 'border-zinc-200 dark:border-zinc-700 text-zinc-500'}`}>
+                      <Columns2 size={12}/> {translationView ? 'Hide side by side' : 'Show side by side'}
+                    </button>
+                    {translationStatus && (
+                      <div className="flex items-center gap-2 mt-3 text-[10px] font-bold text-amber-600">
+                        <Loader2 size={12} className="animate-spin shrink-0" /><span className="flex-1 truncate">{translationStatus}</span>
+                        <button onClick={() => translationAbort.current?.abort()} className="text-[9px] font-black uppercase text-zinc-400 hover:text-red-500">Cancel</button>
+                      </div>
+                    )}
+                    <p className="mt-2 text-[9px] text-zinc-400">Page translations are cached per language. Export downloads only the pages translated so far.</p>
                   </div>
                   <div className="grid grid-cols-2 gap-3">
                     <button onClick={() => handleInsight('summary')} className="p-4 bg-amber-50 dark:bg-amber-900/20 rounded-2xl flex flex-col items-center gap-2 border border-amber-100">
@@ -541,21 +2841,52 @@ export default function App() {
                       <Wand2 size={24} className="text-purple-500" /><span className="text-[9px] font-black uppercase">Story Weaver</span>
                     </button>
                   </div>
+                  <div className="p-4 bg-zinc-50 dark:bg-zinc-800/50 rounded-2xl border border-zinc-100 dark:border-zinc-800">
+                    <label className="block text-[10px] font-black uppercase text-zinc-500 mb-2">Summaries</label>
+                    <div className="grid grid-cols-3 gap-2">
+                      <button onClick={() => runSummary('chapter')} disabled={!!summaryStatus} className="py-2 bg-white dark:bg-zinc-900 border border-zinc-200 dark:border-zinc-700 rounded-xl text-[9px] font-black uppercase disabled:opacity-50">Chapter</button>
+                      <button onClick={() => runSummary('synopsis')} disabled={!!summaryStatus} className="py-2 bg-white dark:bg-zinc-900 border border-zinc-200 dark:border-zinc-700 rounded-xl text-[9px] font-black uppercase disabled:opacity-50">Synopsis</button>
+                      <button onClick={() => runSummary('recap')} disabled={!!summaryStatus} className="py-2 bg-white dark:bg-zinc-900 border border-zinc-200 dark:border-zinc-700 rounded-xl text-[9px] font-black uppercase disabled:opacity-50">Previously on…</button>
+                    </div>
+                    {summaryStatus && (
+                      <div className="flex items-center gap-2 mt-3 text-[10px] font-bold text-amber-600">
+                        <Loader2 size={12} className="animate-spin shrink-0" /><span className="flex-1 truncate">{summaryStatus}</span>
+                        <button onClick={() => summaryAbort.current?.abort()} className="text-[9px] font-black uppercase text-zinc-400 hover:text-red-500">Cancel</button>
+                      </div>
+                    )}
+                    <p className="mt-2 text-[9px] text-zinc-400">Page summaries are cached and reused, so later runs only read new or changed pages.</p>
+                  </div>
                   {insightResult && (
                     <div className="p-6 bg-zinc-50 dark:bg-zinc-800/50 rounded-3xl border border-zinc-200 shadow-sm animate-in">
                       <div className="text-sm leading-relaxed whitespace-pre-wrap font-serif text-zinc-800 dark:text-zinc-200">{insightResult}</div>
+                      {insightLimit != null && (
+                        <p className="flex items-center gap-1 mt-3 text-[9px] font-black uppercase text-emerald-600"><Shield size={10}/> {guardLabel(insightLimit)}</p>
+                      )}
                       <button onClick={() => {
                         setChatHistory(prev => [...prev, {role:'bot', content: `**✨ Magic Insight (${insightType}):**\n${insightResult}`}]);
                         setActiveTab('chat');
                       }} className="mt-4 w-full py-2.5 text-[9px] font-black uppercase text-amber-600 border border-amber-200 rounded-xl">Add to Chat</button>
                     </div>
                   )}
-                  {isAiLoading && <div className="py-20 text-center"><Loader2 className="animate-spin text-amber-500 mx-auto mb-2"/><p className="text-[10px] font-black text-zinc-400 uppercase">Consulting AI...</p></div>}
+                  {isAiLoading && <div className="py-20 text-center"><Loader2 className="animate-spin text-amber-500 mx-auto mb-2"/><p className="text-[10px] font-black text-zinc-400 uppercase">Consulting AI...</p><button onClick={stopAi} className="mt-3 text-[9px] font-black uppercase text-zinc-400 hover:text-red-500">Stop</button></div>}
                 </div>
               )}
 
               {activeTab === 'chat' && (
                 <div className="flex flex-col h-full space-y-4">
+                  {user && currentDocId && (
+                    <div className="flex items-center gap-1.5">
+                      <select value={activeThreadId || ""} onChange={e => setActiveThreadId(e.target.value || null)} disabled={isAiLoading}
+                        className="flex-1 min-w-0 bg-white dark:bg-zinc-900 border border-zinc-200 dark:border-zinc-700 rounded-xl px-3 py-2 text-xs font-bold">
+                        {!activeThreadId && <option value="">New conversation</option>}
+                        {threads.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+                      </select>
+                      <button onClick={handleNewThread} title="New thread" className="p-2 text-zinc-400 hover:text-amber-500 transition-colors"><Plus size={16}/></button>
+                      <button onClick={handleRenameThread} disabled={!activeThread} title="Rename thread" className="p-2 text-zinc-400 hover:text-amber-500 transition-colors disabled:opacity-30"><Pencil size={14}/></button>
+                      <button onClick={handleExportThread} title="Export thread" className="p-2 text-zinc-400 hover:text-amber-500 transition-colors"><Download size={14}/></button>
+                      <button onClick={handleDeleteThread} disabled={!activeThread} title="Delete thread" className="p-2 text-zinc-400 hover:text-red-500 transition-colors disabled:opacity-30"><Trash2 size={14}/></button>
+                    </div>
+                  )}
                   <div className="flex items-center justify-between p-2 mb-4 bg-zinc-100 dark:bg-zinc-800 rounded-xl border border-zinc-200 dark:border-zinc-700">
                     <div className="flex items-center gap-2 px-2">
                       <BrainCircuit size={14} className={chatMode === 'strict' ? 'text-amber-500' : 'text-zinc-400'} />
@@ -568,6 +2899,46 @@ export default function App() {
                       Switch to {chatMode === 'strict' ? 'Global' : 'Strict'}
                     </button>
                   </div>
+                  <button onClick={() => setSpoilerGuard(g => !g)} title="Limit AI answers to pages you have already read"
+                    className={`-mt-4 flex items-center gap-2 px-3 py-2 rounded-xl border text-[9px] font-black uppercase tracking-widest transition-colors ${spoilerGuard
+                      ? 'border-emerald-200 bg-emerald-50 text-emerald-600 dark:bg-emerald-900/20 dark:border-emerald-800'
+                      : 'border-zinc-200 dark:border-zinc-700 text-zinc-400'}`}>
+                    <Shield size={12} fill={spoilerGuard ? 'currentColor' : 'none'} />
+                    Spoiler guard: {spoilerGuard ? `on · AI sees pages 1–${furthestPage + 1}` : 'off'}
+                  </button>
+                  <details className="-mt-2 rounded-xl border border-zinc-200 dark:border-zinc-700">
+                    <summary className="flex items-center gap-2 px-3 py-2 text-[9px] font-black uppercase tracking-widest text-zinc-400 cursor-pointer list-none hover:text-amber-500">
+                      <Cpu size={12}/> <span className="truncate">AI model: {modelLabel(aiSettings)}</span>
+                    </summary>
+                    <div className="px-3 pb-3 space-y-2">
+                      <select value={aiSettings.provider} onChange={e => changeProvider(e.target.value)} disabled={isAiLoading}
+                        className="w-full bg-white dark:bg-zinc-900 border border-zinc-200 dark:border-zinc-700 rounded-xl px-3 py-2 text-xs font-bold">
+                        {Object.entries(PROVIDERS).map(([id, p]) => <option key={id} value={id}>{p.label}</option>)}
+                      </select>
+                      {aiSettings.provider === 'openai' ? (
+                        <>
+                          <input value={aiSettings.baseUrl} onChange={e => setAiSettings(s => ({ ...s, baseUrl: e.target.value }))} placeholder="http://localhost:11434/v1"
+                            className="w-full bg-white dark:bg-zinc-900 border border-zinc-200 dark:border-zinc-700 rounded-xl px-3 py-2 text-xs" />
+                          <input type="password" value={aiSettings.apiKey} onChange={e => setAiSettings(s => ({ ...s, apiKey: e.target.value }))} placeholder="API key (local servers need none)"
+                            className="w-full bg-white dark:bg-zinc-900 border border-zinc-200 dark:border-zinc-700 rounded-xl px-3 py-2 text-xs" />
+                          <div className="flex gap-1.5">
+                            <input value={aiSettings.model} onChange={e => setAiSettings(s => ({ ...s, model: e.target.value }))} placeholder="Model, e.g. llama3.1" list="nq-provider-models"
+                              className="flex-1 min-w-0 bg-white dark:bg-zinc-900 border border-zinc-200 dark:border-zinc-700 rounded-xl px-3 py-2 text-xs" />
+                            <datalist id="nq-provider-models">
+                              {(providerModels || []).map(m => <option key={m.id} value={m.id} />)}
+                            </datalist>
+                            <button onClick={listProviderModels} title="List the server's models" className="p-2 text-zinc-400 hover:text-amber-500 transition-colors"><RefreshCw size={14}/></button>
+                          </div>
+                          <p className="text-[10px] text-zinc-400 leading-snug">Requests go straight from this browser, so the server must allow it (for Ollama, set OLLAMA_ORIGINS). The key is kept on this device only.</p>
+                        </>
+                      ) : (
+                        <select value={aiSettings.model} onChange={e => setAiSettings(s => ({ ...s, model: e.target.value }))} disabled={isAiLoading}
+                          className="w-full bg-white dark:bg-zinc-900 border border-zinc-200 dark:border-zinc-700 rounded-xl px-3 py-2 text-xs font-bold">
+                          {PROVIDERS[aiSettings.provider].models.map(m => <option key={m.id} value={m.id}>{m.label}</option>)}
+                        </select>
+                      )}
+                    </div>
+                  </details>
 
                   <div className="flex-1 space-y-6 overflow-y-auto pb-24 custom-scrollbar">
                     {chatHistory.length === 0 && <div className="py-20 text-center opacity-30"><MessageSquare size={48} className="mx-auto mb-4" /><p className="text-[10px] font-black uppercase">Ask AI about the plot...</p></div>}
@@ -592,6 +2963,42 @@ export default function App() {
                         }`}>
                           {m.content}
                           {m.isStreaming && <span className="inline-block w-2 h-4 ml-1 bg-amber-500 animate-pulse rounded-sm" />}
+                          {m.role === 'bot' && m.lang && !m.isStreaming && m.content && isSpeechSupported() && (
+                            <button onClick={() => speakMessage(m)} className={`flex items-center gap-1 mt-2 text-[9px] font-black uppercase ${speakingMessageId === m.id ? 'text-sky-500' : 'text-zinc-400 hover:text-sky-500'}`}>
+                              {speakingMessageId === m.id ? <Square size={10}/> : <Volume2 size={10}/>}
+                              {speakingMessageId === m.id ? 'Stop' : `Listen · ${LANGUAGES.find(l => l.code === m.lang)?.name || m.lang}`}
+                            </button>
+                          )}
+                          {m.role === 'bot' && m.spoilerLimit != null && (
+                            <p className="flex items-center gap-1 mt-2 text-[9px] font-black uppercase text-emerald-600"><Shield size={10}/> {guardLabel(m.spoilerLimit)}</p>
+                          )}
+                          {m.citations?.length > 0 && (
+                            <div className="flex flex-wrap gap-1.5 mt-3">
+                              {m.citations.map((c, ci) => (
+                                <button key={ci} onClick={() => openCitation(c)} title={c.valid ? c.quote : `Not found in manuscript: "${c.quote}"`}
+                                  className={`flex items-center gap-1 px-2 py-0.5 rounded-full text-[9px] font-black uppercase border transition-colors ${c.valid
+                                    ? 'border-amber-200 text-amber-600 bg-amber-50 dark:bg-amber-900/20 hover:bg-amber-100'
+                                    : 'border-red-200 text-red-500 bg-red-50 dark:bg-red-900/20'}`}>
+                                  {c.valid ? <Quote size={10}/> : <AlertCircle size={10}/>}
+                                  [{ci + 1}] p.{c.page + 1}{!c.valid && ' · unverified'}
+                                </button>
+                              ))}
+                            </div>
+                          )}
+                          {m.role === 'bot' && m.isStreaming && m.retrying && (
+                            <p className="flex items-center gap-1 mt-2 text-[9px] font-black uppercase text-zinc-400"><Loader2 size={10} className="animate-spin"/> Retrying ({m.retrying + 1} of 3)</p>
+                          )}
+                          {m.role === 'bot' && m.error && (
+                            <p className="flex items-center gap-1 mt-2 text-[9px] font-black uppercase text-red-500" title={m.error}><AlertCircle size={10}/> Failed · {m.error.slice(0, 80)}</p>
+                          )}
+                          {m.role === 'bot' && m.request && !m.isStreaming && (
+                            <div className="flex items-center gap-3 mt-2 text-[9px] font-black uppercase text-zinc-400">
+                              {m.stopped && <span>Stopped</span>}
+                              {m.model && <span className="flex items-center gap-1 truncate"><Cpu size={10}/> {m.model}</span>}
+                              <button onClick={() => regenerateMessage(m)} disabled={isAiLoading} title="Regenerate this reply"
+                                className="flex items-center gap-1 hover:text-amber-500 disabled:opacity-30"><RefreshCw size={10}/> Regenerate</button>
+                            </div>
+                          )}
                         </div>
                       </div>
                     ))}
@@ -601,21 +3008,590 @@ export default function App() {
                     <div className="relative">
                       <input value={userInput} onChange={e=>setUserInput(e.target.value)} onKeyDown={e=>e.key==='Enter'&&handleChat()} 
                         placeholder="Ask AI scholarly questions..." className="w-full p-4 bg-zinc-100 dark:bg-zinc-800 rounded-2xl text-sm focus:ring-2 focus:ring-amber-500 outline-none shadow-inner" />
-                      <button onClick={handleChat} disabled={isAiLoading || !userInput.trim()} className="absolute right-2 top-1/2 -translate-y-1/2 p-2 bg-amber-500 text-white rounded-xl shadow-lg active:scale-90 transition-all">
-                        {isAiLoading ? <Loader2 size={18} className="animate-spin" /> : <Send size={18}/>}
-                      </button>
+                      {isAiLoading ? (
+                        <button onClick={stopAi} title="Stop generating" className="absolute right-2 top-1/2 -translate-y-1/2 p-2 bg-zinc-700 text-white rounded-xl shadow-lg active:scale-90 transition-all">
+                          <Square size={18} fill="currentColor" />
+                        </button>
+                      ) : (
+                        <button onClick={handleChat} disabled={!userInput.trim()} className="absolute right-2 top-1/2 -translate-y-1/2 p-2 bg-amber-500 text-white rounded-xl shadow-lg active:scale-90 transition-all">
+                          <Send size={18}/>
+                        </button>
+                      )}
                     </div>
                   </div>
                 </div>
               )}
 
               {activeTab === 'navigator' && (
-                <div className="grid grid-cols-4 gap-3">
-                  {pages.map((_, i) => (
-                    <button key={i} onClick={() => scrollToPage(i)} className={`aspect-square rounded-2xl border-2 flex items-center justify-center text-xs font-black transition-all ${currentPage === i ? 'bg-amber-500 text-white border-amber-500 shadow-xl scale-110' : 'border-zinc-100 dark:border-zinc-800'}`}>
-                      {i + 1}
+                <div className="space-y-6">
+                  {layout.toc.length > 0 && (
+                    <div className="space-y-2">
+                      <h3 className="text-[10px] font-black uppercase text-zinc-400 tracking-widest">Contents</h3>
+                      {layout.toc.map((c, ci) => {
+                        const isCurrent = layout.pageChapters[currentPage] === ci;
+                        return (
+                          <button key={ci} onClick={() => scrollToPage(c.page)}
+                            className={`w-full p-3 rounded-2xl border flex items-center gap-3 text-left transition-all ${isCurrent ? 'border-amber-500 bg-amber-50 dark:bg-amber-900/10' : 'border-zinc-100 dark:border-zinc-800 hover:border-amber-300'}`}>
+                            <span className="text-xs font-bold truncate flex-1">{c.title}</span>
+                            <span className="text-[10px] font-black text-zinc-400 shrink-0">p.{c.page + 1}</span>
+                          </button>
+                        );
+                      })}
+                    </div>
+                  )}
+                  <div className="space-y-2">
+                    {layout.toc.length > 0 && <h3 className="text-[10px] font-black uppercase text-zinc-400 tracking-widest">Pages</h3>}
+                    <div className="grid grid-cols-4 gap-3">
+                      {pages.map((_, i) => (
+                        <button key={i} onClick={() => scrollToPage(i)} className={`aspect-square rounded-2xl border-2 flex items-center justify-center text-xs font-black transition-all ${currentPage === i ? 'bg-amber-500 text-white border-amber-500 shadow-xl scale-110' : 'border-zinc-100 dark:border-zinc-800'}`}>
+                          {i + 1}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                  {user && currentDocId && (
+                    <button onClick={openHistory} className="w-full py-3 rounded-2xl border border-zinc-100 dark:border-zinc-800 flex items-center justify-center gap-2 text-[10px] font-black uppercase text-zinc-500 hover:text-amber-500 transition-colors">
+                      <History size={14} /> Revision history{revisions.length > 0 && ` (${revisions.length})`}
                     </button>
-                  ))}
+                  )}
+                </div>
+              )}
+
+              {activeTab === 'history' && (
+                <div className="space-y-6 animate-in">
+                  <p className="text-xs text-zinc-500 leading-relaxed">Use the pencil on any page to edit it. Changes save as you type, and each editing session becomes a revision.</p>
+                  {!user || !currentDocId ? (
+                    <p className="py-12 text-center text-[10px] font-black uppercase text-zinc-400">Revision history is kept for Library manuscripts</p>
+                  ) : revisions.length === 0 ? (
+                    <div className="py-20 text-center opacity-30">
+                      <History size={48} className="mx-auto mb-4" />
+                      <p className="text-[10px] font-black uppercase">No edits yet</p>
+                    </div>
+                  ) : (
+                    <div className="space-y-2">
+                      {[...revisions.map((r, index) => ({ ...r, index })).reverse(), { index: -1, createdAt: currentSource?.timestamp }].map(r => (
+                        <div key={r.index} className={`p-3 rounded-2xl border transition-all ${revisionCompare?.index === r.index ? 'border-amber-300 bg-amber-50/50 dark:bg-amber-900/10' : 'border-zinc-100 dark:border-zinc-800'}`}>
+                          <div className="flex items-center gap-2">
+                            <div className="flex-1 min-w-0">
+                              <p className="text-xs font-bold">
+                                {r.index < 0 ? 'Original' : new Date(r.createdAt).toLocaleString()}
+                                {r.index === revisions.length - 1 && <span className="ml-2 text-[9px] font-black uppercase text-amber-500">Current</span>}
+                              </p>
+                              <p className="text-[10px] text-zinc-400 mt-0.5">
+                                {r.index < 0 ? (r.createdAt ? `Imported ${new Date(r.createdAt).toLocaleDateString()}` : 'As imported')
+                                  : r.restoredFrom ? `Restored ${r.restoredFrom === 'original' ? 'the original' : `from ${new Date(r.restoredFrom).toLocaleString()}`}`
+                                  : r.weaverBranch ? `Weaver branch "${r.weaverBranch}" · +${r.wordsAdded} words`
+                                  : `+${r.wordsAdded} / −${r.wordsRemoved} words`}
+                              </p>
+                              {r.index < restorableFrom && (
+                                <p className="text-[10px] text-red-400 mt-0.5">Can't be rebuilt: a later edit's history didn't save</p>
+                              )}
+                            </div>
+                            {r.index >= restorableFrom && (
+                              <button onClick={() => setRevisionCompare(c => (c?.index === r.index ? null : { index: r.index, against: r.index <= restorableFrom ? 'current' : 'previous' }))}
+                                title="Show changes" className={`p-1.5 transition-colors ${revisionCompare?.index === r.index ? 'text-amber-500' : 'text-zinc-300 hover:text-amber-500'}`}>
+                                <GitCompare size={14} />
+                              </button>
+                            )}
+                            {r.index >= restorableFrom && r.index < revisions.length - 1 && (
+                              <button onClick={() => restoreRevision(r.index)} disabled={!!editDraft?.dirty || editStatus === 'saving'}
+                                title="Restore this version" className="p-1.5 text-zinc-300 hover:text-amber-500 transition-colors disabled:opacity-30">
+                                <RotateCcw size={14} />
+                              </button>
+                            )}
+                          </div>
+                          {revisionCompare?.index === r.index && revisionDiff && (
+                            <div className="mt-3 space-y-2">
+                              {r.index > restorableFrom && r.index < revisions.length - 1 && (
+                                <div className="flex gap-1">
+                                  {[['previous', 'Changes made'], ['current', 'Against current']].map(([id, label]) => (
+                                    <button key={id} onClick={() => setRevisionCompare({ index: r.index, against: id })}
+                                      className={`px-2 py-1 rounded-lg text-[9px] font-black uppercase transition-colors ${revisionCompare.against === id ? 'bg-amber-500 text-white' : 'bg-zinc-100 dark:bg-zinc-800 text-zinc-500'}`}>
+                                      {label}
+                                    </button>
+                                  ))}
+                                </div>
+                              )}
+                              <div className="max-h-80 overflow-y-auto custom-scrollbar p-3 rounded-xl bg-zinc-50 dark:bg-zinc-950 font-serif text-sm leading-relaxed whitespace-pre-wrap">
+                                {revisionDiff.some(part => part.type !== 'same') ? revisionDiff.map((part, pi) => (
+                                  part.type === 'same' ? <span key={pi} className="text-zinc-400">{part.text}</span>
+                                    : part.type === 'del' ? <del key={pi} className="bg-red-100 dark:bg-red-900/30 text-red-700 dark:text-red-300">{part.text}</del>
+                                    : <ins key={pi} className="no-underline bg-emerald-100 dark:bg-emerald-900/30 text-emerald-700 dark:text-emerald-300">{part.text}</ins>
+                                )) : <span className="font-sans text-xs text-zinc-400">No differences</span>}
+                              </div>
+                            </div>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {activeTab === 'weaver' && (
+                <div className="space-y-6 animate-in">
+                  {!user || !currentDocId ? (
+                    <p className="py-12 text-center text-[10px] font-black uppercase text-zinc-400">Open a Library manuscript to weave plot branches</p>
+                  ) : (
+                    <>
+                      <div className="p-4 bg-purple-50 dark:bg-purple-900/10 rounded-2xl border border-purple-100 dark:border-purple-900/40 space-y-2">
+                        <label className="block text-[10px] font-black uppercase text-purple-600">What happens next?</label>
+                        <input value={weaverSteer} onChange={e => setWeaverSteer(e.target.value)} onKeyDown={e => e.key === 'Enter' && growBranches()}
+                          placeholder="Steer the branches (optional), e.g. a betrayal"
+                          className="w-full p-2.5 bg-white dark:bg-zinc-900 border border-zinc-200 dark:border-zinc-700 rounded-xl text-xs outline-none focus:ring-2 ring-purple-400" />
+                        <button onClick={() => growBranches()} disabled={!!weaverStatus || !text}
+                          className="w-full py-2.5 bg-purple-500 text-white rounded-xl text-[9px] font-black uppercase flex items-center justify-center gap-1.5 disabled:opacity-50">
+                          <Wand2 size={12}/> Weave from page {currentPage + 1}
+                        </button>
+                        {weaverStatus && (
+                          <div className="flex items-center gap-2 text-[10px] font-bold text-purple-600">
+                            <Loader2 size={12} className="animate-spin shrink-0" /><span className="flex-1 truncate">{weaverStatus}</span>
+                            <button onClick={() => weaverAbort.current?.abort()} className="text-[9px] font-black uppercase text-zinc-400 hover:text-red-500">Cancel</button>
+                          </div>
+                        )}
+                        <p className="text-[9px] text-zinc-400">Draft a branch to write it out, branch it again to explore further, and promote the one you like into the manuscript.</p>
+                      </div>
+                      {weaverTrees.length === 0 ? (
+                        <div className="py-20 text-center opacity-30">
+                          <Wand2 size={48} className="mx-auto mb-4" />
+                          <p className="text-[10px] font-black uppercase">No branches yet</p>
+                        </div>
+                      ) : weaverTrees.map(([page, roots]) => (
+                        <div key={page} className="space-y-2">
+                          <button onClick={() => scrollToPage(page)} className="text-[10px] font-black uppercase text-zinc-400 tracking-widest hover:text-amber-500">From page {page + 1}</button>
+                          {roots.map(renderBranch)}
+                        </div>
+                      ))}
+                    </>
+                  )}
+                </div>
+              )}
+
+              {activeTab === 'search' && (
+                <div className="space-y-4">
+                  <div className="flex p-1 bg-zinc-100 dark:bg-zinc-800 rounded-xl">
+                    {[['book', 'This book'], ['library', 'Library']].map(([id, label]) => (
+                      <button key={id} onClick={() => setSearchScope(id)}
+                        className={`flex-1 py-2 rounded-lg text-[9px] font-black uppercase transition-all ${searchScope === id ? 'bg-white dark:bg-zinc-900 text-amber-600 shadow-sm' : 'text-zinc-400'}`}>{label}</button>
+                    ))}
+                  </div>
+                  <input autoFocus value={searchQuery} onChange={e => setSearchQuery(e.target.value)}
+                    onKeyDown={e => {
+                      if (e.key !== 'Enter') return;
+                      if (searchScope === 'library') runLibrarySearch();
+                      else stepMatch(e.shiftKey ? -1 : 1);
+                    }}
+                    placeholder={searchScope === 'book' ? "Find in this book…" : 'Search every manuscript ("quotes" for phrases)'}
+                    className="w-full bg-zinc-50 dark:bg-zinc-800 border border-zinc-200 dark:border-zinc-700 rounded-xl px-4 py-3 text-sm outline-none focus:ring-2 ring-amber-500/20" />
+                  <label className="flex items-center gap-2 text-[10px] font-bold text-zinc-500">
+                    <input type="checkbox" checked={matchCase} onChange={e => setMatchCase(e.target.checked)} className="accent-amber-500" /> Match case
+                  </label>
+
+                  {searchScope === 'book' && searchQuery.trim() && (
+                    <div className="flex items-center gap-2">
+                      <span className="flex-1 text-[10px] font-black uppercase text-zinc-400">
+                        {!text ? "No manuscript loaded" : bookMatches.length
+                          ? `Match ${activeMatch + 1} of ${bookMatches.length}${bookMatches.length >= MAX_MATCHES ? '+' : ''}`
+                          : "No matches"}
+                      </span>
+                      <button onClick={() => stepMatch(-1)} disabled={!bookMatches.length} title="Previous (Shift+Enter)" className="p-2 border border-zinc-200 dark:border-zinc-700 rounded-lg disabled:opacity-40"><ChevronUp size={14}/></button>
+                      <button onClick={() => stepMatch(1)} disabled={!bookMatches.length} title="Next (Enter)" className="p-2 border border-zinc-200 dark:border-zinc-700 rounded-lg disabled:opacity-40"><ChevronDown size={14}/></button>
+                    </div>
+                  )}
+
+                  {searchScope === 'library' && (
+                    !user || user.isAnonymous ? (
+                      <p className="text-xs text-zinc-400 text-center py-8">Sign in to search your Library.</p>
+                    ) : (
+                      <>
+                        <button onClick={runLibrarySearch} disabled={!searchQuery.trim() || !!searchStatus}
+                          className="w-full py-2.5 bg-amber-500 text-white rounded-xl text-[10px] font-black uppercase shadow-md disabled:opacity-50 flex items-center justify-center gap-2">
+                          {searchStatus ? <><Loader2 size={12} className="animate-spin"/> {searchStatus}</> : <><Search size={12}/> Search library</>}
+                        </button>
+                        {libraryResults && !libraryResults.length && <p className="text-xs text-zinc-400 text-center py-6">No manuscript contains every term.</p>}
+                        {libraryResults?.map(r => {
+                          const source = sources.find(s => s.id === r.sourceId);
+                          return (
+                            <div key={r.sourceId} className="space-y-2">
+                              <div className="flex items-center gap-2">
+                                <BookOpen size={12} className="text-amber-500 shrink-0"/>
+                                <span className="flex-1 truncate text-xs font-bold">{sourceTitle(source)}</span>
+                                <span className="text-[9px] font-black text-zinc-400">{r.count} hit{r.count === 1 ? '' : 's'}</span>
+                              </div>
+                              {r.hits.map(h => (
+                                <button key={h.start} onClick={() => openSearchHit(r.sourceId, h)}
+                                  className="w-full p-3 rounded-xl border border-zinc-100 dark:border-zinc-800 hover:border-amber-300 text-left transition-colors">
+                                  <span className="block text-[9px] font-black uppercase text-zinc-400 mb-1">Page {h.page + 1}</span>
+                                  <span className="text-xs font-serif text-zinc-600 dark:text-zinc-300">
+                                    {h.before}<mark className="bg-yellow-200/80 dark:bg-yellow-600/40 text-inherit rounded-sm">{h.match}</mark>{h.after}
+                                  </span>
+                                </button>
+                              ))}
+                            </div>
+                          );
+                        })}
+                      </>
+                    )
+                  )}
+                </div>
+              )}
+
+              {activeTab === 'stats' && (
+                <div className="space-y-6">
+                  <div className="grid grid-cols-3 gap-2">
+                    {[
+                      { label: 'Today', value: formatDuration(readingStats.todayMs), hint: `${readingStats.days.at(-1)?.sessions || 0} session(s)` },
+                      { label: 'Streak', value: `${readingStats.streak} day${readingStats.streak === 1 ? '' : 's'}`, hint: `Best ${readingStats.longestStreak}` },
+                      { label: 'Speed', value: `${readingSpeedWpm} wpm`, hint: readingStats.speed ? 'Measured' : 'Estimate' },
+                    ].map(tile => (
+                      <div key={tile.label} className="p-3 bg-zinc-50 dark:bg-zinc-800/50 rounded-2xl border border-zinc-100 dark:border-zinc-800 text-center">
+                        <p className="text-[9px] font-black uppercase text-zinc-400">{tile.label}</p>
+                        <p className="text-sm font-black text-zinc-800 dark:text-zinc-100 mt-1">{tile.value}</p>
+                        <p className="text-[9px] text-zinc-400 mt-0.5">{tile.hint}</p>
+                      </div>
+                    ))}
+                  </div>
+
+                  {text && (
+                    <div className="p-4 bg-amber-50 dark:bg-amber-900/10 rounded-2xl border border-amber-100 dark:border-amber-900/40 space-y-1">
+                      <h3 className="text-[10px] font-black uppercase text-amber-600 tracking-widest flex items-center gap-1.5"><Timer size={12}/> Time left</h3>
+                      {currentChapter && <p className="text-xs text-zinc-600 dark:text-zinc-300"><span className="font-bold">{currentChapter.title}:</span> {formatDuration(wordsLeft.chapter / readingSpeedWpm * 60000)}</p>}
+                      <p className="text-xs text-zinc-600 dark:text-zinc-300"><span className="font-bold">Book:</span> {formatDuration(wordsLeft.book / readingSpeedWpm * 60000)} ({wordsLeft.book.toLocaleString()} words)</p>
+                    </div>
+                  )}
+
+                  <div className="space-y-2">
+                    <h3 className="text-[10px] font-black uppercase text-zinc-400 tracking-widest">Last 14 days</h3>
+                    <div className="flex items-end gap-1 h-24">
+                      {readingStats.days.map(d => (
+                        <div key={d.day} title={`${d.day}: ${formatDuration(d.ms)}`} className="flex-1 h-full flex items-end">
+                          <div className={`w-full rounded-t-md ${d.ms ? 'bg-amber-500' : 'bg-zinc-100 dark:bg-zinc-800'}`}
+                            style={{ height: `${Math.max((d.ms / Math.max(...readingStats.days.map(x => x.ms), 1)) * 100, 4)}%` }} />
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+
+                  <div className="space-y-2">
+                    <div className="flex items-center gap-2">
+                      <h3 className="flex-1 text-[10px] font-black uppercase text-zinc-400 tracking-widest">Timeline</h3>
+                      <select value={statsSourceId || currentDocId || ""} onChange={e => setStatsSourceId(e.target.value || null)}
+                        className="max-w-[60%] bg-white dark:bg-zinc-900 border border-zinc-200 dark:border-zinc-700 rounded-lg px-2 py-1 text-[10px] font-bold">
+                        {!currentDocId && !statsSourceId && <option value="">Choose a book</option>}
+                        {sources.map(s => <option key={s.id} value={s.id}>{sourceTitle(s)}</option>)}
+                      </select>
+                    </div>
+                    {timeline.length === 0 ? (
+                      <p className="text-xs text-zinc-400 text-center py-6">No reading sessions recorded for this book yet.</p>
+                    ) : timeline.map(d => (
+                      <div key={d.day} className="p-3 rounded-xl border border-zinc-100 dark:border-zinc-800 flex items-center gap-3">
+                        <span className="text-[10px] font-black text-zinc-500 w-20 shrink-0">{new Date(`${d.day}T12:00`).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}</span>
+                        <span className="flex-1 text-xs text-zinc-600 dark:text-zinc-300">
+                          {d.firstPage === d.lastPage ? `Page ${d.firstPage + 1}` : `Pages ${d.firstPage + 1}–${d.lastPage + 1}`} · {d.words.toLocaleString()} words
+                        </span>
+                        <span className="text-[10px] font-black text-amber-600 shrink-0">{formatDuration(d.ms)}</span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {activeTab === 'codex' && (
+                <div className="space-y-4">
+                  {!currentDocId ? (
+                    <p className="py-12 text-center text-[10px] font-black uppercase text-zinc-400">Open a Library manuscript to build its codex</p>
+                  ) : (
+                    <>
+                      <div className="p-3 bg-zinc-50 dark:bg-zinc-800/50 rounded-2xl border border-zinc-100 dark:border-zinc-800 space-y-2">
+                        <div className="flex items-center gap-2">
+                          {codexStatus ? <Loader2 size={14} className="animate-spin text-amber-500" /> : <Users size={14} className="text-zinc-400" />}
+                          <span className="text-[10px] font-black uppercase text-zinc-500 flex-1">
+                            {codexStatus || (codexPage >= 0 ? `Read through page ${codexPage + 1} of ${pages.length}` : 'Not scanned yet')}
+                          </span>
+                          <button onClick={() => { setCodexError(false); scanCodex(); }} disabled={!!codexStatus || currentPage <= codexPage}
+                            className="text-[9px] font-black uppercase text-amber-600 disabled:opacity-30">Update</button>
+                        </div>
+                        <div className="flex items-center gap-3">
+                          <label className="flex items-center gap-2 text-[9px] font-black uppercase text-zinc-400 cursor-pointer">
+                            <input type="checkbox" checked={codexAuto} onChange={e => setCodexAuto(e.target.checked)} className="accent-amber-500" />
+                            Update as I read
+                          </label>
+                          {codexError && <span className="text-[9px] font-black uppercase text-red-500 flex items-center gap-1"><AlertCircle size={10}/> Last update failed</span>}
+                          {!codexError && codexAuto && codexAutoPaused && currentPage > codexPage && (
+                            <span className="text-[9px] font-black uppercase text-zinc-400">Paused for this session · press Update</span>
+                          )}
+                        </div>
+                      </div>
+                      <div className="p-3 bg-zinc-50 dark:bg-zinc-800/50 rounded-2xl border border-zinc-100 dark:border-zinc-800 space-y-2">
+                        <div className="flex items-center gap-2">
+                          {continuityStatus ? <Loader2 size={14} className="animate-spin text-amber-500" /> : <ListChecks size={14} className="text-zinc-400" />}
+                          <span className="text-[10px] font-black uppercase text-zinc-500 flex-1 truncate">
+                            {continuityStatus || `Continuity · ${openIssues.length} open issue${openIssues.length === 1 ? '' : 's'}`}
+                          </span>
+                          {continuityStatus ? (
+                            <button onClick={() => continuityAbort.current?.abort()} className="text-[9px] font-black uppercase text-zinc-400 hover:text-red-500">Cancel</button>
+                          ) : (
+                            <button onClick={runContinuity} disabled={!text} className="text-[9px] font-black uppercase text-amber-600 disabled:opacity-30">Check</button>
+                          )}
+                        </div>
+                        {continuityIssues.filter(i => showSettledIssues || i.status === 'open').map(issue => (
+                          <div key={issue.id} className={`p-3 rounded-xl bg-white dark:bg-zinc-900 border space-y-2 ${issue.status === 'open' ? 'border-red-100 dark:border-red-900/40' : 'border-zinc-100 dark:border-zinc-800 opacity-60'}`}>
+                            <p className="text-xs">
+                              <span className="font-bold">{issue.entity}</span>
+                              <span className="ml-2 text-[9px] font-black uppercase text-red-500">{issue.type}</span>
+                            </p>
+                            {issue.explanation && <p className="text-[11px] text-zinc-500 leading-relaxed">{issue.explanation}</p>}
+                            {[issue.a, issue.b].map((fact, k) => (
+                              <button key={k} onClick={() => openIssueFact(fact)} className="w-full text-left text-[11px] leading-relaxed hover:text-amber-600 transition-colors">
+                                <span className="font-black text-amber-600">p.{fact.page + 1}</span> {fact.attribute}: {fact.value}
+                                {fact.quote && <span className="italic text-zinc-400"> “{fact.quote}”</span>}
+                              </button>
+                            ))}
+                            <div className="flex items-center gap-3 text-[9px] font-black uppercase">
+                              {issue.status === 'open' ? (
+                                <>
+                                  <button onClick={() => setIssueStatus(issue, 'resolved')} className="text-emerald-600">Resolved</button>
+                                  <button onClick={() => setIssueStatus(issue, 'dismissed')} className="text-zinc-400 hover:text-zinc-600">Dismiss</button>
+                                </>
+                              ) : (
+                                <>
+                                  <span className="text-zinc-400">{issue.status}</span>
+                                  <button onClick={() => setIssueStatus(issue, 'open')} className="text-amber-600">Reopen</button>
+                                </>
+                              )}
+                            </div>
+                          </div>
+                        ))}
+                        {continuityIssues.length > openIssues.length && (
+                          <button onClick={() => setShowSettledIssues(v => !v)} className="text-[9px] font-black uppercase text-zinc-400 hover:text-amber-500">
+                            {showSettledIssues ? 'Hide' : 'Show'} {continuityIssues.length - openIssues.length} dismissed or resolved
+                          </button>
+                        )}
+                      </div>
+                      <div className="flex items-center gap-1.5">
+                        {['all', ...CODEX_KINDS].map(k => (
+                          <button key={k} onClick={() => setCodexFilter(k)}
+                            className={`px-3 py-1 rounded-lg text-[9px] font-black uppercase transition-colors ${codexFilter === k ? 'bg-amber-500 text-white' : 'text-zinc-400 hover:text-amber-500'}`}>
+                            {k === 'all' ? 'All' : `${k}s`}
+                          </button>
+                        ))}
+                        <button onClick={() => editEntry(null)} title="Add entry" className="ml-auto p-1.5 text-zinc-400 hover:text-amber-500"><Plus size={16}/></button>
+                      </div>
+                      {editingEntry && (
+                        <div className="p-4 rounded-2xl border border-amber-500 space-y-2 animate-in">
+                          <div className="flex gap-2">
+                            <input value={editingEntry.name} onChange={e => setEditingEntry({ ...editingEntry, name: e.target.value })} placeholder="Name"
+                              className="flex-1 min-w-0 bg-zinc-50 dark:bg-zinc-800 rounded-xl px-3 py-2 text-xs font-bold outline-none" />
+                            <select value={editingEntry.kind} onChange={e => setEditingEntry({ ...editingEntry, kind: e.target.value })}
+                              className="bg-zinc-50 dark:bg-zinc-800 rounded-xl px-2 py-2 text-xs">
+                              {CODEX_KINDS.map(k => <option key={k} value={k}>{k}</option>)}
+                            </select>
+                          </div>
+                          <input value={editingEntry.aliasesText} onChange={e => setEditingEntry({ ...editingEntry, aliasesText: e.target.value })} placeholder="Aliases, comma separated"
+                            className="w-full bg-zinc-50 dark:bg-zinc-800 rounded-xl px-3 py-2 text-xs outline-none" />
+                          <label className="flex items-center gap-2 text-[9px] font-black uppercase text-zinc-400">
+                            First appears on page
+                            <input type="number" min={1} max={pages.length} value={editingEntry.firstPage} onChange={e => setEditingEntry({ ...editingEntry, firstPage: e.target.value })}
+                              className="w-16 bg-zinc-50 dark:bg-zinc-800 rounded-lg px-2 py-1 text-xs" />
+                          </label>
+                          <textarea value={editingEntry.description} onChange={e => setEditingEntry({ ...editingEntry, description: e.target.value })} rows={3} placeholder="Description"
+                            className="w-full bg-zinc-50 dark:bg-zinc-800 rounded-xl p-3 text-xs outline-none" />
+                          <textarea value={editingEntry.relationshipsText} onChange={e => setEditingEntry({ ...editingEntry, relationshipsText: e.target.value })} rows={2} placeholder={"Relationships, one per line\nName: relation"}
+                            className="w-full bg-zinc-50 dark:bg-zinc-800 rounded-xl p-3 text-xs outline-none" />
+                          <div className="flex justify-end gap-2">
+                            <button onClick={() => setEditingEntry(null)} className="text-[9px] font-black uppercase text-zinc-400 px-2">Cancel</button>
+                            <button onClick={saveEntryDraft} className="px-3 py-1.5 bg-amber-500 text-white rounded-lg text-[9px] font-black uppercase">Save</button>
+                          </div>
+                        </div>
+                      )}
+                      {spoilerLimit !== null && codexEntries.some(e => (e.firstPage ?? 0) > spoilerLimit) && (
+                        <p className="flex items-center gap-1 text-[9px] font-black uppercase text-emerald-600">
+                          <Shield size={10}/> {codexEntries.filter(e => (e.firstPage ?? 0) > spoilerLimit).length} entries hidden · {guardLabel(spoilerLimit)}
+                        </p>
+                      )}
+                      {codexEntries.filter(e => codexFilter === 'all' || e.kind === codexFilter)
+                        .filter(e => spoilerLimit === null || (e.firstPage ?? 0) <= spoilerLimit)
+                        .sort((a, b) => (a.firstPage ?? 0) - (b.firstPage ?? 0) || a.name.localeCompare(b.name))
+                        .map(e => (
+                          <div key={e.id} className="p-4 rounded-2xl border border-zinc-100 dark:border-zinc-800 space-y-2">
+                            <div className="flex items-center gap-2">
+                              <p className="text-sm font-bold flex-1 min-w-0 truncate">{e.name}</p>
+                              <span className="text-[8px] font-black uppercase px-2 py-0.5 rounded-full bg-zinc-100 dark:bg-zinc-800 text-zinc-500">{e.kind}</span>
+                              <button onClick={() => scrollToPage(e.firstPage ?? 0)} className="text-[9px] font-black text-amber-600">p.{(e.firstPage ?? 0) + 1}</button>
+                              <button onClick={() => editEntry(e)} className="p-1 text-zinc-300 hover:text-amber-500"><Pencil size={12}/></button>
+                              <button onClick={() => removeEntry(e)} className="p-1 text-zinc-300 hover:text-red-500"><Trash2 size={12}/></button>
+                            </div>
+                            {e.aliases?.length > 0 && <p className="text-[10px] text-zinc-400 italic">aka {e.aliases.join(', ')}</p>}
+                            {e.description && <p className="text-xs text-zinc-600 dark:text-zinc-300 leading-relaxed">{e.description}</p>}
+                            {e.relationships?.length > 0 && (
+                              <div className="flex flex-wrap gap-1">
+                                {e.relationships.map((r, ri) => (
+                                  <span key={ri} className="text-[9px] px-2 py-0.5 rounded-full border border-zinc-200 dark:border-zinc-700 text-zinc-500">{r.target} · {r.relation}</span>
+                                ))}
+                              </div>
+                            )}
+                          </div>
+                        ))}
+                    </>
+                  )}
+                </div>
+              )}
+
+              {activeTab === 'vocab' && (
+                <div className="space-y-6">
+                  <div className="grid grid-cols-3 gap-2">
+                    {[
+                      { label: 'Due', value: dueVocab.length },
+                      { label: 'Words', value: vocab.length },
+                      { label: 'Learned', value: vocab.filter(c => c.interval >= LEARNED_DAYS).length },
+                    ].map(tile => (
+                      <div key={tile.label} className="p-3 bg-zinc-50 dark:bg-zinc-800/50 rounded-2xl border border-zinc-100 dark:border-zinc-800 text-center">
+                        <p className="text-[9px] font-black uppercase text-zinc-400">{tile.label}</p>
+                        <p className="text-sm font-black text-zinc-800 dark:text-zinc-100 mt-1">{tile.value}</p>
+                      </div>
+                    ))}
+                  </div>
+
+                  {nextCard ? (
+                    <div className="p-5 bg-amber-50 dark:bg-amber-900/10 rounded-3xl border border-amber-100 dark:border-amber-900/40 space-y-3 animate-in">
+                      <p className="text-[9px] font-black uppercase text-amber-600 tracking-widest">Review · {dueVocab.length} left</p>
+                      <p className="font-serif text-2xl font-bold text-zinc-800 dark:text-zinc-100">{nextCard.term}</p>
+                      <p className="font-serif text-sm italic text-zinc-500">
+                        {segmentText(nextCard.sentence, nextCardTermAt === -1 ? [] : [{ start: nextCardTermAt, end: nextCardTermAt + nextCard.term.length }])
+                          .map((seg, si) => seg.range ? <b key={si} className="text-amber-600 not-italic">{seg.text}</b> : <React.Fragment key={si}>{seg.text}</React.Fragment>)}
+                      </p>
+                      {vocabReveal ? (
+                        <>
+                          <div className="pt-3 border-t border-amber-100 dark:border-amber-900/40">
+                            {nextCard.partOfSpeech && <p className="text-[9px] font-black uppercase text-zinc-400">{[nextCard.lemma !== nextCard.term && nextCard.lemma, nextCard.partOfSpeech].filter(Boolean).join(' · ')}</p>}
+                            {nextCard.translation && <p lang={nextCard.lang} className="text-sm font-bold text-zinc-800 dark:text-zinc-100">{nextCard.translation}</p>}
+                            {nextCard.definition && <p className="text-xs text-zinc-600 dark:text-zinc-300 mt-1">{nextCard.definition}</p>}
+                          </div>
+                          <div className="grid grid-cols-4 gap-2">
+                            {GRADES.map(g => (
+                              <button key={g.id} onClick={() => gradeCard(nextCard, g.quality)}
+                                className={`py-2 rounded-xl text-[9px] font-black uppercase border ${g.id === 'again' ? 'border-red-200 text-red-500' : 'border-zinc-200 dark:border-zinc-700 text-zinc-600 dark:text-zinc-300 bg-white dark:bg-zinc-900'}`}>
+                                {g.label}
+                                <span className="block text-[8px] font-bold text-zinc-400 normal-case">{formatDue(reviewCard(nextCard, g.quality).due)}</span>
+                              </button>
+                            ))}
+                          </div>
+                        </>
+                      ) : (
+                        <button onClick={() => setVocabReveal(true)} className="w-full py-2.5 bg-amber-500 text-white rounded-xl text-[9px] font-black uppercase flex items-center justify-center gap-1.5">
+                          <Eye size={12}/> Show meaning
+                        </button>
+                      )}
+                    </div>
+                  ) : vocab.length > 0 && (
+                    <p className="py-4 text-center text-[10px] font-black uppercase text-zinc-400">Nothing due. Next review in {formatDue(Math.min(...vocab.map(c => c.due ?? 0)))}</p>
+                  )}
+
+                  <div className="p-4 bg-zinc-50 dark:bg-zinc-800/50 rounded-2xl border border-zinc-100 dark:border-zinc-800 space-y-3">
+                    <div className="flex items-center gap-2">
+                      <label className="flex-1 text-[10px] font-black uppercase text-zinc-500">Meanings in</label>
+                      <select value={selectedLang} onChange={e => setSelectedLang(e.target.value)} className="bg-white dark:bg-zinc-900 border rounded-xl px-3 py-1.5 text-xs">
+                        {LANGUAGES.map(l => <option key={l.code} value={l.code}>{l.name}</option>)}
+                      </select>
+                    </div>
+                    <label className="flex items-center gap-2 text-xs text-zinc-600 dark:text-zinc-300 cursor-pointer">
+                      <input type="checkbox" checked={tapToDefine} onChange={e => setTapToDefine(e.target.checked)} className="accent-amber-500" />
+                      Tap a word in the reader to look it up
+                    </label>
+                    <p className="text-[9px] text-zinc-400">You can also select a word or phrase and choose <BookA size={10} className="inline"/> Define.</p>
+                  </div>
+
+                  {vocab.length === 0 ? (
+                    <div className="py-12 text-center opacity-30">
+                      <GraduationCap size={48} className="mx-auto mb-4" />
+                      <p className="text-[10px] font-black uppercase">Look up words while reading and save them here</p>
+                    </div>
+                  ) : (
+                    <div className="space-y-2">
+                      <h3 className="text-[10px] font-black uppercase text-zinc-400 tracking-widest">All words</h3>
+                      {[...vocab].sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0)).map(c => (
+                        <div key={c.id} className="flex items-start gap-3 p-3 bg-white dark:bg-zinc-900 rounded-xl border border-zinc-100 dark:border-zinc-800">
+                          <div className="flex-1 min-w-0">
+                            <p className="text-xs font-bold text-zinc-800 dark:text-zinc-100">{c.term} <span className="font-normal text-zinc-500">· {c.translation || c.definition}</span></p>
+                            <p className="text-[9px] font-black uppercase text-zinc-400 mt-0.5 truncate">
+                              {c.sourceId === currentDocId && currentDocId
+                                ? <button onClick={() => scrollToPage(c.page)} className="uppercase text-amber-600">p.{c.page + 1}</button>
+                                : <span>{c.sourceName} · p.{c.page + 1}</span>}
+                              {' · '}due {formatDue(c.due ?? 0)}
+                            </p>
+                          </div>
+                          <button onClick={() => removeVocab(c)} className="p-1 text-zinc-300 hover:text-red-500"><Trash2 size={12}/></button>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {activeTab === 'notes' && (
+                <div className="space-y-6">
+                  {!currentDocId && <p className="py-12 text-center text-[10px] font-black uppercase text-zinc-400">Open a Library manuscript to annotate</p>}
+                  {currentDocId && anchoredAnnotations.length === 0 && (
+                    <div className="py-20 text-center opacity-30">
+                      <Highlighter size={48} className="mx-auto mb-4" />
+                      <p className="text-[10px] font-black uppercase">Select text to highlight, or bookmark a page</p>
+                    </div>
+                  )}
+                  {bookmarksByPage.size > 0 && (
+                    <div className="space-y-2">
+                      <h3 className="text-[10px] font-black uppercase text-zinc-400 tracking-widest">Bookmarks</h3>
+                      {[...bookmarksByPage.values()].sort((a, b) => a.page - b.page).map(b => (
+                        <div key={b.id} className="p-3 rounded-2xl border border-zinc-100 dark:border-zinc-800 flex items-center gap-3">
+                          <Bookmark size={14} className="text-amber-500 shrink-0" fill="currentColor" />
+                          <button onClick={() => scrollToPage(b.page)} className="flex-1 min-w-0 text-left">
+                            <p className="text-xs font-bold truncate">{b.label || `Page ${b.page + 1}`}</p>
+                            <p className="text-[10px] text-zinc-400 mt-0.5">Page {b.page + 1}</p>
+                          </button>
+                          <button onClick={() => removeAnnotation(b)} className="text-zinc-300 hover:text-red-500"><Trash2 size={14}/></button>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                  {anchoredAnnotations.some(a => a.type === 'highlight') && (
+                    <div className="space-y-2">
+                      <h3 className="text-[10px] font-black uppercase text-zinc-400 tracking-widest">Highlights</h3>
+                      {anchoredAnnotations.filter(a => a.type === 'highlight').sort((a, b) => (a.start ?? 0) - (b.start ?? 0)).map(a => (
+                        <div key={a.id} className={`p-4 rounded-2xl border space-y-2 ${editingAnnotation?.id === a.id ? 'border-amber-500' : 'border-zinc-100 dark:border-zinc-800'}`}>
+                          <div className="flex items-start gap-3">
+                            <span className={`w-2 self-stretch rounded-full shrink-0 ${colorById(a.color).swatch}`} />
+                            <button onClick={() => !a.orphaned && scrollToPage(a.page)} className="flex-1 min-w-0 text-left">
+                              <p className="text-xs font-serif italic text-zinc-600 dark:text-zinc-300 line-clamp-3">"{a.quote}"</p>
+                              <p className={`text-[10px] mt-1 font-black uppercase ${a.orphaned ? 'text-red-500' : 'text-zinc-400'}`}>
+                                {a.orphaned ? 'Text no longer found' : `Page ${a.page + 1}`}
+                              </p>
+                            </button>
+                          </div>
+                          {editingAnnotation?.id === a.id ? (
+                            <div className="space-y-2">
+                              <textarea value={editingAnnotation.note} onChange={e => setEditingAnnotation({ ...editingAnnotation, note: e.target.value })} rows={3} placeholder="Add a note..."
+                                className="w-full bg-zinc-50 dark:bg-zinc-800 rounded-xl p-3 text-xs outline-none focus:ring-2 focus:ring-amber-500" />
+                              <div className="flex items-center gap-2">
+                                {HIGHLIGHT_COLORS.map(c => (
+                                  <button key={c.id} onClick={() => recolorAnnotation(a.id, c.id)}
+                                    className={`w-5 h-5 rounded-full ${c.swatch} ${a.color === c.id ? 'ring-2 ring-offset-2 ring-zinc-400 dark:ring-offset-zinc-900' : ''}`} />
+                                ))}
+                                <button onClick={() => setEditingAnnotation(null)} className="ml-auto text-[9px] font-black uppercase text-zinc-400">Cancel</button>
+                                <button onClick={saveAnnotationNote} className="px-3 py-1.5 bg-amber-500 text-white rounded-lg text-[9px] font-black uppercase">Save</button>
+                              </div>
+                            </div>
+                          ) : (
+                            <div className="flex items-start gap-2">
+                              {a.note && <p className="flex-1 text-xs text-zinc-600 dark:text-zinc-400 whitespace-pre-wrap">{a.note}</p>}
+                              <div className="ml-auto flex gap-1 shrink-0">
+                                <button onClick={() => setEditingAnnotation({ id: a.id, note: a.note || "" })} className="p-1 text-zinc-300 hover:text-amber-500"><Pencil size={12}/></button>
+                                <button onClick={() => removeAnnotation(a)} className="p-1 text-zinc-300 hover:text-red-500"><Trash2 size={12}/></button>
+                              </div>
+                            </div>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                  )}
                 </div>
               )}
             </div>
@@ -628,12 +3604,92 @@ export default function App() {
         <NavItem id="insights" icon={Sparkles} label="Magic" />
         <NavItem id="chat" icon={MessageSquare} label="Chat" />
         <NavItem id="navigator" icon={Layers} label="Pages" />
+        <NavItem id="search" icon={Search} label="Search" />
+        <NavItem id="stats" icon={BarChart3} label="Stats" />
+        <NavItem id="notes" icon={Highlighter} label="Notes" />
+        <NavItem id="vocab" icon={GraduationCap} label="Words" />
+        <NavItem id="codex" icon={Users} label="Codex" />
+        <NavItem id="weaver" icon={Wand2} label="Weaver" />
         <button onClick={hardReset} className="flex flex-col items-center p-2 text-zinc-400">
           <RefreshCw size={20} />
           <span className="text-[9px] font-black uppercase">Reset</span>
         </button>
       </nav>
 
+      {readAloud && (
+        <div className="fixed bottom-20 md:bottom-8 left-1/2 -translate-x-1/2 z-[120] px-3 py-2 bg-zinc-900 text-white rounded-2xl shadow-2xl flex items-center gap-2 animate-in">
+          <span className="px-1 text-[9px] font-black uppercase tracking-widest text-sky-300 whitespace-nowrap">p.{readAloud.page + 1}</span>
+          <button onClick={() => skipReading(-1)} title="Previous sentence" className="p-1.5 hover:text-sky-300"><SkipBack size={16} /></button>
+          <button onClick={toggleReading} title={readAloud.status === 'playing' ? "Pause" : "Resume"} className="p-2 bg-sky-500 rounded-xl">
+            {readAloud.status === 'playing' ? <Pause size={16} /> : <Play size={16} />}
+          </button>
+          <button onClick={() => skipReading(1)} title="Next sentence" className="p-1.5 hover:text-sky-300"><SkipForward size={16} /></button>
+          <button onClick={stopReading} title="Stop" className="p-1.5 hover:text-red-400"><Square size={14} /></button>
+          <select value={ttsVoice} onChange={e => setTtsVoice(e.target.value)} title="Voice"
+            className="w-28 md:w-40 bg-zinc-800 rounded-lg px-2 py-1 text-[10px] font-bold outline-none">
+            <option value="">Default voice</option>
+            {voices.map(v => <option key={v.voiceURI} value={v.voiceURI}>{v.name} ({v.lang})</option>)}
+          </select>
+          <select value={ttsRate} onChange={e => setTtsRate(Number(e.target.value))} title="Speed"
+            className="bg-zinc-800 rounded-lg px-2 py-1 text-[10px] font-bold outline-none">
+            {[0.75, 1, 1.25, 1.5, 1.75, 2].map(r => <option key={r} value={r}>{r}×</option>)}
+          </select>
+        </div>
+      )}
+
+
+      {selectionDraft && (
+        <div style={{ left: Math.min(Math.max(selectionDraft.x, 140), window.innerWidth - 140), top: Math.max(selectionDraft.y - 12, 8) }}
+          onMouseDown={e => e.target.tagName !== 'INPUT' && e.preventDefault()}
+          className="fixed z-[150] -translate-x-1/2 -translate-y-full p-2 bg-zinc-900 text-white rounded-2xl shadow-2xl flex items-center gap-2 animate-in">
+          {HIGHLIGHT_COLORS.map(c => (
+            <button key={c.id} onClick={() => saveHighlight(c.id)} title={`Highlight ${c.id}`} className={`w-5 h-5 rounded-full ${c.swatch} hover:scale-110 transition-transform`} />
+          ))}
+          <input value={draftNote} onChange={e => setDraftNote(e.target.value)} onKeyDown={e => e.key === 'Enter' && saveHighlight(HIGHLIGHT_COLORS[0].id)}
+            placeholder="Note (optional)" className="w-32 bg-zinc-800 rounded-lg px-2 py-1 text-[11px] outline-none" />
+          <button onClick={() => openLookup(selectionDraft)} title="Define" className="opacity-70 hover:opacity-100"><BookA size={16}/></button>
+          <button onClick={() => setSelectionDraft(null)} className="opacity-50 hover:opacity-100"><X size={14}/></button>
+        </div>
+      )}
+
+      {lookup && (
+        <div style={{ left: Math.min(Math.max(lookup.x, 152), window.innerWidth - 152), top: lookup.y < 260 ? lookup.y + 16 : lookup.y - 12 }}
+          className={`fixed z-[150] -translate-x-1/2 ${lookup.y < 260 ? '' : '-translate-y-full'} w-72 p-4 bg-zinc-900 text-white rounded-2xl shadow-2xl animate-in`}>
+          <div className="flex items-start gap-2">
+            <div className="flex-1 min-w-0">
+              <p className="font-serif text-lg font-bold truncate">{lookup.term}</p>
+              {lookup.status === 'done' && (lookup.lemma !== lookup.term || lookup.partOfSpeech) && (
+                <p className="text-[9px] font-black uppercase text-zinc-400">{[lookup.lemma !== lookup.term && lookup.lemma, lookup.partOfSpeech].filter(Boolean).join(' · ')}</p>
+              )}
+            </div>
+            <button onClick={closeLookup} className="opacity-50 hover:opacity-100"><X size={14}/></button>
+          </div>
+          {lookup.status === 'loading' && (
+            <p className="flex items-center gap-2 mt-3 text-[10px] font-bold text-zinc-400"><Loader2 size={12} className="animate-spin"/> Looking up…</p>
+          )}
+          {lookup.status === 'error' && <p className="mt-3 text-[11px] text-red-300">Couldn't look that up. Try again in a moment.</p>}
+          {lookup.status === 'done' && (
+            <>
+              {lookup.translation && <p lang={selectedLang} className="mt-3 text-sm font-bold text-amber-300">{lookup.translation}</p>}
+              {lookup.definition && <p className="mt-1 text-xs text-zinc-300">{lookup.definition}</p>}
+              <p className="mt-3 text-[11px] italic text-zinc-400 line-clamp-3">“{lookup.sentence}”</p>
+              <button onClick={saveLookup} disabled={vocabKeys.has(vocabKey(lookup.term))}
+                className="mt-3 w-full py-2 bg-amber-500 rounded-xl text-[9px] font-black uppercase flex items-center justify-center gap-1.5 disabled:bg-zinc-700 disabled:text-zinc-400">
+                {vocabKeys.has(vocabKey(lookup.term)) ? <><Check size={12}/> In your words</> : <><Plus size={12}/> Save to words</>}
+              </button>
+            </>
+          )}
+        </div>
+      )}
+
+      {libraryUndo && (
+        <div className="fixed bottom-40 md:bottom-28 left-4 right-4 md:left-1/2 md:-translate-x-1/2 md:max-w-xs p-4 rounded-3xl shadow-2xl z-[200] flex items-center gap-3 animate-in bg-zinc-900 text-white">
+          <Undo2 size={18}/>
+          <span className="flex-1 text-[10px] font-bold uppercase tracking-widest">{libraryUndo}</span>
+          <button onClick={undoLibraryAction} className="text-[10px] font-black uppercase text-amber-400">Undo</button>
+        </div>
+      )}
+
       {notification && (
         <div className={`fixed bottom-20 md:bottom-10 left-4 right-4 md:left-1/2 md:-translate-x-1/2 md:max-w-xs p-4 rounded-3xl shadow-2xl z-[200] flex items-center gap-3 animate-in border ${notification.type === 'error' ? 'bg-red-600 text-white' : 'bg-zinc-900 text-white'}`}>
           {notification.type === 'error' ? <AlertCircle size={20}/> : <Check size={20}/>}
@@ -0,0 +1,86 @@
+/**
+ * --- AI TRANSPORT ---
+ * Sends requests to the provider picked in the AI settings (see providers.js).
+ * `streamChat` is used for visible chat replies; `completeAi` for background
+ * jobs that only need the final answer. Both stop on an AbortSignal, and a
+ * request that fails before any text arrives is retried with backoff.
+ */
+import { loadAiSettings, providerFor } from './providers';
+
+const MAX_ATTEMPTS = 3;
+const RETRY_BASE_MS = 800;
+
+/** Chain of Thought separation for DeepSeek: `<think>…</think>` precedes the answer. */
+export const splitThought = (fullContent) => {
+  if (!fullContent.includes("<think>")) return { thought: "", answer: fullContent };
+  const parts = fullContent.split("</think>");
+  return {
+    thought: parts[0].replace("<think>", "").trim(),
+    answer: parts[1] ? parts[1].trim() : "",
+  };
+};
+
+// Throttling, server errors and dropped connections are worth another try; a bad request is not
+const isRetryable = (err) => err.name !== 'AbortError' && (err.status === undefined || err.status === 429 || err.status >= 500);
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) return reject(new DOMException('Request cancelled', 'AbortError'));
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(new DOMException('Request cancelled', 'AbortError'));
+  }, { once: true });
+});
+
+/**
+ * Sends `body` ({ prompt, systemPrompt, context, mode, ... }) and calls
+ * `onUpdate(fullContent)` after every token. Resolves with the raw content.
+ * `onRetry(attempt, delayMs)` is called before each retry; a reply that has
+ * started streaming is never retried, so callers keep what already arrived.
+ */
+export const streamChat = async (body, onUpdate, { signal, onRetry } = {}) => {
+  const settings = loadAiSettings();
+  const provider = providerFor(settings);
+  for (let attempt = 1; ; attempt++) {
+    let fullContent = "";
+    try {
+      await provider.stream(body, {
+        settings,
+        signal,
+        onToken: (token) => {
+          fullContent += token;
+          onUpdate?.(fullContent);
+        },
+      });
+      return fullContent;
+    } catch (err) {
+      if (fullContent || attempt >= MAX_ATTEMPTS || !isRetryable(err)) throw err;
+      const delay = RETRY_BASE_MS * 2 ** (attempt - 1) * (0.75 + Math.random() / 2);
+      onRetry?.(attempt, delay);
+      await wait(delay, signal);
+    }
+  }
+};
+
+/** Runs a request to completion and returns only the answer (thoughts dropped). */
+export const completeAi = async (body, options) => splitThought(await streamChat(body, null, options)).answer;
+
+/**
+ * Pulls the first JSON object/array out of a model reply, tolerating code
+ * fences and chatter around it. Returns null when nothing parses.
+ */
+export const parseJsonReply = (reply) => {
+  const str = String(reply || '').replace(/```(?:json)?/gi, '');
+  const start = str.search(/[[{]/);
+  if (start === -1) return null;
+  const open = str[start];
+  const close = open === '{' ? '}' : ']';
+  for (let end = str.lastIndexOf(close); end > start; end = str.lastIndexOf(close, end - 1)) {
+    try {
+      return JSON.parse(str.slice(start, end + 1));
+    } catch {
+      // Trailing text contained the closing bracket; try an earlier one
+    }
+  }
+  return null;
+};
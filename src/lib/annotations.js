@@ -0,0 +1,68 @@
+/**
+ * --- ANNOTATIONS ---
+ * Highlights, notes and bookmarks stored under `sources/{id}/annotations`.
+ * Positions are absolute offsets into the manuscript text, so they survive
+ * repagination; the saved quote lets a highlight re-anchor if the text shifts.
+ */
+import { doc, setDoc, updateDoc, deleteDoc } from 'firebase/firestore';
+import { userCollection, userDoc } from './firebase';
+import { queueWrite } from './sync';
+import { pageOfOffset } from './layout';
+
+export const HIGHLIGHT_COLORS = [
+  { id: 'amber', swatch: 'bg-amber-400', mark: 'bg-amber-200/80 dark:bg-amber-600/40' },
+  { id: 'green', swatch: 'bg-emerald-400', mark: 'bg-emerald-200/80 dark:bg-emerald-600/40' },
+  { id: 'blue', swatch: 'bg-sky-400', mark: 'bg-sky-200/80 dark:bg-sky-600/40' },
+  { id: 'pink', swatch: 'bg-pink-400', mark: 'bg-pink-200/80 dark:bg-pink-600/40' },
+];
+
+export const colorById = (id) => HIGHLIGHT_COLORS.find(c => c.id === id) || HIGHLIGHT_COLORS[0];
+
+export const annotationsCollection = (uid, sourceId) => userCollection(uid, 'sources', sourceId, 'annotations');
+
+export const addAnnotation = async (uid, sourceId, annotation) => {
+  const ref = doc(annotationsCollection(uid, sourceId));
+  await queueWrite(setDoc(ref, { ...annotation, createdAt: Date.now() }));
+  return ref.id;
+};
+
+export const updateAnnotation = (uid, sourceId, id, changes) =>
+  queueWrite(updateDoc(userDoc(uid, 'sources', sourceId, 'annotations', id), { ...changes, updatedAt: Date.now() }));
+
+export const deleteAnnotation = (uid, sourceId, id) =>
+  queueWrite(deleteDoc(userDoc(uid, 'sources', sourceId, 'annotations', id)));
+
+/**
+ * Resolves a highlight to `{ start, end }` in `text`. Uses the stored offsets
+ * when the quote still sits there, otherwise the occurrence of the quote
+ * closest to the old position; null when the quote is gone.
+ */
+export const anchorHighlight = (text, ann) => {
+  if (text.slice(ann.start, ann.end) === ann.quote) return { start: ann.start, end: ann.end };
+  if (!ann.quote) return null;
+  let best = -1;
+  for (let at = text.indexOf(ann.quote); at !== -1; at = text.indexOf(ann.quote, at + 1)) {
+    if (best === -1 || Math.abs(at - ann.start) < Math.abs(best - ann.start)) best = at;
+  }
+  return best === -1 ? null : { start: best, end: best + ann.quote.length };
+};
+
+/**
+ * Anchors every annotation against the current text and layout.
+ * Highlights get `page` plus per-page local `ranges`; bookmarks get `page`.
+ * Annotations that cannot be re-anchored are returned with `orphaned: true`.
+ */
+export const anchorAnnotations = (annotations, text, pages, pageStarts) => annotations.map(ann => {
+  if (ann.type === 'bookmark') {
+    return { ...ann, page: pageStarts.length ? pageOfOffset(pageStarts, ann.offset || 0) : 0 };
+  }
+  const span = anchorHighlight(text, ann);
+  if (!span || !pageStarts.length) return { ...ann, orphaned: true, page: ann.page ?? 0, ranges: [] };
+  const ranges = [];
+  for (let p = pageOfOffset(pageStarts, span.start); p < pages.length && pageStarts[p] < span.end; p++) {
+    const start = Math.max(span.start - pageStarts[p], 0);
+    const end = Math.min(span.end - pageStarts[p], pages[p].length);
+    if (end > start) ranges.push({ page: p, start, end });
+  }
+  return { ...ann, ...span, page: ranges[0]?.page ?? pageOfOffset(pageStarts, span.start), ranges };
+});
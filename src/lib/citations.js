@@ -0,0 +1,31 @@
+/**
+ * --- CITATIONS ---
+ * The model is asked to cite as [[p12: "exact words"]]. Markers are pulled out
+ * of the answer, replaced by numbered references and checked against the text.
+ */
+import { locateQuote } from './highlight';
+
+export const CITATION_RULE =
+  'After each claim about the manuscript, cite it as [[pN: "short exact quote"]] where N is the page number ' +
+  'from the [Page N] tag and the quote is copied word for word from that page (under 15 words).';
+
+const MARKER = /[ \t]*\[\[\s*p(?:age|\.)?\s*(\d+)\s*:\s*["“]([^"”\]]+)["”]\s*\]\]/gi;
+
+/**
+ * Returns `{ content, citations }`. Each citation is
+ * `{ page, quote, valid, start, end }` with a 0-based page index; `valid` is
+ * false when the quote cannot be found on the cited page.
+ */
+export const extractCitations = (answer, pages) => {
+  const citations = [];
+  const content = String(answer || '')
+    .replace(MARKER, (_, pageNo, quote) => {
+      const page = Number(pageNo) - 1;
+      const span = pages[page] !== undefined ? locateQuote(pages[page], quote) : null;
+      citations.push({ page, quote: quote.trim(), valid: !!span, ...(span || {}) });
+      return ` [${citations.length}]`;
+    })
+    // Hide a marker that is still streaming in
+    .replace(/\[\[[^\]]*$/, '');
+  return { content, citations };
+};
@@ -0,0 +1,113 @@
+/**
+ * --- CODEX ---
+ * Characters, places and items collected across the book, stored under
+ * `sources/{id}/codex/{entryId}`. The source document's `codexPage` records
+ * the last page already scanned so updates only read new pages.
+ */
+import { doc, setDoc, deleteDoc } from 'firebase/firestore';
+import { userCollection, userDoc } from './firebase';
+import { queueWrite } from './sync';
+
+export const CODEX_KINDS = ['character', 'place', 'item'];
+// Synonyms the model tends to use instead of the kinds above
+const KIND_ALIASES = { person: 'character', location: 'place', setting: 'place', object: 'item', artifact: 'item' };
+export const CODEX_BATCH_PAGES = 3;
+// Automatic updates per session before the reader has to press Update, so a jump ahead can't run up requests
+export const CODEX_AUTO_BATCHES = 20;
+
+export const codexCollection = (uid, sourceId) => userCollection(uid, 'sources', sourceId, 'codex');
+
+const clean = (entry) => JSON.parse(JSON.stringify(entry));
+
+export const saveCodexEntry = async (uid, sourceId, { id, ...entry }) => {
+  const data = clean({ ...entry, updatedAt: Date.now() });
+  const ref = id ? userDoc(uid, 'sources', sourceId, 'codex', id) : doc(codexCollection(uid, sourceId));
+  await queueWrite(setDoc(ref, data));
+  return ref.id;
+};
+
+export const deleteCodexEntry = (uid, sourceId, id) =>
+  queueWrite(deleteDoc(userDoc(uid, 'sources', sourceId, 'codex', id)));
+
+export const setCodexProgress = (uid, sourceId, page) =>
+  queueWrite(setDoc(userDoc(uid, 'sources', sourceId), { codexPage: page }, { merge: true }));
+
+/** A name compared without case, punctuation or a leading article; shared with the continuity check. */
+export const normalizeName = (name) =>
+  String(name || '').toLowerCase().replace(/^(the|a|an)\s+/, '').replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+/** Entry whose name or alias matches `name`, ignoring case and leading articles. */
+export const findCodexEntry = (entries, name) => {
+  const key = normalizeName(name);
+  return key ? entries.find(e => [e.name, ...(e.aliases || [])].some(n => normalizeName(n) === key)) : undefined;
+};
+
+export const CODEX_SYSTEM_PROMPT =
+  "You maintain a story codex. Reply ONLY with JSON, no prose.";
+
+/** Prompt + context for scanning `pageNumbers` (0-based) of `pages`. */
+export const codexRequest = (entries, pages, pageNumbers) => {
+  const batchText = pageNumbers.map(p => pages[p]).join(' ');
+  // Only entries that show up in these pages are worth sending back to the model
+  const relevant = entries.filter(e => [e.name, ...(e.aliases || [])].some(n => n && batchText.includes(n)));
+  const known = relevant.map(e => `- ${e.name} (${e.kind}): ${e.description || ''}`).join('\n');
+  return {
+    systemPrompt: CODEX_SYSTEM_PROMPT,
+    mode: 'strict',
+    context: pageNumbers.map(p => `[Page ${p + 1}]\n${pages[p]}`).join('\n\n'),
+    prompt: [
+      'List every named character, place and important item in these pages.',
+      known ? `Known entries (update their descriptions with anything new):\n${known}` : '',
+      'Format: {"entities":[{"name":"","kind":"character|place|item","aliases":[],"firstPage":N,',
+      '"description":"running description, max 60 words","relationships":[{"target":"","relation":""}]}]}',
+    ].filter(Boolean).join('\n'),
+  };
+};
+
+const mergeList = (a = [], b = []) => [...new Set([...a, ...b].map(s => String(s).trim()).filter(Boolean))];
+
+const mergeRelationships = (a = [], b = []) => {
+  const out = [...a];
+  b.forEach(r => {
+    if (!r?.target || !r?.relation) return;
+    const existing = out.findIndex(x => normalizeName(x.target) === normalizeName(r.target));
+    if (existing === -1) out.push({ target: r.target, relation: r.relation });
+    else out[existing] = { target: out[existing].target, relation: r.relation };
+  });
+  return out;
+};
+
+/**
+ * Folds model output into the existing entries. Returns only entries that
+ * changed (existing ones keep their `id`). `pinned` entries were edited by the
+ * user, so their name, kind and description are left alone.
+ */
+export const mergeCodex = (entries, extracted, fallbackPage) => {
+  const changed = new Map();
+  (extracted?.entities || []).forEach(raw => {
+    if (!raw?.name) return;
+    const rawKind = String(raw.kind || '').toLowerCase();
+    const kind = CODEX_KINDS.includes(rawKind) ? rawKind : KIND_ALIASES[rawKind] || 'character';
+    const page = Number.isFinite(Number(raw.firstPage)) ? Number(raw.firstPage) - 1 : fallbackPage;
+    const current = changed.get(findCodexEntry([...changed.values()], raw.name)?.name)
+      || findCodexEntry(entries, raw.name);
+    if (!current) {
+      const entry = {
+        name: String(raw.name).trim(), kind, aliases: mergeList(raw.aliases).filter(a => normalizeName(a) !== normalizeName(raw.name)),
+        firstPage: Math.max(page, 0), description: String(raw.description || '').trim(),
+        relationships: mergeRelationships([], raw.relationships), pinned: false,
+      };
+      changed.set(entry.name, entry);
+      return;
+    }
+    const next = {
+      ...current,
+      aliases: mergeList(current.aliases, [...(raw.aliases || []), raw.name]).filter(a => normalizeName(a) !== normalizeName(current.name)),
+      firstPage: Math.min(current.firstPage ?? page, Math.max(page, 0)),
+      relationships: mergeRelationships(current.relationships, raw.relationships),
+    };
+    if (!current.pinned && raw.description) next.description = String(raw.description).trim();
+    changed.set(current.name, next);
+  });
+  return [...changed.values()];
+};
@@ -0,0 +1,189 @@
+/**
+ * --- CONTINUITY ---
+ * Consistency checks for writers, cached under `sources/{id}/continuity/{key}`:
+ * `facts-{hash}` holds the facts stated by the page text with that hash
+ * (`{ hash, facts: [{ entity, attribute, value, quote }] }`), `entity-{hash}`
+ * the contradictions found among one entity's facts (`{ hash, name, issues }`)
+ * and `issue-{id}` whether an issue was dismissed or resolved (`{ status }`).
+ * Nothing is keyed by page number, so when an edit reflows the book only
+ * pages whose text changed are re-read, an entity is only re-checked when its
+ * facts changed, and a dismissed issue stays dismissed.
+ */
+import { setDoc } from 'firebase/firestore';
+import { userCollection, userDoc } from './firebase';
+import { queueWrite } from './sync';
+import { parseJsonReply } from './ai';
+import { hashText } from './summaries';
+import { normalizeName } from './codex';
+
+const FACT_BATCH_PAGES = 2;
+// Facts sent per entity check; the rest of a long-running character's facts agree anyway
+const MAX_CHECK_FACTS = 80;
+// Attributes worth checking even when every value agrees, since the conflict is with other facts
+const TIMELINE_ATTRIBUTE = /status|alive|dead|death|died|age|born|date|time|day|year|when/i;
+
+const FACTS_PROMPT = "You extract facts from fiction for a continuity editor. Reply ONLY with JSON, no prose.";
+const CHECK_PROMPT = "You are a continuity editor looking for contradictions in a manuscript. Reply ONLY with JSON, no prose.";
+
+export const ISSUE_TYPES = ['trait', 'timeline', 'death', 'other'];
+
+export const continuityCollection = (uid, sourceId) => userCollection(uid, 'sources', sourceId, 'continuity');
+
+export const saveContinuity = (uid, sourceId, key, entry) =>
+  queueWrite(setDoc(userDoc(uid, 'sources', sourceId, 'continuity', key), { ...entry, updatedAt: Date.now() }));
+
+export const issueKey = (id) => `issue-${id}`;
+
+const abortError = () => new DOMException('Continuity check cancelled', 'AbortError');
+
+const pageHash = (pages, p) => hashText(pages[p] || '');
+const factsKey = (pages, p) => `facts-${pageHash(pages, p)}`;
+
+/**
+ * Reads the facts on `pageNumbers` that are missing from `job.cache` or stale,
+ * a couple of pages per request. `job` is the summaries job shape:
+ * `{ pages, cache, store, complete, onProgress, signal }`.
+ */
+export const extractFacts = async (job, pageNumbers) => {
+  const { pages, cache, store, complete, onProgress, signal } = job;
+  const missing = pageNumbers.filter(p => !cache[factsKey(pages, p)]);
+  for (let i = 0; i < missing.length; i += FACT_BATCH_PAGES) {
+    if (signal?.aborted) throw abortError();
+    const batch = missing.slice(i, i + FACT_BATCH_PAGES);
+    onProgress?.(`Reading page ${batch[0] + 1}${batch.length > 1 ? `–${batch[batch.length - 1] + 1}` : ''} (${i + batch.length} of ${missing.length})`);
+    const parsed = parseJsonReply(await complete({
+      systemPrompt: FACTS_PROMPT,
+      mode: 'strict',
+      context: batch.map(p => `[Page ${p + 1}]\n${pages[p]}`).join('\n\n'),
+      prompt: 'List the concrete facts each page states about named characters, places and objects: physical traits ' +
+        '(eye or hair colour, height, scars), ages, relationships, where someone is, dates and times, and whether a ' +
+        'character is alive, injured or dead, or appears and acts. Skip opinions and guesses. For each fact quote the ' +
+        'words (under 15) that state it.\n' +
+        'Format: {"pages":[{"page":N,"facts":[{"entity":"","attribute":"","value":"","quote":""}]}]}',
+    }));
+    if (!parsed) throw new Error("Continuity reply was not JSON");
+    const replies = parsed.pages || [];
+    await Promise.all(batch.map((p, k) => {
+      const reply = replies.find(r => Number(r?.page) === p + 1) || (replies.length === batch.length ? replies[k] : null);
+      const facts = (reply?.facts || [])
+        .map(f => ({
+          entity: String(f?.entity || '').trim(), attribute: String(f?.attribute || '').trim(),
+          value: String(f?.value || '').trim(), quote: String(f?.quote || '').trim(),
+        }))
+        .filter(f => f.entity && f.attribute && f.value);
+      const entry = { hash: pageHash(pages, p), facts };
+      cache[factsKey(pages, p)] = entry;
+      return store(factsKey(pages, p), entry);
+    }));
+  }
+};
+
+// A fact as stated, wherever it now falls
+const factId = (f) => `${f.attribute}|${f.value}|${f.quote}`;
+
+/**
+ * Groups the cached, up-to-date facts of `pageNumbers` by entity, merging
+ * names through `aliases` (normalized alias -> canonical name, e.g. from the
+ * codex). Returns `[{ key, name, facts, lines, hash }]` for entities whose
+ * facts could conflict; each fact carries its `page` and a 1-based `n`, and
+ * `lines` is how they are put to the model. `hash` leaves out the pages, so
+ * a reflow alone doesn't call for a new check.
+ */
+
+export const entityFacts = (cache, pages, pageNumbers, aliases = new Map()) => {
+  const groups = new Map();
+  pageNumbers.forEach(p => {
+    const entry = cache[factsKey(pages, p)];
+    if (!entry) return;
+    entry.facts.forEach(f => {
+      const name = aliases.get(normalizeName(f.entity)) || f.entity;
+      const norm = normalizeName(name);
+      if (!norm) return;
+      if (!groups.has(norm)) groups.set(norm, { name, facts: [] });
+      groups.get(norm).facts.push({ ...f, page: p });
+    });
+  });
+  return [...groups.entries()].flatMap(([norm, { name, facts }]) => {
+    if (new Set(facts.map(f => f.page)).size < 2) return [];
+    // Only attributes that take more than one value, plus the timeline, can contradict
+    const values = new Map();
+    facts.forEach(f => {
+      const attribute = normalizeName(f.attribute);
+      if (!values.has(attribute)) values.set(attribute, new Set());
+      values.get(attribute).add(normalizeName(f.value));
+    });
+    const candidates = facts
+      .filter(f => values.get(normalizeName(f.attribute)).size > 1 || TIMELINE_ATTRIBUTE.test(f.attribute))
+      .slice(0, MAX_CHECK_FACTS)
+      .map((f, i) => ({ ...f, n: i + 1 }));
+    if (new Set(candidates.map(f => f.page)).size < 2) return [];
+    const lines = candidates.map(f => `#${f.n} [Page ${f.page + 1}] ${f.attribute}: ${f.value}${f.quote ? ` ("${f.quote}")` : ''}`);
+    const hash = hashText(candidates.map(factId).join('\n'));
+    return [{ key: `entity-${hashText(norm)}`, name, facts: candidates, lines, hash }];
+  });
+};
+
+const factRef = (f) => ({ page: f.page, attribute: f.attribute, value: f.value, quote: f.quote });
+
+/** Asks for contradictions among each entity's facts, skipping entities whose facts are unchanged. */
+export const checkEntities = async (job, entities) => {
+  const { cache, store, complete, onProgress, signal } = job;
+  const stale = entities.filter(e => cache[e.key]?.hash !== e.hash);
+  for (let i = 0; i < stale.length; i++) {
+    if (signal?.aborted) throw abortError();
+    const entity = stale[i];
+    onProgress?.(`Checking ${entity.name} (${i + 1} of ${stale.length})`);
+    const parsed = parseJsonReply(await complete({
+      systemPrompt: CHECK_PROMPT,
+      mode: 'strict',
+      context: '',
+      prompt: `Facts about "${entity.name}" from a manuscript, in page order:\n${entity.lines.join('\n')}\n\n` +
+        'List only genuine contradictions: a fixed trait that changes, events in an impossible order, or someone ' +
+        'appearing or acting after their death. Changes the story explains (ageing, dyeing hair, travelling) are not ' +
+        'contradictions. Refer to facts by number.\n' +
+        `Format: {"issues":[{"a":1,"b":2,"type":"${ISSUE_TYPES.join('|')}","explanation":""}]}`,
+    }));
+    if (!parsed) throw new Error("Continuity reply was not JSON");
+    const byNumber = new Map(entity.facts.map(f => [f.n, f]));
+    const issues = (parsed.issues || []).flatMap(issue => {
+      const [a, b] = [byNumber.get(Number(issue?.a)), byNumber.get(Number(issue?.b))].sort((x, y) => (x?.page ?? 0) - (y?.page ?? 0));
+      if (!a || !b || a === b) return [];
+      return [{
+        id: hashText([entity.key, ...[a, b].map(f => `${normalizeName(f.attribute)}=${normalizeName(f.value)}`).sort()].join('|')),
+        entity: entity.name,
+        type: ISSUE_TYPES.includes(issue.type) ? issue.type : 'other',
+        explanation: String(issue.explanation || '').trim(),
+        a: factRef(a),
+        b: factRef(b),
+      }];
+    });
+    const entry = { hash: entity.hash, name: entity.name, issues };
+    cache[entity.key] = entry;
+    await store(entity.key, entry);
+  }
+};
+
+/**
+ * The issues that still apply to the current text, in page order: those of
+ * entities whose cached check matches their present facts, with each fact's
+ * page updated to where it falls now.
+ */
+export const currentIssues = (cache, pages, pageNumbers, aliases) =>
+  entityFacts(cache, pages, pageNumbers, aliases)
+    .flatMap(e => {
+      if (cache[e.key]?.hash !== e.hash) return [];
+      const pageOf = new Map(e.facts.map(f => [factId(f), f.page]).reverse());
+      return cache[e.key].issues.map(issue => ({
+        ...issue,
+        a: { ...issue.a, page: pageOf.get(factId(issue.a)) ?? issue.a.page },
+        b: { ...issue.b, page: pageOf.get(factId(issue.b)) ?? issue.b.page },
+      }));
+    })
+    .sort((x, y) => x.a.page - y.a.page || x.b.page - y.b.page);
+
+/** Reads every page in `pageNumbers`, then checks each entity's facts for contradictions. */
+export const checkContinuity = async (job, pageNumbers, aliases) => {
+  await extractFacts(job, pageNumbers);
+  await checkEntities(job, entityFacts(job.cache, job.pages, pageNumbers, aliases));
+  return currentIssues(job.cache, job.pages, pageNumbers, aliases);
+};
@@ -0,0 +1,16 @@
+/** Saves `content` as a file through a temporary object URL. */
+export const downloadFile = (filename, content, type = 'text/plain') => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: `${type};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/** Filesystem-safe version of a manuscript or thread name. */
+export const safeFilename = (name) =>
+  String(name || 'untitled').replace(/\.[a-z0-9]{2,5}$/i, '').replace(/[^\p{L}\p{N}\-_ ]+/gu, '').trim().replace(/\s+/g, '-') || 'untitled';
@@ -0,0 +1,83 @@
+/**
+ * EPUB 3 export: one XHTML file per chapter from ./manuscript.js, with a
+ * navigation document plus an NCX table of contents for older readers.
+ */
+import { writeZip } from './zip';
+import { escapeXml } from './manuscript';
+
+const STYLE = `body { font-family: serif; line-height: 1.5; }
+h1 { text-align: center; margin: 2em 0 1em; }
+p { margin: 0 0 0.8em; text-indent: 1.2em; }
+mark { background: #fde68a; }
+aside { font-size: 0.85em; }`;
+
+const xhtml = (title, body) => `<?xml version="1.0" encoding="utf-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">
+<head><title>${escapeXml(title)}</title><link rel="stylesheet" type="text/css" href="style.css"/></head>
+<body>
+${body}
+</body>
+</html>`;
+
+const CONTAINER = `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles>
+</container>`;
+
+/**
+ * Builds an EPUB Blob from `chapters` (`[{ title, html }]`). Progress is
+ * reported as `{ label, done, total }` while entries are compressed.
+ */
+export const buildEpub = ({ title, author = '', language = 'en', chapters }, { onProgress, signal } = {}) => {
+  const id = `urn:uuid:${crypto.randomUUID()}`;
+  const files = chapters.map((c, i) => ({ id: `chapter-${i + 1}`, href: `chapter-${i + 1}.xhtml`, ...c }));
+  const modified = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+
+  const opf = `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="book-id">${id}</dc:identifier>
+    <dc:title>${escapeXml(title)}</dc:title>
+    ${author ? `<dc:creator>${escapeXml(author)}</dc:creator>` : ''}
+    <dc:language>${escapeXml(language)}</dc:language>
+    <meta property="dcterms:modified">${modified}</meta>
+  </metadata>
+  <manifest>
+    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+    <item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>
+    <item id="style" href="style.css" media-type="text/css"/>
+${files.map(f => `    <item id="${f.id}" href="${f.href}" media-type="application/xhtml+xml"/>`).join('\n')}
+  </manifest>
+  <spine toc="ncx">
+${files.map(f => `    <itemref idref="${f.id}"/>`).join('\n')}
+  </spine>
+</package>`;
+
+  const nav = xhtml(title, `<nav epub:type="toc" id="toc"><h1>Contents</h1><ol>
+${files.map(f => `<li><a href="${f.href}">${escapeXml(f.title)}</a></li>`).join('\n')}
+</ol></nav>`);
+
+  const ncx = `<?xml version="1.0" encoding="UTF-8"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+  <head><meta name="dtb:uid" content="${id}"/></head>
+  <docTitle><text>${escapeXml(title)}</text></docTitle>
+  <navMap>
+${files.map((f, i) => `    <navPoint id="nav-${i + 1}" playOrder="${i + 1}"><navLabel><text>${escapeXml(f.title)}</text></navLabel><content src="${f.href}"/></navPoint>`).join('\n')}
+  </navMap>
+</ncx>`;
+
+  return writeZip([
+    { path: 'mimetype', data: 'application/epub+zip', store: true },
+    { path: 'META-INF/container.xml', data: CONTAINER },
+    { path: 'OEBPS/content.opf', data: opf },
+    { path: 'OEBPS/nav.xhtml', data: nav },
+    { path: 'OEBPS/toc.ncx', data: ncx },
+    { path: 'OEBPS/style.css', data: STYLE },
+    ...files.map(f => ({ path: `OEBPS/${f.href}`, data: xhtml(f.title, f.html) })),
+  ], {
+    type: 'application/epub+zip',
+    signal,
+    onProgress: ({ done, total }) => onProgress?.({ label: `Packing EPUB (${done} of ${total} files)`, done, total }),
+  });
+};
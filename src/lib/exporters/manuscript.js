@@ -0,0 +1,58 @@
+/**
+ * Splits the manuscript into chapters of XHTML for the EPUB and print
+ * exporters. Highlights become `<mark>`s; notes attached to them become
+ * numbered footnotes at the end of their chapter.
+ */
+import { findParagraphs } from '../layout';
+import { segmentText } from '../highlight';
+
+export const escapeXml = (str) => String(str ?? '')
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+/**
+ * Returns `[{ title, html }]` from `text` and the layout's `toc`
+ * (`[{ title, offset }]`). `highlights` are `{ start, end, note }` with
+ * absolute offsets; text before the first chapter becomes an untitled opening.
+ */
+export const manuscriptChapters = ({ text, toc = [], highlights = [] }) => {
+  const starts = toc.map(c => ({ title: c.title, offset: c.offset }));
+  if (!starts.length || starts[0].offset > 0) starts.unshift({ title: '', offset: 0 });
+  const sorted = [...highlights].sort((a, b) => a.start - b.start);
+
+  return starts.map((chapter, index) => {
+    const from = chapter.offset;
+    const to = starts[index + 1]?.offset ?? text.length;
+    const notes = [];
+    const paragraphs = findParagraphs(text.slice(from, to)).map(p => ({ start: from + p.start, end: from + p.end }));
+    // The heading is the chapter's first paragraph in the manuscript text
+    if (chapter.title && text.slice(paragraphs[0]?.start, paragraphs[0]?.end).trim() === chapter.title.trim()) paragraphs.shift();
+
+    const body = paragraphs.map(para => {
+      const ranges = sorted
+        .filter(h => h.end > para.start && h.start < para.end)
+        .map(h => ({ ...h, start: h.start - para.start, end: h.end - para.start }));
+      const html = segmentText(text.slice(para.start, para.end), ranges).map(seg => {
+        if (!seg.range) return escapeXml(seg.text);
+        let mark = `<mark>${escapeXml(seg.text)}</mark>`;
+        // The note marker goes in the paragraph where the highlight ends
+        if (seg.range.note && seg.range.end <= para.end - para.start) {
+          notes.push(seg.range.note);
+          const id = `note-${index}-${notes.length}`;
+          mark += `<a epub:type="noteref" href="#${id}" id="ref-${id}"><sup>${notes.length}</sup></a>`;
+        }
+        return mark;
+      }).join('');
+      return `<p>${html}</p>`;
+    });
+
+    if (!chapter.title && !body.length) return null;
+    const footnotes = notes.map((note, k) => {
+      const id = `note-${index}-${k + 1}`;
+      return `<aside epub:type="footnote" id="${id}"><p><a href="#ref-${id}">${k + 1}.</a> ${escapeXml(note)}</p></aside>`;
+    });
+    return {
+      title: chapter.title || 'Opening',
+      html: [chapter.title && `<h1>${escapeXml(chapter.title)}</h1>`, ...body, footnotes.length && '<hr/>', ...footnotes].filter(Boolean).join('\n'),
+    };
+  }).filter(Boolean);
+};
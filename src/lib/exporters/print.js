@@ -0,0 +1,32 @@
+/**
+ * PDF export through the browser's print dialog ("Save as PDF"): the
+ * chapters are laid out in a hidden frame with print styles, one per page.
+ */
+import { escapeXml } from './manuscript';
+
+const PRINT_STYLE = `@page { margin: 2cm; }
+body { font-family: Georgia, serif; font-size: 12pt; line-height: 1.5; color: #111; }
+.title { text-align: center; margin-top: 30vh; }
+section { break-before: page; }
+h1 { text-align: center; }
+p { margin: 0 0 0.6em; }
+mark { background: #fde68a; }
+aside { font-size: 10pt; color: #444; }
+a { color: inherit; text-decoration: none; }`;
+
+/** Opens the print dialog for `chapters` (`[{ title, html }]`); the frame goes once printing is done. */
+export const printChapters = ({ title, subtitle = '', chapters }) => {
+  const frame = document.createElement('iframe');
+  frame.style.cssText = 'position:fixed;right:0;bottom:0;width:0;height:0;border:0;';
+  frame.srcdoc = `<!DOCTYPE html><html><head><meta charset="utf-8"><title>${escapeXml(title)}</title><style>${PRINT_STYLE}</style></head><body>
+<div class="title"><h1>${escapeXml(title)}</h1>${subtitle ? `<p>${escapeXml(subtitle)}</p>` : ''}</div>
+${chapters.map(c => `<section>${c.html}</section>`).join('\n')}
+</body></html>`;
+  frame.onload = () => {
+    const win = frame.contentWindow;
+    win.addEventListener('afterprint', () => setTimeout(() => frame.remove(), 0));
+    win.focus();
+    win.print();
+  };
+  document.body.appendChild(frame);
+};
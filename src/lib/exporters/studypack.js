@@ -0,0 +1,70 @@
+/**
+ * Markdown study pack: cached summaries, the latest insight, the codex,
+ * highlights, bookmarks and chat transcripts, each tied to page numbers.
+ */
+import { threadToMarkdown } from '../threads';
+import { CODEX_KINDS } from '../codex';
+
+const KIND_TITLES = { character: 'Characters', place: 'Places', item: 'Items' };
+
+const quoteLines = (str) => String(str).split('\n').map(l => `> ${l}`).join('\n');
+
+/**
+ * `summaries` is the summary cache (see ../summaries.js) and `sections` the
+ * chapter ranges it was built on; `highlights` and `bookmarks` are anchored
+ * annotations with `page`; `threads` are `{ name, messages }`.
+ */
+export const studyPackMarkdown = ({ name, sections = [], summaries = {}, insight, codex = [], highlights = [], bookmarks = [], threads = [] }) => {
+  const lines = [`# ${name}: study pack`, '', `_Exported ${new Date().toLocaleString()}_`, ''];
+
+  if (summaries.book?.text) lines.push('## Synopsis', '', summaries.book.text, '');
+  const summarized = sections.filter(s => summaries[`section-${s.from}`]?.text || summaries[`page-${s.from}`]?.text);
+  if (summarized.length) {
+    lines.push('## Chapter summaries', '');
+    summarized.forEach(s => {
+      lines.push(`### ${s.title} (pp. ${s.from + 1}–${s.to + 1})`, '');
+      if (summaries[`section-${s.from}`]?.text) lines.push(summaries[`section-${s.from}`].text, '');
+      for (let p = s.from; p <= s.to; p++) {
+        if (summaries[`page-${p}`]?.text) lines.push(`- **p. ${p + 1}:** ${summaries[`page-${p}`].text}`);
+      }
+      lines.push('');
+    });
+  }
+
+  if (insight?.text) lines.push(`## Latest insight (${insight.type})`, '', insight.text, '');
+
+  if (codex.length) {
+    lines.push('## Codex', '');
+    CODEX_KINDS.forEach(kind => {
+      const entries = codex.filter(e => e.kind === kind).sort((a, b) => a.name.localeCompare(b.name));
+      if (!entries.length) return;
+      lines.push(`### ${KIND_TITLES[kind]}`, '');
+      entries.forEach(e => {
+        const aka = e.aliases?.length ? ` (also ${e.aliases.join(', ')})` : '';
+        lines.push(`- **${e.name}**${aka}, first seen p. ${(e.firstPage ?? 0) + 1}: ${e.description || ''}`.trimEnd());
+        (e.relationships || []).forEach(r => lines.push(`  - ${r.relation}: ${r.target}`));
+      });
+      lines.push('');
+    });
+  }
+
+  if (highlights.length) {
+    lines.push('## Highlights and notes', '');
+    [...highlights].sort((a, b) => a.page - b.page || a.start - b.start).forEach(h => {
+      lines.push(`**p. ${h.page + 1}**${h.orphaned ? ' (text since changed)' : ''}`, '', quoteLines(h.quote), '');
+      if (h.note) lines.push(h.note, '');
+    });
+  }
+
+  if (bookmarks.length) {
+    lines.push('## Bookmarks', '', ...[...bookmarks].sort((a, b) => a.page - b.page).map(b => `- p. ${b.page + 1}`), '');
+  }
+
+  const chats = threads.filter(t => t.messages?.length);
+  if (chats.length) {
+    lines.push('## Chats', '');
+    // Each transcript is demoted a level so it nests under this heading
+    chats.forEach(t => lines.push(threadToMarkdown(t, t.messages, name).replace(/^# /, '### '), ''));
+  }
+  return lines.join('\n');
+};
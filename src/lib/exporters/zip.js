@@ -0,0 +1,91 @@
+/**
+ * Minimal ZIP writer for EPUB export, the counterpart of importers/zip.js.
+ * Entries are deflated with the browser's native CompressionStream unless
+ * marked `store` (EPUB needs its `mimetype` entry uncompressed).
+ */
+
+const LOCAL_SIG = 0x04034b50;
+const CENTRAL_SIG = 0x02014b50;
+const EOCD_SIG = 0x06054b50;
+const UTF8_FLAG = 0x0800;
+// 1980-01-01 00:00, the earliest DOS date; entry times don't matter here
+const DOS_DATE = 0x21;
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+const crc32 = (bytes) => {
+  let c = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+};
+
+const deflateRaw = async (bytes) => {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+/**
+ * Zips `[{ path, data, store }]` (`data` a string or Uint8Array) in order.
+ * Calls `onProgress({ done, total })` per entry; resolves to a Blob of `type`.
+ */
+export const writeZip = async (files, { type = 'application/zip', onProgress, signal } = {}) => {
+  const encoder = new TextEncoder();
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  for (let i = 0; i < files.length; i++) {
+    if (signal?.aborted) throw new DOMException('Export cancelled', 'AbortError');
+    const { path, data, store = false } = files[i];
+    const raw = typeof data === 'string' ? encoder.encode(data) : data;
+    const body = store ? raw : await deflateRaw(raw);
+    const name = encoder.encode(path);
+    const crc = crc32(raw);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, LOCAL_SIG, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, UTF8_FLAG, true);
+    local.setUint16(8, store ? 0 : 8, true);
+    local.setUint16(12, DOS_DATE, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, body.length, true);
+    local.setUint32(22, raw.length, true);
+    local.setUint16(26, name.length, true);
+    parts.push(local, name, body);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, CENTRAL_SIG, true);
+    entry.setUint16(4, 20, true);
+    entry.setUint16(6, 20, true);
+    entry.setUint16(8, UTF8_FLAG, true);
+    entry.setUint16(10, store ? 0 : 8, true);
+    entry.setUint16(14, DOS_DATE, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, body.length, true);
+    entry.setUint32(24, raw.length, true);
+    entry.setUint16(28, name.length, true);
+    entry.setUint32(42, offset, true);
+    central.push(entry, name);
+
+    offset += 30 + name.length + body.length;
+    onProgress?.({ done: i + 1, total: files.length });
+  }
+
+  const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+  const eocd = new DataView(new ArrayBuffer(22));
+  eocd.setUint32(0, EOCD_SIG, true);
+  eocd.setUint16(8, files.length, true);
+  eocd.setUint16(10, files.length, true);
+  eocd.setUint32(12, centralSize, true);
+  eocd.setUint32(16, offset, true);
+  return new Blob([...parts, ...central, eocd], { type });
+};
@@ -0,0 +1,61 @@
+/**
+ * --- FIND ---
+ * Plain text matching used by the search worker. Queries are phrases where
+ * any run of whitespace matches any other (so line breaks don't hide hits),
+ * case-insensitive unless asked otherwise.
+ */
+
+export const MAX_MATCHES = 2000;
+const SNIPPETS_PER_SOURCE = 5;
+const SNIPPET_RADIUS = 60;
+
+const escapeRegExp = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/** Splits a library query into terms: "quoted phrases" stay whole, other words stand alone. */
+export const parseQuery = (query) =>
+  [...String(query || '').matchAll(/"([^"]+)"|(\S+)/g)]
+    .map(m => (m[1] || m[2]).trim())
+    .filter(Boolean);
+
+/** All `{ start, end }` occurrences of `phrase` in `text`, at most `limit`. */
+export const findPhrase = (text, phrase, { caseSensitive = false, limit = MAX_MATCHES } = {}) => {
+  const words = String(phrase || '').replace(/"/g, '').trim().split(/\s+/).filter(Boolean);
+  if (!words.length) return [];
+  const re = new RegExp(words.map(escapeRegExp).join('\\s+'), caseSensitive ? 'gu' : 'giu');
+  const matches = [];
+  for (const m of text.matchAll(re)) {
+    matches.push({ start: m.index, end: m.index + m[0].length });
+    if (matches.length >= limit) break;
+  }
+  return matches;
+};
+
+/** `{ before, match, after }` around a hit, cut at word boundaries and flattened to one line. */
+export const snippetAt = (text, start, end) => {
+  const flat = (str) => str.replace(/\s+/g, ' ');
+  let from = Math.max(start - SNIPPET_RADIUS, 0);
+  let to = Math.min(end + SNIPPET_RADIUS, text.length);
+  if (from > 0) from = text.indexOf(' ', from) + 1 || start;
+  if (to < text.length) to = Math.max(text.lastIndexOf(' ', to), end);
+  return {
+    before: `${from > 0 ? '…' : ''}${flat(text.slice(from, start)).trimStart()}`,
+    match: flat(text.slice(start, end)),
+    after: `${flat(text.slice(end, to)).trimEnd()}${to < text.length ? '…' : ''}`,
+  };
+};
+
+/**
+ * Library search over one text: every term must occur somewhere. Returns
+ * `{ count, hits }` with snippets for the first few hits, or null on no match.
+ */
+export const searchText = (text, query, options = {}) => {
+  const terms = parseQuery(query);
+  if (!terms.length) return null;
+  const perTerm = terms.map(term => findPhrase(text, term, options));
+  if (perTerm.some(matches => !matches.length)) return null;
+  const all = perTerm.flat().sort((a, b) => a.start - b.start);
+  return {
+    count: all.length,
+    hits: all.slice(0, SNIPPETS_PER_SOURCE).map(m => ({ ...m, ...snippetAt(text, m.start, m.end) })),
+  };
+};
@@ -0,0 +1,37 @@
+import { initializeApp, getApps, getApp } from 'firebase/app';
+import { getAuth } from 'firebase/auth';
+import {
+  initializeFirestore, getFirestore, persistentLocalCache, persistentMultipleTabManager, collection, doc
+} from 'firebase/firestore';
+
+/**
+ * --- ENVIRONMENT CONFIGURATION ---
+ */
+const firebaseConfig = {
+  apiKey: import.meta.env.VITE_FIREBASE_API_KEY,
+  authDomain: import.meta.env.VITE_FIREBASE_AUTH_DOMAIN,
+  projectId: import.meta.env.VITE_FIREBASE_PROJECT_ID,
+  storageBucket: import.meta.env.VITE_FIREBASE_STORAGE_BUCKET,
+  messagingSenderId: import.meta.env.VITE_FIREBASE_MESSAGING_SENDER_ID,
+  appId: import.meta.env.VITE_FIREBASE_APP_ID,
+};
+
+export const appId = String(import.meta.env.VITE_APP_ID || 'novel-quest-v1').replace(/[^a-zA-Z0-9]/g, '_');
+
+// Initialize Firebase services
+export const app = getApps().length === 0 ? initializeApp(firebaseConfig) : getApp();
+export const auth = getAuth(app);
+// Documents and pending writes persist in IndexedDB, so the Library works offline.
+// Hot reloads re-run this module after Firestore is already initialized.
+const initDb = () => {
+  try {
+    return initializeFirestore(app, { localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }) });
+  } catch {
+    return getFirestore(app);
+  }
+};
+export const db = initDb();
+
+// Everything a user owns lives under artifacts/{appId}/users/{uid}/...
+export const userCollection = (uid, ...path) => collection(db, 'artifacts', appId, 'users', uid, ...path);
+export const userDoc = (uid, ...path) => doc(db, 'artifacts', appId, 'users', uid, ...path);
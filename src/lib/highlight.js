@@ -0,0 +1,76 @@
+/**
+ * --- TEXT HIGHLIGHTING ---
+ * Helpers for locating quoted spans in page text and splitting a page into
+ * plain/highlighted segments for rendering.
+ */
+
+const QUOTE_CHARS = { '‘': "'", '’': "'", '“': '"', '”': '"', '—': '-', '–': '-' };
+
+/**
+ * Lowercases, unifies typographic quotes/dashes and collapses whitespace,
+ * keeping a map from each normalized character back to its source offset.
+ */
+export const normalizeWithMap = (str) => {
+  let out = '';
+  const map = [];
+  let lastWasSpace = true;
+  for (let i = 0; i < str.length; i++) {
+    const ch = str[i];
+    if (/\s/.test(ch)) {
+      if (lastWasSpace) continue;
+      out += ' '; map.push(i); lastWasSpace = true;
+      continue;
+    }
+    out += (QUOTE_CHARS[ch] || ch).toLowerCase(); map.push(i);
+    lastWasSpace = false;
+  }
+  if (out.endsWith(' ')) { out = out.slice(0, -1); map.pop(); }
+  return { text: out, map };
+};
+
+/** Finds `quote` in `text`, ignoring case/whitespace/quote style. Returns `{ start, end }` or null. */
+export const locateQuote = (text, quote) => {
+  const needle = normalizeWithMap(String(quote || '').replace(/^[\s."'“”‘’…]+|[\s."'“”‘’…]+$/g, '')).text;
+  if (needle.length < 3) return null;
+  const hay = normalizeWithMap(String(text || ''));
+  const at = hay.text.indexOf(needle);
+  if (at === -1) return null;
+  return { start: hay.map[at], end: hay.map[at + needle.length - 1] + 1 };
+};
+
+/**
+ * Splits `text` into consecutive segments. `ranges` are `{ start, end, ...meta }`;
+ * overlapping ranges are clipped so each character belongs to one segment.
+ */
+export const segmentText = (text, ranges = []) => {
+  const sorted = ranges
+    .filter(r => r && r.end > r.start)
+    .sort((a, b) => a.start - b.start);
+  const segments = [];
+  let cursor = 0;
+  sorted.forEach(r => {
+    const start = Math.max(r.start, cursor);
+    const end = Math.min(r.end, text.length);
+    if (end <= start) return;
+    if (start > cursor) segments.push({ text: text.slice(cursor, start), range: null });
+    segments.push({ text: text.slice(start, end), range: r });
+    cursor = end;
+  });
+  if (cursor < text.length) segments.push({ text: text.slice(cursor), range: null });
+  return segments;
+};
+
+/**
+ * Adds `top` to `ranges`, cutting any range it overlaps around it, so
+ * segmentText shows `top` in full instead of clipping it.
+ */
+export const overlayRange = (ranges, top) => {
+  if (!top || top.end <= top.start) return ranges;
+  const out = [];
+  ranges.forEach(r => {
+    if (r.end <= top.start || r.start >= top.end) return out.push(r);
+    if (r.start < top.start) out.push({ ...r, end: top.start });
+    if (r.end > top.end) out.push({ ...r, start: top.end });
+  });
+  return [...out, top];
+};
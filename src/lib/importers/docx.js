@@ -0,0 +1,54 @@
+import { readZip } from './zip';
+import { composeManuscript } from './manuscript';
+
+// Word paragraph styles that start a new chapter
+const CHAPTER_STYLES = /^(title|heading ?1|heading ?2)$/i;
+
+const childrenByName = (node, name) => [...node.childNodes].filter(n => n.localName === name);
+
+const paragraphText = (p) => {
+  let out = '';
+  const walk = (node) => {
+    switch (node.localName) {
+      case 't': out += node.textContent; return;
+      case 'tab': out += '\t'; return;
+      case 'br': case 'cr': out += '\n'; return;
+      case 'pPr': case 'rPr': case 'instrText': case 'delText': return;
+      default: [...node.childNodes].forEach(walk);
+    }
+  };
+  walk(p);
+  return out;
+};
+
+const paragraphStyle = (p) => {
+  const pPr = childrenByName(p, 'pPr')[0];
+  const style = pPr && childrenByName(pPr, 'pStyle')[0];
+  return style ? style.getAttribute('w:val') || '' : '';
+};
+
+/** Reads word/document.xml body paragraphs; Title/Heading 1/Heading 2 start chapters. */
+export const parseDocx = async (buffer) => {
+  const entry = readZip(buffer).get('word/document.xml');
+  if (!entry) throw new Error('DOCX is missing word/document.xml');
+  const dom = new DOMParser().parseFromString(await entry.text(), 'application/xml');
+  const body = dom.getElementsByTagName('w:body')[0];
+  if (!body) throw new Error('DOCX has no document body');
+
+  const sections = [{ title: '', paragraphs: [] }];
+  [...body.getElementsByTagName('w:p')].forEach(p => {
+    const content = paragraphText(p).trim();
+    if (!content) return;
+    if (CHAPTER_STYLES.test(paragraphStyle(p))) sections.push({ title: content, paragraphs: [] });
+    else sections[sections.length - 1].paragraphs.push(content);
+  });
+  return composeManuscript(sections);
+};
+
+export default {
+  id: 'docx',
+  label: 'DOCX',
+  extensions: ['.docx'],
+  mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+  parse: async (file) => parseDocx(await file.arrayBuffer()),
+};
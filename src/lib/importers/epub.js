@@ -0,0 +1,88 @@
+import { readZip } from './zip';
+import { composeManuscript } from './manuscript';
+
+const BLOCK_TAGS = new Set(['p', 'div', 'li', 'blockquote', 'pre', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'td']);
+const HEADING_TAGS = new Set(['h1', 'h2', 'h3']);
+
+const parseXml = (str, type = 'application/xml') => {
+  const dom = new DOMParser().parseFromString(str, type);
+  if (dom.getElementsByTagName('parsererror').length && type !== 'text/html') {
+    return new DOMParser().parseFromString(str, 'text/html');
+  }
+  return dom;
+};
+
+const resolvePath = (base, href) => {
+  const parts = (base ? `${base}/${href}` : href).split('/');
+  const out = [];
+  parts.forEach(p => {
+    if (p === '..') out.pop();
+    else if (p && p !== '.') out.push(p);
+  });
+  return decodeURIComponent(out.join('/').split('#')[0]);
+};
+
+/** Walks an XHTML body collecting leaf block text; the first h1–h3 becomes the chapter title. */
+const extractSection = (body) => {
+  let title = '';
+  const paragraphs = [];
+  const walk = (node) => {
+    const tag = (node.localName || '').toLowerCase();
+    const hasBlockChild = [...node.children].some(c => BLOCK_TAGS.has((c.localName || '').toLowerCase()));
+    if (BLOCK_TAGS.has(tag) && !hasBlockChild) {
+      const content = node.textContent.trim();
+      if (!content) return;
+      if (!title && HEADING_TAGS.has(tag)) title = content;
+      else paragraphs.push(content);
+      return;
+    }
+    [...node.children].forEach(walk);
+  };
+  if (body) walk(body);
+  return { title, paragraphs };
+};
+
+/** Reads an EPUB in spine (reading) order. */
+export const parseEpub = async (buffer, { onProgress, signal } = {}) => {
+  const zip = readZip(buffer);
+  const read = async (path) => {
+    const entry = zip.get(path);
+    if (!entry) throw new Error(`EPUB is missing ${path}`);
+    return entry.text();
+  };
+
+  const container = parseXml(await read('META-INF/container.xml'));
+  const opfPath = container.getElementsByTagName('rootfile')[0]?.getAttribute('full-path');
+  if (!opfPath) throw new Error('EPUB has no package document');
+  const opfDir = opfPath.includes('/') ? opfPath.slice(0, opfPath.lastIndexOf('/')) : '';
+  const opf = parseXml(await read(opfPath));
+
+  const manifest = new Map();
+  [...opf.getElementsByTagName('item')].forEach(item => {
+    manifest.set(item.getAttribute('id'), item.getAttribute('href'));
+  });
+  const spine = [...opf.getElementsByTagName('itemref')]
+    .filter(ref => ref.getAttribute('linear') !== 'no')
+    .map(ref => manifest.get(ref.getAttribute('idref')))
+    .filter(Boolean);
+
+  const sections = [];
+  for (const [i, href] of spine.entries()) {
+    if (signal?.aborted) throw new DOMException('Import cancelled', 'AbortError');
+    onProgress?.({ done: i, total: spine.length });
+    const entry = zip.get(resolvePath(opfDir, href));
+    if (!entry) continue;
+    const page = parseXml(await entry.text(), 'application/xhtml+xml');
+    sections.push(extractSection(page.getElementsByTagName('body')[0]));
+  }
+  const field = (tag) => opf.getElementsByTagName(tag)[0]?.textContent.trim();
+  return { ...composeManuscript(sections), meta: { title: field('dc:title'), author: field('dc:creator') } };
+};
+
+export default {
+  id: 'epub',
+  label: 'EPUB',
+  extensions: ['.epub'],
+  mimeTypes: ['application/epub+zip'],
+  parse: async (file, options) => parseEpub(await file.arrayBuffer(), options),
+};
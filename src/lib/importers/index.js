@@ -0,0 +1,47 @@
+/**
+ * --- IMPORTER REGISTRY ---
+ * Maps file extensions / MIME types to parsers that all produce the shape
+ * described in ./manuscript.js.
+ */
+
+import pdfImporter from './pdf';
+import epubImporter from './epub';
+import docxImporter from './docx';
+import { textImporter, markdownImporter } from './text';
+
+const importers = [];
+
+/**
+ * Registers `{ id, label, extensions: ['.epub'], mimeTypes: [...], parse(file, options) }`.
+ * Later registrations win when two importers claim the same file.
+ */
+export const registerImporter = (importer) => {
+  importers.unshift(importer);
+};
+
+const extensionOf = (name) => {
+  const dot = String(name || '').lastIndexOf('.');
+  return dot === -1 ? '' : name.slice(dot).toLowerCase();
+};
+
+export const findImporter = (file) => {
+  const ext = extensionOf(file.name);
+  return importers.find(i => i.extensions.includes(ext))
+    || importers.find(i => file.type && i.mimeTypes.includes(file.type))
+    || null;
+};
+
+/** Value for the upload input's `accept` attribute. */
+export const acceptedTypes = () =>
+  [...new Set(importers.flatMap(i => [...i.extensions, ...i.mimeTypes]))].join(',');
+
+export const importerLabels = () => [...importers].reverse().map(i => i.label);
+
+export const importFile = async (file, options = {}) => {
+  const importer = findImporter(file);
+  if (!importer) throw new Error(`Unsupported file type: ${file.name}`);
+  const result = await importer.parse(file, options);
+  return { ...result, format: importer.id };
+};
+
+[pdfImporter, epubImporter, docxImporter, textImporter, markdownImporter].forEach(registerImporter);
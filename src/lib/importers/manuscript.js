@@ -0,0 +1,49 @@
+/**
+ * Normalized manuscript shape shared by every importer:
+ *   { text, chapters: [{ title, offset }], meta? }
+ * `text` uses blank lines between paragraphs; `offset` is where a chapter's
+ * heading starts inside `text`. `meta` holds whatever the file says about
+ * itself: `{ title, author, cover }`, any of which may be missing.
+ */
+
+// Library cover thumbnails fit this box and are stored as JPEG data URLs
+const COVER_BOX = { width: 180, height: 270 };
+
+/**
+ * Draws a cover from an image or page that is `width`×`height`:
+ * `draw(context, scale)` paints it scaled to fit. Resolves to a data URL.
+ */
+export const drawCover = async (width, height, draw) => {
+  const scale = Math.min(COVER_BOX.width / width, COVER_BOX.height / height);
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(width * scale);
+  canvas.height = Math.round(height * scale);
+  await draw(canvas.getContext('2d'), scale);
+  return canvas.toDataURL('image/jpeg', 0.75);
+};
+
+const cleanParagraph = (str) => String(str || '').replace(/[ \t\u00a0]+/g, ' ').trim();
+
+/**
+ * Builds the normalized manuscript from `[{ title, paragraphs }]`. A section
+ * with a title contributes a chapter entry; untitled sections are plain text.
+ */
+export const composeManuscript = (sections) => {
+  let text = '';
+  const chapters = [];
+  const append = (para) => {
+    if (text) text += '\n\n';
+    text += para;
+  };
+  sections.forEach(({ title, paragraphs }) => {
+    const body = (paragraphs || []).map(cleanParagraph).filter(Boolean);
+    const heading = cleanParagraph(title);
+    if (!heading && !body.length) return;
+    if (heading) {
+      chapters.push({ title: heading, offset: text ? text.length + 2 : 0 });
+      append(heading);
+    }
+    body.forEach(append);
+  });
+  return { text, chapters };
+};
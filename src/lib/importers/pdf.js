@@ -0,0 +1,72 @@
+import { composeManuscript, drawCover } from './manuscript';
+
+const PDFJS_SRC = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.4.120/pdf.min.js';
+const PDFJS_WORKER_SRC = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.4.120/pdf.worker.min.js';
+
+let pdfJsPromise = null;
+
+/** Loads pdf.js from the CDN once; resolves with `window.pdfjsLib`. */
+export const ensurePdfJs = () => {
+  if (window.pdfjsLib) return Promise.resolve(window.pdfjsLib);
+  if (!pdfJsPromise) {
+    pdfJsPromise = new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = PDFJS_SRC;
+      script.onload = () => {
+        window.pdfjsLib.GlobalWorkerOptions.workerSrc = PDFJS_WORKER_SRC;
+        resolve(window.pdfjsLib);
+      };
+      script.onerror = () => {
+        pdfJsPromise = null;
+        reject(new Error('PDF engine failed to load'));
+      };
+      document.head.appendChild(script);
+    });
+  }
+  return pdfJsPromise;
+};
+
+// The first page becomes the Library cover; a page that won't render just means no cover
+const renderCover = async (pdf) => {
+  try {
+    const page = await pdf.getPage(1);
+    const { width, height } = page.getViewport({ scale: 1 });
+    const cover = await drawCover(width, height, (canvasContext, scale) =>
+      page.render({ canvasContext, viewport: page.getViewport({ scale }) }).promise);
+    page.cleanup();
+    return cover;
+  } catch (err) {
+    console.error("PDF cover error:", err);
+    return null;
+  }
+};
+
+export default {
+  id: 'pdf',
+  label: 'PDF',
+  extensions: ['.pdf'],
+  mimeTypes: ['application/pdf'],
+  // Extracts one page at a time so long books report progress and can be cancelled
+  parse: async (file, { onProgress, signal } = {}) => {
+    const pdfjsLib = await ensurePdfJs();
+    const pdf = await pdfjsLib.getDocument({ data: await file.arrayBuffer() }).promise;
+    const paragraphs = [];
+    let meta = {};
+    try {
+      const { info } = await pdf.getMetadata().catch(() => ({}));
+      meta = { title: info?.Title?.trim(), author: info?.Author?.trim(), cover: await renderCover(pdf) };
+      for (let i = 1; i <= pdf.numPages; i++) {
+        if (signal?.aborted) throw new DOMException('Import cancelled', 'AbortError');
+        onProgress?.({ done: i - 1, total: pdf.numPages });
+        const page = await pdf.getPage(i);
+        const content = await page.getTextContent();
+        paragraphs.push(content.items.map(item => item.str).join(' '));
+        page.cleanup();
+      }
+    } finally {
+      pdf.destroy();
+    }
+    onProgress?.({ done: pdf.numPages, total: pdf.numPages });
+    return { ...composeManuscript([{ paragraphs }]), meta };
+  },
+};
@@ -0,0 +1,54 @@
+import { composeManuscript } from './manuscript';
+
+const splitParagraphs = (str) =>
+  str.replace(/\r\n?/g, '\n').split(/\n\s*\n/).map(p => p.replace(/\s*\n\s*/g, ' '));
+
+export const textImporter = {
+  id: 'txt',
+  label: 'TXT',
+  extensions: ['.txt', '.text'],
+  mimeTypes: ['text/plain'],
+  parse: async (file) => composeManuscript([{ paragraphs: splitParagraphs(await file.text()) }]),
+};
+
+// Inline markdown reduced to its readable text
+const stripInline = (str) => str
+  .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+  .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+  .replace(/(\*\*|__)(.+?)\1/g, '$2')
+  .replace(/(\*|_)(.+?)\1/g, '$2')
+  .replace(/`([^`]+)`/g, '$1')
+  .replace(/<[^>]+>/g, '');
+
+/** `#` and `##` headings start chapters; deeper headings stay in the text. */
+export const parseMarkdown = (source) => {
+  const sections = [{ title: '', paragraphs: [] }];
+  let buffer = [];
+  const flush = () => {
+    if (buffer.length) sections[sections.length - 1].paragraphs.push(stripInline(buffer.join(' ')));
+    buffer = [];
+  };
+
+  source.replace(/\r\n?/g, '\n').split('\n').forEach(line => {
+    const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (heading) {
+      flush();
+      if (heading[1].length <= 2) sections.push({ title: stripInline(heading[2]), paragraphs: [] });
+      else sections[sections.length - 1].paragraphs.push(stripInline(heading[2]));
+      return;
+    }
+    if (/^\s*$/.test(line) || /^\s*(```|~~~|---+|\*\*\*+)\s*$/.test(line)) return flush();
+    if (/^\s*([-*+]|\d+\.)\s+/.test(line)) flush();
+    buffer.push(line.replace(/^\s*(>\s?|[-*+]\s+|\d+\.\s+)/, '').trim());
+  });
+  flush();
+  return composeManuscript(sections);
+};
+
+export const markdownImporter = {
+  id: 'md',
+  label: 'Markdown',
+  extensions: ['.md', '.markdown'],
+  mimeTypes: ['text/markdown', 'text/x-markdown'],
+  parse: async (file) => parseMarkdown(await file.text()),
+};
@@ -0,0 +1,49 @@
+import { composeManuscript } from './manuscript';
+
+export const DEFAULT_CHAPTER_LIMIT = 5;
+export const MAX_CHAPTER_LIMIT = 50;
+
+const fetchChapter = async (url, signal) => {
+  const response = await fetch('/api/import-url', {
+    method: 'POST',
+    signal,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ url }),
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(data.error || `Fetch failed (${response.status})`);
+  return data;
+};
+
+/**
+ * Imports a web page through the /api/import-url proxy, following "next
+ * chapter" links up to `maxChapters`. Resolves with the normalized manuscript
+ * plus a `title` for the Library.
+ */
+export const importFromUrl = async (url, { maxChapters = DEFAULT_CHAPTER_LIMIT, onProgress, signal } = {}) => {
+  const limit = Math.max(1, Math.min(Number(maxChapters) || 1, MAX_CHAPTER_LIMIT));
+  const visited = new Set();
+  const sections = [];
+  let nextUrl = url;
+
+  while (nextUrl && sections.length < limit && !visited.has(nextUrl)) {
+    visited.add(nextUrl);
+    onProgress?.({ done: sections.length, total: limit, url: nextUrl });
+    let chapter;
+    try {
+      chapter = await fetchChapter(nextUrl, signal);
+    } catch (err) {
+      // Keep what was already fetched if a later chapter fails
+      if (!sections.length || err.name === 'AbortError') throw err;
+      break;
+    }
+    if (chapter.paragraphs?.length) sections.push({ title: chapter.title, paragraphs: chapter.paragraphs });
+    else if (!sections.length) throw new Error('No readable text found');
+    else break;
+    visited.add(chapter.url);
+    nextUrl = chapter.next;
+  }
+
+  const manuscript = composeManuscript(sections);
+  return { ...manuscript, format: 'url', title: sections[0]?.title || new URL(url).hostname };
+};
@@ -0,0 +1,55 @@
+/**
+ * Minimal ZIP reader for EPUB/DOCX containers. Reads the central directory
+ * and inflates entries with the browser's native DecompressionStream.
+ */
+
+const EOCD_SIG = 0x06054b50;
+const CENTRAL_SIG = 0x02014b50;
+
+const findEndOfCentralDirectory = (view) => {
+  // The EOCD record sits in the last 22 bytes plus an optional comment (max 64 KiB)
+  const min = Math.max(0, view.byteLength - 22 - 0xffff);
+  for (let i = view.byteLength - 22; i >= min; i--) {
+    if (view.getUint32(i, true) === EOCD_SIG) return i;
+  }
+  throw new Error('Not a ZIP archive');
+};
+
+const inflateRaw = async (bytes) => {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+/** Returns a Map of entry path -> `{ async bytes(), async text() }`. */
+export const readZip = (buffer) => {
+  const view = new DataView(buffer);
+  const eocd = findEndOfCentralDirectory(view);
+  const count = view.getUint16(eocd + 10, true);
+  let ptr = view.getUint32(eocd + 16, true);
+  const decoder = new TextDecoder();
+  const entries = new Map();
+
+  for (let n = 0; n < count; n++) {
+    if (view.getUint32(ptr, true) !== CENTRAL_SIG) throw new Error('Corrupt ZIP directory');
+    const method = view.getUint16(ptr + 10, true);
+    const compressedSize = view.getUint32(ptr + 20, true);
+    const nameLen = view.getUint16(ptr + 28, true);
+    const extraLen = view.getUint16(ptr + 30, true);
+    const commentLen = view.getUint16(ptr + 32, true);
+    const localOffset = view.getUint32(ptr + 42, true);
+    const name = decoder.decode(new Uint8Array(buffer, ptr + 46, nameLen));
+    ptr += 46 + nameLen + extraLen + commentLen;
+
+    const bytes = async () => {
+      const localNameLen = view.getUint16(localOffset + 26, true);
+      const localExtraLen = view.getUint16(localOffset + 28, true);
+      const start = localOffset + 30 + localNameLen + localExtraLen;
+      const data = new Uint8Array(buffer, start, compressedSize);
+      if (method === 0) return data;
+      if (method === 8) return inflateRaw(data);
+      throw new Error(`Unsupported ZIP compression (${method}) in ${name}`);
+    };
+    entries.set(name, { bytes, text: async () => decoder.decode(await bytes()) });
+  }
+  return entries;
+};
@@ -0,0 +1,170 @@
+/**
+ * --- LAYOUT ENGINE ---
+ * Paginates manuscript text without breaking paragraphs or sentences where it
+ * can avoid it, and starts every chapter on a fresh page. Each page is an
+ * exact slice of the source text, so `pageStarts[i] + offsetInPage` is always
+ * an offset into the original manuscript.
+ */
+
+const NUMBER_WORDS = 'one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|thirteen|fourteen|fifteen|sixteen|seventeen|eighteen|nineteen|twenty|thirty|forty|fifty';
+const NUMERAL = `(?:\\d{1,3}|[ivxlcdm]{1,7}|(?:${NUMBER_WORDS})(?:[- ](?:${NUMBER_WORDS}))?)`;
+const HEADING_PATTERNS = [
+  new RegExp(`^(?:chapter|chap\\.|part|book|volume)\\s+${NUMERAL}\\b`, 'i'),
+  /^(?:prologue|epilogue|interlude|introduction|preface|afterword)\b/i,
+  /^[IVXLC]{1,7}\.?$/,
+  /^\d{1,3}\.?$/,
+  /^\d{1,3}[.)]\s+\p{Lu}/u,
+];
+// "CHAPTER XII The storm broke…" in PDF text, where the heading shares a line with prose
+const INLINE_HEADING = /^(?:CHAPTER|Chapter)\s+(?:\d{1,3}|[IVXLCDM]{1,7})\b[.:]?/;
+
+const MAX_HEADING_WORDS = 12;
+const SENTENCE = /[^.!?…]+(?:[.!?…]+["'”’)\]]*|$)\s*/g;
+
+const wordCount = (str) => (str.match(/\S+/g) || []).length;
+
+/** True when a short paragraph looks like "Chapter 12", "CHAPTER XII", "7." or "Prologue". */
+export const isChapterHeading = (para) => {
+  const line = para.trim();
+  if (!line || line.includes('\n') || wordCount(line) > MAX_HEADING_WORDS || line.length > 80) return false;
+  return HEADING_PATTERNS.some(re => re.test(line));
+};
+
+/** Paragraph ranges in `text`; falls back to single line breaks when there are no blank lines. */
+export const findParagraphs = (text) => {
+  const separator = /\n[ \t]*\n/.test(text) ? /\n[ \t]*\n\s*/g : /\n\s*/g;
+  const paras = [];
+  let start = 0;
+  const push = (end) => {
+    const raw = text.slice(start, end);
+    const lead = raw.length - raw.trimStart().length;
+    const body = raw.trim();
+    if (body) paras.push({ start: start + lead, end: start + lead + body.length });
+  };
+  for (const m of text.matchAll(separator)) {
+    push(m.index);
+    start = m.index + m[0].length;
+  }
+  push(text.length);
+  return paras;
+};
+
+/** Splits a paragraph into sentence units, chopping run-on "sentences" into word windows. */
+const sentenceUnits = (text, para, target) => {
+  const body = text.slice(para.start, para.end);
+  const units = [];
+  for (const m of body.matchAll(SENTENCE)) {
+    const start = para.start + m.index;
+    const end = start + m[0].trimEnd().length;
+    if (end <= start) continue;
+    const words = wordCount(m[0]);
+    if (words <= target * 1.5) {
+      units.push({ start, end, words });
+      continue;
+    }
+    const chunks = [...text.slice(start, end).matchAll(/\S+\s*/g)];
+    for (let i = 0; i < chunks.length; i += target) {
+      const first = chunks[i];
+      const last = chunks[Math.min(i + target, chunks.length) - 1];
+      units.push({ start: start + first.index, end: start + last.index + last[0].trimEnd().length, words: Math.min(target, chunks.length - i) });
+    }
+  }
+  return units.length ? units : [{ ...para, words: wordCount(body) }];
+};
+
+/**
+ * Lays out `text` into pages of roughly `wordsPerPage` words.
+ * `chapters` (`[{ title, offset }]` from the importers) are used when present;
+ * otherwise headings are detected from the text.
+ * Returns `{ pages, pageStarts, pageChapters, toc }` where `toc` is
+ * `[{ title, page, offset }]` and `pageChapters[i]` indexes into `toc` (or -1).
+ */
+export const layoutManuscript = (text, chapters = [], wordsPerPage = 275) => {
+  const source = String(text || '');
+  const known = new Map((chapters || []).map(c => [c.offset, c.title]));
+  const useKnown = known.size > 0;
+
+  // 1. Paragraphs tagged with chapter headings
+  const blocks = [];
+  findParagraphs(source).forEach(para => {
+    const body = source.slice(para.start, para.end);
+    if (useKnown) {
+      blocks.push({ ...para, heading: known.has(para.start) ? known.get(para.start) : null });
+    } else if (isChapterHeading(body)) {
+      blocks.push({ ...para, heading: body.trim() });
+    } else {
+      const inline = body.match(INLINE_HEADING);
+      if (inline && wordCount(body) > MAX_HEADING_WORDS) {
+        blocks.push({ start: para.start, end: para.start + inline[0].length, heading: inline[0].replace(/[.:]$/, '') });
+        const rest = body.slice(inline[0].length);
+        const lead = rest.length - rest.trimStart().length;
+        blocks.push({ start: para.start + inline[0].length + lead, end: para.end, heading: null });
+      } else {
+        blocks.push({ ...para, heading: null });
+      }
+    }
+  });
+
+  // 2. Greedy packing; overflow breaks at the last paragraph boundary if it is
+  // late enough on the page, otherwise at the sentence boundary.
+  const ranges = [];
+  const toc = [];
+  const pageChapters = [];
+  let page = null;
+  let chapterIdx = -1;
+
+  const closePage = (end) => {
+    if (!page) return;
+    ranges.push({ start: page.start, end: end ?? page.end });
+    pageChapters.push(page.chapter);
+    page = null;
+  };
+  const openPage = (unit) => {
+    page = { start: unit.start, end: unit.end, words: 0, chapter: chapterIdx, paraBreak: null };
+  };
+
+  blocks.forEach(block => {
+    if (block.heading) {
+      closePage();
+      chapterIdx = toc.length;
+      toc.push({ title: block.heading, page: ranges.length, offset: block.start });
+    }
+    sentenceUnits(source, block, wordsPerPage).forEach((unit, ui) => {
+      const isParaStart = ui === 0;
+      if (page && page.words > 0 && page.words + unit.words > wordsPerPage) {
+        const brk = page.paraBreak;
+        if (!isParaStart && brk && brk.words >= wordsPerPage * 0.75) {
+          const carried = page.words - brk.words;
+          closePage(brk.prevEnd);
+          page = { start: brk.start, end: unit.end, words: carried, chapter: chapterIdx, paraBreak: null };
+        } else {
+          closePage();
+        }
+      }
+      if (!page) openPage(unit);
+      if (isParaStart && page.words > 0) page.paraBreak = { start: unit.start, prevEnd: page.end, words: page.words };
+      page.end = unit.end;
+      page.words += unit.words;
+    });
+  });
+  closePage();
+
+  return {
+    pages: ranges.map(r => source.slice(r.start, r.end)),
+    pageStarts: ranges.map(r => r.start),
+    pageChapters,
+    toc,
+  };
+};
+
+/** Index of the page containing absolute `offset` (binary search over `pageStarts`). */
+export const pageOfOffset = (pageStarts, offset) => {
+  let lo = 0;
+  let hi = pageStarts.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (pageStarts[mid] <= offset) lo = mid;
+    else hi = mid - 1;
+  }
+  return Math.max(lo, 0);
+};
@@ -0,0 +1,109 @@
+/**
+ * --- LIBRARY ---
+ * Organizing the `sources` documents. Shelves live under `shelves/{id}`
+ * (`{ name, createdAt }`) and a source sits on at most one via `shelfId`.
+ * Sources also carry editable `title`, `author`, `series`, `seriesNumber`,
+ * `tags` and `cover` (a small JPEG data URL). Deleting first marks a source
+ * with `deletedAt`, so the Library can offer an undo before it is removed
+ * for good.
+ */
+import { doc, setDoc, updateDoc, deleteDoc } from 'firebase/firestore';
+import { userCollection, userDoc } from './firebase';
+import { queueWrite } from './sync';
+import { drawCover } from './importers/manuscript';
+
+// How long a bulk action can be undone; marked deletions older than this are purged
+export const UNDO_MS = 8000;
+
+export const LIBRARY_SORTS = [
+  { id: 'added', label: 'Date added' },
+  { id: 'opened', label: 'Last opened' },
+  { id: 'progress', label: 'Progress' },
+  { id: 'author', label: 'Author' },
+  { id: 'title', label: 'Title' },
+];
+
+export const shelvesCollection = (uid) => userCollection(uid, 'shelves');
+
+export const addShelf = async (uid, name) => {
+  const ref = doc(shelvesCollection(uid));
+  await queueWrite(setDoc(ref, { name, createdAt: Date.now() }));
+  return ref.id;
+};
+
+export const renameShelf = (uid, id, name) => queueWrite(updateDoc(userDoc(uid, 'shelves', id), { name }));
+
+export const deleteShelf = (uid, id) => queueWrite(deleteDoc(userDoc(uid, 'shelves', id)));
+
+/** Merges `changes` into every source in `ids`; `changes` may be a function of the id. */
+export const updateSources = (uid, ids, changes) => Promise.all(ids.map(id =>
+  queueWrite(setDoc(userDoc(uid, 'sources', id), typeof changes === 'function' ? changes(id) : changes, { merge: true }))));
+
+export const booksLabel = (n) => (n === 1 ? '1 book' : `${n} books`);
+
+/** The edited title, else the imported file's name. */
+export const sourceTitle = (s) => s?.title || s?.name || 'Untitled';
+
+/** "Ursula K. Le Guin · Earthsea #2" */
+export const sourceByline = (s) => [
+  s.author,
+  s.series && `${s.series}${s.seriesNumber != null ? ` #${s.seriesNumber}` : ''}`,
+].filter(Boolean).join(' · ');
+
+/** Comma-separated input as tags, trimmed and without case-insensitive duplicates. */
+export const parseTags = (input) => {
+  const seen = new Set();
+  return String(input || '').split(',').map(t => t.trim().replace(/\s+/g, ' ')).filter(t => {
+    const key = t.toLowerCase();
+    if (!t || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+export const allTags = (sources) =>
+  [...new Set(sources.flatMap(s => s.tags || []))].sort((a, b) => a.localeCompare(b));
+
+/**
+ * Sources on `shelf` (a shelf id, 'all' or 'none' for unshelved ones) that
+ * carry `tag`, if given, and whose title, author, series or file name
+ * contains `query`.
+ */
+export const filterSources = (sources, { shelf = 'all', tag = null, query = '' }, shelfIds = new Set()) => {
+  const q = query.trim().toLowerCase();
+  return sources.filter(s =>
+    (shelf === 'all' || (shelf === 'none' ? !shelfIds.has(s.shelfId) : s.shelfId === shelf))
+    && (!tag || (s.tags || []).includes(tag))
+    && (!q || [s.title, s.name, s.author, s.series].some(f => f && f.toLowerCase().includes(q))));
+};
+
+const compareText = (a, b) => (a || '').localeCompare(b || '', undefined, { sensitivity: 'base', numeric: true });
+
+// Within an author, a series reads in order
+const bySeries = (a, b) => compareText(a.series, b.series)
+  || (a.seriesNumber ?? Infinity) - (b.seriesNumber ?? Infinity)
+  || compareText(sourceTitle(a), sourceTitle(b));
+
+/** A sorted copy of `sources`; `progressOf(source)` gives the percent read. */
+export const sortSources = (sources, sort, progressOf) => {
+  const compare = {
+    added: (a, b) => (b.timestamp || 0) - (a.timestamp || 0),
+    opened: (a, b) => (b.lastOpenedAt || 0) - (a.lastOpenedAt || 0) || (b.timestamp || 0) - (a.timestamp || 0),
+    progress: (a, b) => progressOf(b) - progressOf(a),
+    // Books without an author go last
+    author: (a, b) => (a.author ? 0 : 1) - (b.author ? 0 : 1) || compareText(a.author, b.author) || bySeries(a, b),
+    title: (a, b) => compareText(sourceTitle(a), sourceTitle(b)),
+  }[sort];
+  return compare ? [...sources].sort(compare) : [...sources];
+};
+
+/** An uploaded image scaled down to a Library cover. */
+export const imageToCover = async (file) => {
+  const bitmap = await createImageBitmap(file);
+  try {
+    return await drawCover(bitmap.width, bitmap.height, (context, scale) =>
+      context.drawImage(bitmap, 0, 0, bitmap.width * scale, bitmap.height * scale));
+  } finally {
+    bitmap.close();
+  }
+};
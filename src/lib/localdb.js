@@ -0,0 +1,41 @@
+/**
+ * --- LOCAL TEXT STORE ---
+ * Manuscript text kept in IndexedDB: the open manuscript (which used to
+ * overflow `localStorage`) and every Library book opened or imported on this
+ * device, so they can be read offline.
+ */
+
+const DB_NAME = 'nq_offline';
+const STORE = 'texts';
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(STORE);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+};
+
+const run = async (mode, action) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const req = action(db.transaction(STORE, mode).objectStore(STORE));
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+};
+
+export const readLocal = (key) => run('readonly', store => store.get(key));
+
+export const writeLocal = (key, value) => run('readwrite', store => store.put(value, key));
+
+export const deleteLocal = (key) => run('readwrite', store => store.delete(key));
+
+export const clearLocal = () => run('readwrite', store => store.clear());
@@ -0,0 +1,54 @@
+/**
+ * --- CONVERSATION MEMORY ---
+ * Replays recent chat turns under a token budget. Turns that no longer fit
+ * are folded into a running summary, kept with the thread as
+ * `{ summary, covered }` where `covered` counts the turns already summarized.
+ */
+
+export const HISTORY_TOKEN_BUDGET = 1500;
+// Keep at least this many recent turns verbatim even if they are long
+const MIN_RECENT_TURNS = 2;
+
+// Rough GPT-style estimate; good enough for budgeting
+export const estimateTokens = (str) => Math.ceil(String(str || '').length / 4);
+
+export const stripThink = (str) =>
+  String(str || '').replace(/<think>[\s\S]*?(<\/think>|$)/g, '').trim();
+
+/** Chat messages -> `{ role: 'user' | 'assistant', content }`, skipping local replies and empty bubbles. */
+export const toTurns = (messages) => messages
+  .filter(m => !m.isStreaming && !m.local && (m.role === 'user' || m.role === 'bot'))
+  .map(m => ({ role: m.role === 'user' ? 'user' : 'assistant', content: stripThink(m.content) }))
+  .filter(t => t.content);
+
+/**
+ * Splits turns into the recent ones that fit `budget` (after the summary) and
+ * the older ones still to be summarized.
+ * Returns `{ recent, pending, coveredAfter }`.
+ */
+export const planHistory = (turns, memory = {}, budget = HISTORY_TOKEN_BUDGET) => {
+  const covered = Math.min(memory.covered || 0, turns.length);
+  let remaining = budget - estimateTokens(memory.summary);
+  let start = turns.length;
+  while (start > covered) {
+    const cost = estimateTokens(turns[start - 1].content);
+    if (turns.length - start >= MIN_RECENT_TURNS && cost > remaining) break;
+    remaining -= cost;
+    start -= 1;
+  }
+  return {
+    recent: turns.slice(start),
+    pending: turns.slice(covered, start),
+    coveredAfter: start,
+  };
+};
+
+export const SUMMARY_SYSTEM_PROMPT =
+  "You condense reading-group conversations. Reply with a short factual summary (under 120 words) " +
+  "of what the reader asked and what was answered. No preamble.";
+
+export const summaryPrompt = (previousSummary, turns) => [
+  previousSummary ? `Earlier summary:\n${previousSummary}\n` : '',
+  'Conversation to fold in:',
+  ...turns.map(t => `${t.role === 'user' ? 'Reader' : 'Assistant'}: ${t.content}`),
+].filter(Boolean).join('\n');
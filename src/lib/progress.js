@@ -0,0 +1,69 @@
+/**
+ * --- READING PROGRESS ---
+ * Where the reader is in each book, kept per source on this device
+ * (`nq_positions`) and on the source document as `reading`, so any device can
+ * pick up where the most recent one left off. A position is
+ * `{ page, scroll, offset, percent, updatedAt, device }`: `scroll` is the
+ * fraction of the page scrolled past and `offset` the matching text offset,
+ * which survives repagination.
+ */
+import { setDoc } from 'firebase/firestore';
+import { userDoc } from './firebase';
+import { queueWrite } from './sync';
+
+const POSITIONS_KEY = 'nq_positions';
+const DEVICE_KEY = 'nq_device';
+
+/** Random id for this browser, used to tell "resumed from another device" apart. */
+export const deviceId = (() => {
+  let id = localStorage.getItem(DEVICE_KEY);
+  if (!id) {
+    id = Math.random().toString(36).slice(2, 10);
+    localStorage.setItem(DEVICE_KEY, id);
+  }
+  return id;
+})();
+
+export const loadPositions = () => {
+  try {
+    return JSON.parse(localStorage.getItem(POSITIONS_KEY) || '{}');
+  } catch {
+    return {};
+  }
+};
+
+export const savePositions = (positions) => localStorage.setItem(POSITIONS_KEY, JSON.stringify(positions));
+
+export const saveReadingPosition = (uid, sourceId, position) =>
+  queueWrite(setDoc(userDoc(uid, 'sources', sourceId), { reading: position }, { merge: true }));
+
+/** Whichever of the two positions was recorded last (either may be missing). */
+export const latestPosition = (a, b) => {
+  if (!a || !b) return a || b || null;
+  return (b.updatedAt || 0) > (a.updatedAt || 0) ? b : a;
+};
+
+/** Position of the page at the top of the reader, from its `[data-page-index]` articles. */
+export const measurePosition = (reader, pageStarts, pages) => {
+  const top = reader.getBoundingClientRect().top;
+  const articles = [...reader.querySelectorAll('[data-page-index]')];
+  let page = 0;
+  let scroll = 0;
+  for (const el of articles) {
+    const rect = el.getBoundingClientRect();
+    if (rect.bottom <= top) continue;
+    page = Number(el.getAttribute('data-page-index')) || 0;
+    scroll = rect.top < top ? Math.min((top - rect.top) / rect.height, 1) : 0;
+    break;
+  }
+  const length = pages[page]?.length || 0;
+  return {
+    page,
+    scroll: Math.round(scroll * 1000) / 1000,
+    offset: (pageStarts[page] ?? 0) + Math.round(scroll * length),
+    // Reaching the last page counts as finished
+    percent: page >= pages.length - 1 ? 100 : Math.round(((page + scroll) / pages.length) * 100),
+    updatedAt: Date.now(),
+    device: deviceId,
+  };
+};
@@ -0,0 +1,170 @@
+/**
+ * --- AI PROVIDERS ---
+ * Where completions come from. `proxy` is the app's own /api/chat endpoint
+ * (Groq, with the key kept server-side); `openai` talks directly to any
+ * OpenAI-compatible server, e.g. a local Ollama or LM Studio; `mock` answers
+ * offline with canned text for testing. The choice is stored on the device in
+ * `nq_ai_settings` as `{ provider, model, baseUrl, apiKey }`.
+ *
+ * A provider's `stream(body, { settings, signal, onToken })` sends one
+ * request and calls `onToken(text)` as the reply arrives. Failures reject with
+ * an Error whose `status` is the HTTP status when there was one.
+ */
+import { readSse } from './sse';
+
+const SETTINGS_KEY = 'nq_ai_settings';
+
+// Mirrors api/index.py, so a direct provider is prompted the way the proxy prompts Groq
+const CONTEXT_LIMITS = { strict: 5000, global: 12000 };
+const MAX_HISTORY_TURNS = 20;
+const MAX_TURN_CHARS = 4000;
+
+const MOCK_TOKEN_MS = 25;
+
+/** Error carrying the HTTP `status`, so callers can tell throttling from a bad request. */
+export const providerError = (message, status) => Object.assign(new Error(message), { status });
+
+const parseEvent = (data) => {
+  try {
+    return JSON.parse(data);
+  } catch {
+    return null;
+  }
+};
+
+const checkResponse = async (response) => {
+  if (response.ok) return;
+  const detail = (await response.text().catch(() => '')).slice(0, 120);
+  throw providerError(`Server connection failed (${response.status}). ${detail}`.trim(), response.status);
+};
+
+/** The chat messages for a request body, built as the proxy builds them. */
+export const buildMessages = ({ systemPrompt, prompt, context, mode, history, memorySummary }) => {
+  const limit = CONTEXT_LIMITS[mode] ?? CONTEXT_LIMITS.strict;
+  const scopeRule = mode === 'global'
+    ? "Passages are tagged [Page N]; mention the page numbers you relied on."
+    : "Only the current page is provided.";
+  const turns = (history || []).slice(-MAX_HISTORY_TURNS)
+    .map(t => ({ role: t?.role, content: String(t?.content || '').trim().slice(0, MAX_TURN_CHARS) }))
+    .filter(t => (t.role === 'user' || t.role === 'assistant') && t.content);
+  const question = prompt || 'Hello';
+  return [
+    { role: 'system', content: `${systemPrompt || "You are a helpful assistant."} RULE: Answer strictly based on manuscript. ${scopeRule} Use <think> tags.` },
+    ...(memorySummary ? [{ role: 'system', content: `Summary of the earlier conversation: ${String(memorySummary).slice(0, MAX_TURN_CHARS)}` }] : []),
+    ...turns,
+    { role: 'user', content: context ? `MANUSCRIPT:\n${context.slice(0, limit)}\n\nQUESTION: ${question}` : question },
+  ];
+};
+
+const baseUrlOf = (settings) => (settings.baseUrl || '').trim().replace(/\/+$/, '');
+
+const authHeaders = (settings) => (settings.apiKey ? { Authorization: `Bearer ${settings.apiKey.trim()}` } : {});
+
+// A canned reply in the shape real models give, including a reasoning block
+const mockReply = ({ systemPrompt = '', prompt = '', context = '' }) => {
+  if (/JSON/.test(systemPrompt)) return '<think>Offline mock; nothing was analysed.</think>{}';
+  return `<think>Offline mock provider: no model was called. The request carried ${context.length} characters of manuscript.</think>` +
+    `This is a mock reply to "${prompt.slice(0, 80)}${prompt.length > 80 ? '…' : ''}". ` +
+    'Switch the provider under AI model to get real answers.';
+};
+
+export const PROVIDERS = {
+  proxy: {
+    label: 'NovelQuest server',
+    // Keep in step with MODELS in api/index.py; the first is the default
+    models: [
+      { id: 'deepseek-r1-distill-llama-70b', label: 'DeepSeek R1 Distill 70B' },
+      { id: 'llama-3.3-70b-versatile', label: 'Llama 3.3 70B' },
+      { id: 'llama-3.1-8b-instant', label: 'Llama 3.1 8B (fast)' },
+      { id: 'qwen/qwen3-32b', label: 'Qwen3 32B' },
+    ],
+    stream: async (body, { settings, signal, onToken }) => {
+      const response = await fetch('/api/chat', {
+        method: 'POST',
+        signal,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...body, model: settings.model }),
+      });
+      await checkResponse(response);
+      await readSse(response, (data) => {
+        const event = parseEvent(data);
+        if (event?.error) throw providerError(event.error, event.status);
+        if (event?.token) onToken(event.token);
+      });
+    },
+  },
+  openai: {
+    label: 'OpenAI-compatible',
+    models: [],
+    stream: async (body, { settings, signal, onToken }) => {
+      if (!baseUrlOf(settings) || !settings.model) throw providerError('Set a base URL and model for the OpenAI-compatible provider', 400);
+      const response = await fetch(`${baseUrlOf(settings)}/chat/completions`, {
+        method: 'POST',
+        signal,
+        headers: { 'Content-Type': 'application/json', ...authHeaders(settings) },
+        body: JSON.stringify({ model: settings.model, messages: buildMessages(body), temperature: 0.6, stream: true }),
+      });
+      await checkResponse(response);
+      // Some servers stream a reasoning model's thinking apart from its answer
+      let thinking = false;
+      await readSse(response, (data) => {
+        const event = parseEvent(data);
+        if (event?.error) throw providerError(event.error.message || String(event.error), Number(event.error.code) || undefined);
+        const delta = event?.choices?.[0]?.delta || {};
+        const reasoning = delta.reasoning_content || delta.reasoning;
+        if (reasoning) {
+          if (!thinking) onToken('<think>');
+          thinking = true;
+          onToken(reasoning);
+        }
+        if (delta.content) {
+          if (thinking) onToken('</think>');
+          thinking = false;
+          onToken(delta.content);
+        }
+      });
+    },
+    /** Model ids the server offers, from its `/models` listing. */
+    listModels: async (settings) => {
+      const response = await fetch(`${baseUrlOf(settings)}/models`, { headers: authHeaders(settings) });
+      await checkResponse(response);
+      const listing = await response.json();
+      return (listing.data || []).map(m => ({ id: m.id, label: m.id }));
+    },
+  },
+  mock: {
+    label: 'Offline mock',
+    models: [{ id: 'mock', label: 'Canned replies' }],
+    stream: async (body, { signal, onToken }) => {
+      for (const token of mockReply(body).match(/\s*\S+/g) || []) {
+        await new Promise(resolve => setTimeout(resolve, MOCK_TOKEN_MS));
+        if (signal?.aborted) throw new DOMException('Request cancelled', 'AbortError');
+        onToken(token);
+      }
+    },
+  },
+};
+
+export const DEFAULT_AI_SETTINGS = {
+  provider: 'proxy',
+  model: PROVIDERS.proxy.models[0].id,
+  baseUrl: 'http://localhost:11434/v1',
+  apiKey: '',
+};
+
+export const loadAiSettings = () => {
+  try {
+    const saved = { ...DEFAULT_AI_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}') };
+    return PROVIDERS[saved.provider] ? saved : { ...DEFAULT_AI_SETTINGS };
+  } catch {
+    return { ...DEFAULT_AI_SETTINGS };
+  }
+};
+
+export const saveAiSettings = (settings) => localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+
+export const providerFor = (settings) => PROVIDERS[settings.provider] || PROVIDERS.proxy;
+
+/** "Llama 3.3 70B", or the raw id for models a server listed itself. */
+export const modelLabel = (settings) =>
+  providerFor(settings).models.find(m => m.id === settings.model)?.label || settings.model || providerFor(settings).label;
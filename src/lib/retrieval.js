@@ -0,0 +1,123 @@
+/**
+ * --- RETRIEVAL ENGINE ---
+ * Lexical (BM25) search over the loaded manuscript so chat questions can
+ * reach passages outside the page that is currently on screen.
+ */
+
+const CHUNK_WORDS = 80;
+const CHUNK_OVERLAP = 20;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'been', 'but', 'by', 'did', 'do', 'does',
+  'for', 'from', 'had', 'has', 'have', 'he', 'her', 'him', 'his', 'how', 'i', 'if', 'in',
+  'into', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'she', 'so', 'that', 'the',
+  'their', 'them', 'then', 'there', 'they', 'this', 'to', 'was', 'we', 'were', 'what',
+  'when', 'where', 'which', 'who', 'why', 'will', 'with', 'would', 'you', 'your',
+]);
+
+const stem = (word) => {
+  if (word.length > 4 && word.endsWith("'s")) return word.slice(0, -2);
+  if (word.length > 5 && word.endsWith('ies')) return word.slice(0, -3) + 'y';
+  if (word.length > 4 && word.endsWith('es')) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+};
+
+/** Lowercases, splits on non-letters and drops stopwords. */
+export const tokenize = (str) =>
+  String(str || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}']+/u)
+    .map(w => w.replace(/^'+|'+$/g, ''))
+    .filter(w => w.length > 1 && !STOPWORDS.has(w))
+    .map(stem);
+
+/** Splits every page into overlapping word windows tagged with their page index. */
+export const chunkPages = (pages) => {
+  const chunks = [];
+  pages.forEach((pageText, page) => {
+    const words = String(pageText || '').split(/\s+/).filter(Boolean);
+    const step = CHUNK_WORDS - CHUNK_OVERLAP;
+    for (let i = 0; i < words.length; i += step) {
+      chunks.push({ page, text: words.slice(i, i + CHUNK_WORDS).join(' ') });
+      if (i + CHUNK_WORDS >= words.length) break;
+    }
+  });
+  return chunks;
+};
+
+export const buildIndex = (pages) => {
+  const chunks = chunkPages(pages).map(c => {
+    const tokens = tokenize(c.text);
+    const tf = new Map();
+    tokens.forEach(t => tf.set(t, (tf.get(t) || 0) + 1));
+    return { ...c, tf, length: tokens.length };
+  });
+  const df = new Map();
+  chunks.forEach(c => c.tf.forEach((_, t) => df.set(t, (df.get(t) || 0) + 1)));
+  const totalLength = chunks.reduce((sum, c) => sum + c.length, 0);
+  return { chunks, df, avgdl: chunks.length ? totalLength / chunks.length : 0 };
+};
+
+/** Returns the top `k` chunks for `query`, best first. */
+export const search = (index, query, k = 6) => {
+  const terms = [...new Set(tokenize(query))];
+  if (!terms.length || !index.chunks.length) return [];
+  const N = index.chunks.length;
+  const idf = new Map(terms.map(t => {
+    const n = index.df.get(t) || 0;
+    return [t, Math.log(1 + (N - n + 0.5) / (n + 0.5))];
+  }));
+
+  const scored = [];
+  index.chunks.forEach(c => {
+    let score = 0;
+    terms.forEach(t => {
+      const f = c.tf.get(t);
+      if (!f) return;
+      const norm = BM25_K1 * (1 - BM25_B + BM25_B * (c.length / (index.avgdl || 1)));
+      score += idf.get(t) * ((f * (BM25_K1 + 1)) / (f + norm));
+    });
+    if (score > 0) scored.push({ page: c.page, text: c.text, score });
+  });
+  return scored.sort((a, b) => b.score - a.score).slice(0, k);
+};
+
+// One index per source; rebuilt only when that source's pages change.
+const indexCache = new Map();
+
+export const getSourceIndex = (sourceId, pages) => {
+  const key = sourceId || 'local';
+  const cached = indexCache.get(key);
+  if (cached && cached.pages === pages) return cached.index;
+  const index = buildIndex(pages);
+  indexCache.set(key, { pages, index });
+  return index;
+};
+
+/**
+ * Builds the `context` string sent to /api/chat: the current page first,
+ * followed (in global scope) by the best-ranked passages from elsewhere.
+ * Every block is tagged with its 1-based page number. `maxPage` (0-based,
+ * inclusive) keeps later pages out entirely, e.g. for the spoiler guard.
+ */
+export const buildContext = ({ pages, currentPage, query, scope, sourceId, maxPage = Infinity, budget = 12000 }) => {
+  const current = pages[currentPage] || '';
+  const blocks = [`[Page ${currentPage + 1} (current)]\n${current}`];
+  if (scope !== 'global' || !query) return blocks[0];
+
+  const hits = search(getSourceIndex(sourceId, pages), query, 40)
+    .filter(h => h.page !== currentPage && h.page <= maxPage)
+    .slice(0, 12);
+
+  let used = blocks[0].length;
+  for (const hit of hits) {
+    const block = `[Page ${hit.page + 1}]\n${hit.text}`;
+    if (used + block.length + 2 > budget) break;
+    blocks.push(block);
+    used += block.length + 2;
+  }
+  return blocks.join('\n\n');
+};
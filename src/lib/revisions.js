@@ -0,0 +1,166 @@
+/**
+ * --- REVISIONS ---
+ * Edit history under `sources/{id}/revisions/{revId}`. The source's chunks
+ * always hold the latest text; a revision is
+ * `{ createdAt, savedAt, device, length, wordsAdded, wordsRemoved, undo, undoChapters, restoredFrom? }`
+ * where `undo` (`{ start, end, text }`) turns that revision's text back into
+ * the text before it and `undoChapters` restores its importer chapters.
+ * Storing reverse splices keeps each revision as small as the region that
+ * changed.
+ *
+ * Each splice only works on the text the next revision left behind, so one
+ * missing or stale revision cuts off everything older. A splice too large for
+ * a document is stored as `undo: null`, and a revision that failed to save
+ * sets the source's `revisionGapAt` to its `createdAt`; `oldestRestorable`
+ * finds where the chain stops.
+ */
+import { doc, setDoc } from 'firebase/firestore';
+import { userCollection, userDoc } from './firebase';
+import { queueWrite } from './sync';
+import { CHUNK_CHARS } from './storage';
+
+export const revisionsCollection = (uid, sourceId) => userCollection(uid, 'sources', sourceId, 'revisions');
+
+export const newRevisionId = (uid, sourceId) => doc(revisionsCollection(uid, sourceId)).id;
+
+export const saveRevision = (uid, sourceId, id, revision) =>
+  queueWrite(setDoc(userDoc(uid, 'sources', sourceId, 'revisions', id), revision));
+
+export const markRevisionGap = (uid, sourceId, createdAt) =>
+  queueWrite(setDoc(userDoc(uid, 'sources', sourceId), { revisionGapAt: createdAt }, { merge: true }));
+
+/** The splice that turns `next` back into `prev`, found by trimming their common prefix and suffix. */
+export const undoSplice = (prev, next) => {
+  let start = 0;
+  const max = Math.min(prev.length, next.length);
+  while (start < max && prev[start] === next[start]) start++;
+  let suffix = 0;
+  while (suffix < max - start && prev[prev.length - 1 - suffix] === next[next.length - 1 - suffix]) suffix++;
+  return { start, end: next.length - suffix, text: prev.slice(start, prev.length - suffix) };
+};
+
+export const applySplice = (text, { start, end, text: insert }) => text.slice(0, start) + insert + text.slice(end);
+
+const countWords = (s) => (s.match(/\S+/g) || []).length;
+
+/** Revision fields for a save that turned `base` into `next` (both `{ text, chapters }`). */
+export const revisionEntry = (base, next, fields) => {
+  const undo = undoSplice(base.text, next.text);
+  return {
+    ...fields,
+    length: next.text.length,
+    wordsAdded: countWords(next.text.slice(undo.start, undo.end)),
+    wordsRemoved: countWords(undo.text),
+    // Kept to a chunk's size so the document stays under Firestore's 1 MiB
+    undo: undo.text.length > CHUNK_CHARS ? null : undo,
+    undoChapters: base.chapters || [],
+  };
+};
+
+/**
+ * The oldest index in `revisions` (oldest first) whose text can still be
+ * rebuilt from the latest, or -1 when the chain reaches the original. The
+ * revision at that index can be restored, but not the changes it made.
+ * Besides missing splices and `gapAt`, a revision whose length doesn't match
+ * what the newer ones imply shows a save that never arrived.
+ */
+export const oldestRestorable = (revisions, gapAt = 0) => {
+  let length = revisions.at(-1)?.length;
+  for (let k = revisions.length - 1; k >= 0; k--) {
+    const { undo, createdAt } = revisions[k];
+    if (!undo || revisions[k].length !== length || createdAt <= gapAt) return k;
+    length += undo.text.length - (undo.end - undo.start);
+  }
+  return -1;
+};
+
+/**
+ * Replaces `start`–`end` of `text` with `value`, moving importer chapter
+ * offsets to match. A chapter whose heading sat inside the edited span is
+ * kept only if its title is still there. Returns `{ text, chapters }`.
+ */
+export const applyEdit = (text, chapters, { start, end, value }) => {
+  const shift = value.length - (end - start);
+  const next = text.slice(0, start) + value + text.slice(end);
+  return {
+    text: next,
+    chapters: (chapters || []).flatMap(c => {
+      if (c.offset < start) return [c];
+      if (c.offset >= end) return [{ ...c, offset: c.offset + shift }];
+      const at = next.indexOf(c.title, start);
+      return at !== -1 && at < start + value.length ? [{ ...c, offset: at }] : [];
+    }),
+  };
+};
+
+/**
+ * `{ text, chapters }` as of revision `index` in `revisions` (oldest first),
+ * walking back from the latest `current`; index -1 is the original text.
+ */
+export const revisionState = (current, revisions, index) => {
+  let state = current;
+  for (let k = revisions.length - 1; k > index; k--) {
+    state = { text: applySplice(state.text, revisions[k].undo), chapters: revisions[k].undoChapters || [] };
+  }
+  return state;
+};
+
+// Word-level diffs fall back to one removed and one added block beyond this many token pairs
+const MAX_DIFF_CELLS = 2_000_000;
+
+/** Word-level diff of `a` → `b` as `[{ type: 'same' | 'del' | 'add', text }]`. */
+export const diffWords = (a, b) => {
+  const x = a.match(/\s+|[^\s]+/g) || [];
+  const y = b.match(/\s+|[^\s]+/g) || [];
+  let head = 0;
+  while (head < x.length && head < y.length && x[head] === y[head]) head++;
+  let tail = 0;
+  while (tail < x.length - head && tail < y.length - head && x[x.length - 1 - tail] === y[y.length - 1 - tail]) tail++;
+  const xs = x.slice(head, x.length - tail);
+  const ys = y.slice(head, y.length - tail);
+  const out = [];
+  const push = (type, token) => {
+    if (out.length && out[out.length - 1].type === type) out[out.length - 1].text += token;
+    else out.push({ type, text: token });
+  };
+  x.slice(0, head).forEach(t => push('same', t));
+  if ((xs.length + 1) * (ys.length + 1) > MAX_DIFF_CELLS) {
+    xs.forEach(t => push('del', t));
+    ys.forEach(t => push('add', t));
+  } else {
+    // Longest common subsequence table, filled from the end
+    const w = ys.length + 1;
+    const lcs = new Uint32Array((xs.length + 1) * w);
+    for (let i = xs.length - 1; i >= 0; i--) {
+      for (let j = ys.length - 1; j >= 0; j--) {
+        lcs[i * w + j] = xs[i] === ys[j] ? lcs[(i + 1) * w + j + 1] + 1 : Math.max(lcs[(i + 1) * w + j], lcs[i * w + j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < xs.length || j < ys.length) {
+      if (i < xs.length && j < ys.length && xs[i] === ys[j]) {
+        push('same', xs[i++]);
+        j++;
+      } else if (i < xs.length && (j === ys.length || lcs[(i + 1) * w + j] >= lcs[i * w + j + 1])) {
+        push('del', xs[i++]);
+      } else {
+        push('add', ys[j++]);
+      }
+    }
+  }
+  x.slice(x.length - tail).forEach(t => push('same', t));
+  return out;
+};
+
+/**
+ * Shortens the unchanged stretches of a diff to `context` characters either
+ * side of a change, so a one-word edit in a whole book stays readable.
+ */
+export const diffExcerpt = (parts, context = 160) => parts.map((part, i) => {
+  if (part.type !== 'same' || part.text.length <= context * 2 + 20) return part;
+  const pieces = [];
+  if (i > 0) pieces.push(`${part.text.slice(0, context)} …`);
+  if (i < parts.length - 1) pieces.push(`… ${part.text.slice(-context)}`);
+  return { ...part, text: pieces.join('\n\n') || '…' };
+});
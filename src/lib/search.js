@@ -0,0 +1,60 @@
+/**
+ * --- SEARCH ---
+ * Find-in-book and library-wide search, run in a Web Worker so long books
+ * never block typing or scrolling. Each text is posted to the worker once
+ * and only re-sent when it changes.
+ */
+
+let worker = null;
+let nextRequestId = 0;
+const pending = new Map(); // request id -> { resolve, reject }
+const sentTexts = new Map(); // sourceId -> { text, chapterKey } last posted to the worker
+
+const getWorker = () => {
+  if (worker) return worker;
+  worker = new Worker(new URL('./search.worker.js', import.meta.url), { type: 'module' });
+  worker.onmessage = ({ data }) => {
+    pending.get(data.id)?.resolve(data);
+    pending.delete(data.id);
+  };
+  worker.onerror = (event) => {
+    pending.forEach(p => p.reject(new Error(event.message || 'Search worker failed')));
+    pending.clear();
+    // The worker lost its texts; start fresh on the next request
+    worker.terminate();
+    worker = null;
+    sentTexts.clear();
+  };
+  return worker;
+};
+
+const request = (message) => new Promise((resolve, reject) => {
+  const id = ++nextRequestId;
+  pending.set(id, { resolve, reject });
+  getWorker().postMessage({ ...message, id });
+});
+
+// `source` is `{ sourceId, text, chapters }`; chapters only affect page numbers
+const syncText = ({ sourceId, text, chapters = [] }) => {
+  const chapterKey = JSON.stringify(chapters);
+  const sent = sentTexts.get(sourceId);
+  if (sent?.text === text && sent.chapterKey === chapterKey) return;
+  getWorker().postMessage({ type: 'load', sourceId, text, chapters });
+  sentTexts.set(sourceId, { text, chapterKey });
+};
+
+/** Resolves with every `{ start, end }` match of `query` in `source.text` (see find.js). */
+export const findInText = async (source, query, options) => {
+  syncText(source);
+  return (await request({ type: 'find', sourceId: source.sourceId, query, options })).matches;
+};
+
+/**
+ * Searches `[{ sourceId, text, chapters }]` for `query`; resolves with
+ * `[{ sourceId, count, hits }]` for the sources where every term occurs.
+ * Each hit carries a snippet and its `page`; pass `options.wordsPerPage`.
+ */
+export const searchTexts = async (texts, query, options) => {
+  texts.forEach(syncText);
+  return (await request({ type: 'search', sourceIds: texts.map(t => t.sourceId), query, options })).results;
+};
@@ -0,0 +1,42 @@
+/**
+ * --- SEARCH WORKER ---
+ * Keeps a copy of every text it has been sent and answers `find` (one book)
+ * and `search` (many books) requests off the UI thread. Library hits are given
+ * the page they fall on, using the same layout as the reader.
+ */
+import { findPhrase, searchText } from './find';
+import { layoutManuscript, pageOfOffset } from './layout';
+
+const texts = new Map(); // sourceId -> { text, chapters }
+const pageStarts = new Map(); // sourceId -> page start offsets, built on first hit
+
+const pageStartsOf = (sourceId, wordsPerPage) => {
+  if (!pageStarts.has(sourceId)) {
+    const { text, chapters } = texts.get(sourceId);
+    pageStarts.set(sourceId, layoutManuscript(text, chapters, wordsPerPage).pageStarts);
+  }
+  return pageStarts.get(sourceId);
+};
+
+const searchSource = (sourceId, query, options) => {
+  const result = searchText(texts.get(sourceId)?.text || '', query, options);
+  if (!result) return null;
+  const starts = pageStartsOf(sourceId, options.wordsPerPage);
+  return { sourceId, count: result.count, hits: result.hits.map(h => ({ ...h, page: pageOfOffset(starts, h.start) })) };
+};
+
+self.onmessage = ({ data }) => {
+  if (data.type === 'load') {
+    texts.set(data.sourceId, { text: data.text, chapters: data.chapters || [] });
+    pageStarts.delete(data.sourceId);
+    return;
+  }
+  if (data.type === 'find') {
+    self.postMessage({ id: data.id, matches: findPhrase(texts.get(data.sourceId)?.text || '', data.query, data.options) });
+    return;
+  }
+  if (data.type === 'search') {
+    const results = data.sourceIds.map(sourceId => searchSource(sourceId, data.query, data.options || {})).filter(Boolean);
+    self.postMessage({ id: data.id, results });
+  }
+};
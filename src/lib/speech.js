@@ -0,0 +1,110 @@
+/**
+ * --- READ ALOUD ---
+ * Web Speech API playback. Text is spoken a sentence or so at a time (some
+ * browsers cut long utterances off), and word boundaries are reported as
+ * offsets into the full text so the reader can highlight them.
+ */
+
+const MAX_CHUNK_CHARS = 240;
+
+export const isSpeechSupported = () => typeof window !== 'undefined' && 'speechSynthesis' in window;
+
+/** Resolves with the installed voices; some browsers only list them after `voiceschanged`. */
+export const loadVoices = () => new Promise(resolve => {
+  if (!isSpeechSupported()) return resolve([]);
+  const voices = speechSynthesis.getVoices();
+  if (voices.length) return resolve(voices);
+  const done = () => {
+    speechSynthesis.removeEventListener('voiceschanged', done);
+    resolve(speechSynthesis.getVoices());
+  };
+  speechSynthesis.addEventListener('voiceschanged', done);
+  setTimeout(done, 3000);
+});
+
+/**
+ * The chosen voice when it suits `lang` (a code from LANGUAGES, e.g. 'hi'),
+ * otherwise the first voice for that language; null means the browser default.
+ */
+export const voiceFor = (voices, { voiceURI, lang } = {}) => {
+  const chosen = voices.find(v => v.voiceURI === voiceURI);
+  const matches = (v) => !lang || v.lang.toLowerCase().replace('_', '-').startsWith(lang.toLowerCase());
+  if (chosen && matches(chosen)) return chosen;
+  if (!lang) return null;
+  const candidates = voices.filter(matches);
+  return candidates.find(v => v.localService) || candidates[0] || null;
+};
+
+/** Splits `text` into `{ start, end }` chunks at sentence ends, keeping each under MAX_CHUNK_CHARS where possible. */
+export const splitSpeech = (text) => {
+  const chunks = [];
+  const sentences = text.matchAll(/[^.!?…\n]+(?:[.!?…]+["'”’)\]]*|\n+|$)\s*/g);
+  for (const m of sentences) {
+    if (!m[0].trim()) continue;
+    let start = m.index;
+    const end = m.index + m[0].length;
+    // Overlong sentences break at the last comma or space that fits
+    while (end - start > MAX_CHUNK_CHARS) {
+      const window = text.slice(start, start + MAX_CHUNK_CHARS);
+      const cut = Math.max(window.lastIndexOf(', '), window.lastIndexOf(' '));
+      const at = cut > 0 ? start + cut + 1 : start + MAX_CHUNK_CHARS;
+      chunks.push({ start, end: at });
+      start = at;
+    }
+    const last = chunks[chunks.length - 1];
+    if (last && last.end === start && end - last.start <= MAX_CHUNK_CHARS / 2) last.end = end;
+    else chunks.push({ start, end });
+  }
+  return chunks;
+};
+
+/**
+ * Speaks `text` from the chunk containing offset `from`. Callbacks:
+ * `onWord(start, end)` per spoken word, `onChunk(start)` as each chunk begins,
+ * `onDone()` after the last one, `onError(code)`. Returns `{ cancel, pause, resume }`.
+ */
+export const speak = (text, { from = 0, voice = null, lang, rate = 1, onWord, onChunk, onDone, onError } = {}) => {
+  const chunks = splitSpeech(text);
+  let index = chunks.findIndex(c => c.end > from);
+  if (index === -1) index = chunks.length;
+  let cancelled = false;
+
+  const next = () => {
+    if (cancelled) return;
+    if (index >= chunks.length) return onDone?.();
+    const chunk = chunks[index];
+    const utterance = new SpeechSynthesisUtterance(text.slice(chunk.start, chunk.end));
+    if (voice) utterance.voice = voice;
+    utterance.lang = voice?.lang || lang || '';
+    utterance.rate = rate;
+    utterance.onboundary = (e) => {
+      if (e.name && e.name !== 'word') return;
+      const start = chunk.start + e.charIndex;
+      // Not every browser reports charLength
+      const length = e.charLength || (text.slice(start).match(/^[^\s]+/)?.[0].length ?? 0);
+      onWord?.(start, start + length);
+    };
+    utterance.onend = () => {
+      index += 1;
+      next();
+    };
+    utterance.onerror = (e) => {
+      if (cancelled || e.error === 'interrupted' || e.error === 'canceled') return;
+      cancelled = true;
+      onError?.(e.error);
+    };
+    onChunk?.(chunk.start);
+    speechSynthesis.speak(utterance);
+  };
+
+  speechSynthesis.cancel();
+  next();
+  return {
+    cancel: () => {
+      cancelled = true;
+      speechSynthesis.cancel();
+    },
+    pause: () => speechSynthesis.pause(),
+    resume: () => speechSynthesis.resume(),
+  };
+};
@@ -0,0 +1,32 @@
+/**
+ * --- SPOILER GUARD ---
+ * Tracks the furthest page reached per source so AI requests can be limited
+ * to text the reader has already seen. Only reading moves it forward: a page
+ * counts once the reader stays on it, and only when it follows closely on the
+ * furthest page, so jumping ahead (contents, search, citations) never does.
+ */
+
+const STORAGE_KEY = 'nq_furthest';
+export const READ_DWELL_MS = 5000;
+// Pages past the furthest that still count as reading on, for a fast scroll
+export const MAX_READ_STEP = 2;
+
+/** Whether staying on `page` moves the furthest page on from `furthest`. */
+export const readsOn = (furthest, page) => page > furthest && page - furthest <= MAX_READ_STEP;
+
+export const loadFurthestPages = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+  } catch {
+    return {};
+  }
+};
+
+export const saveFurthestPages = (map) => localStorage.setItem(STORAGE_KEY, JSON.stringify(map));
+
+/** System-prompt addition when the guard is on; `limit` is a 0-based page index. */
+export const spoilerRule = (limit) =>
+  `SPOILER GUARD: The reader has only read up to page ${limit + 1}. Never reveal, hint at or speculate about ` +
+  `anything that happens later in the book, even if you know the work.`;
+
+export const guardLabel = (limit) => `Spoiler guard: pages 1–${limit + 1} only`;
@@ -0,0 +1,62 @@
+/**
+ * --- SERVER-SENT EVENTS ---
+ * A fetch-body reader for `text/event-stream` replies. Network chunks don't
+ * line up with events (one may end mid-line or mid-character), so lines are
+ * buffered until complete and an event is only dispatched at its blank line.
+ */
+
+/**
+ * Calls `onData(data)` with the data of every event in `response`'s body,
+ * multi-line data joined by newlines. Comments (`: keep-alive`) and other
+ * fields are ignored, and the OpenAI-style `[DONE]` sentinel ends the stream.
+ * If `onData` throws, the body is cancelled and the error is rethrown.
+ */
+export const readSse = async (response, onData) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let data = [];
+  let finished = false;
+
+  const dispatch = () => {
+    if (!data.length) return;
+    const payload = data.join('\n');
+    data = [];
+    if (payload === '[DONE]') finished = true;
+    else onData(payload);
+  };
+
+  const feedLine = (line) => {
+    if (line === '') return dispatch();
+    if (line.startsWith(':')) return;
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+    if (field === 'data') data.push(value);
+  };
+
+  try {
+    while (!finished) {
+      const { done, value } = await reader.read();
+      buffer += decoder.decode(value, { stream: !done });
+      // A trailing \r may be the first half of a \r\n split across chunks
+      const cut = !done && buffer.endsWith('\r') ? buffer.length - 1 : buffer.length;
+      const lines = buffer.slice(0, cut).split(/\r\n|\r|\n/);
+      buffer = lines.pop() + buffer.slice(cut);
+      for (const line of lines) {
+        feedLine(line);
+        if (finished) break;
+      }
+      if (done) {
+        // Be lenient about a stream that ends without the final blank line
+        if (!finished && buffer) feedLine(buffer);
+        if (!finished) dispatch();
+        return;
+      }
+    }
+    reader.cancel().catch(() => {});
+  } catch (err) {
+    reader.cancel().catch(() => {});
+    throw err;
+  }
+};
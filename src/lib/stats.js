@@ -0,0 +1,160 @@
+/**
+ * --- READING STATS ---
+ * Reading sessions stored per user under `sessions/{id}`, built from the
+ * reader's page tracking. A session is
+ * `{ sourceId, sourceName, day, startedAt, activeAt, activeMs, pages, words, counted }`
+ * where `pages` maps page index -> ms spent there and `counted` lists the
+ * pages whose words were credited.
+ */
+import { doc, setDoc, query, where } from 'firebase/firestore';
+import { userCollection } from './firebase';
+import { queueWrite } from './sync';
+
+// No scrolling, typing or touching for this long means the reader stepped away
+export const IDLE_MS = 5 * 60 * 1000;
+// A pause longer than this starts a new session
+const SESSION_GAP_MS = 10 * 60 * 1000;
+// A page counts as read once it has been on screen for at least this fraction
+// of the time it takes at a brisk 800 words per minute
+const MAX_WPM = 800;
+// Used for estimates until there are a few minutes of history
+export const DEFAULT_WPM = 230;
+const MIN_SAMPLE_MS = 3 * 60 * 1000;
+const HISTORY_DAYS = 365;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Local calendar day as `YYYY-MM-DD`. */
+export const dayKey = (time) => new Date(time).toLocaleDateString('en-CA');
+
+export const sessionsCollection = (uid) => userCollection(uid, 'sessions');
+
+/** Sessions from the last year, which is all the stats view looks at. */
+export const recentSessionsQuery = (uid) =>
+  query(sessionsCollection(uid), where('startedAt', '>=', Date.now() - HISTORY_DAYS * DAY_MS));
+
+// Stored fields; `page` and `lastAt` only matter while a session is live
+const SESSION_FIELDS = ['sourceId', 'sourceName', 'day', 'startedAt', 'activeAt', 'activeMs', 'pages', 'words', 'counted'];
+
+export const saveSession = (uid, session) =>
+  queueWrite(setDoc(doc(sessionsCollection(uid), session.id), Object.fromEntries(SESSION_FIELDS.map(f => [f, session[f]]))));
+
+const newSession = (sessionsRef, { sourceId, sourceName, page, now }) => ({
+  id: doc(sessionsRef).id, sourceId, sourceName, page,
+  day: dayKey(now), startedAt: now, activeAt: now, lastAt: now, activeMs: 0, pages: {}, words: 0, counted: [],
+});
+
+/**
+ * Credits the time since the last update to the page the reader was on, up to
+ * `lastActivity + IDLE_MS`, then moves to `page`. Returns
+ * `{ session, ended }`: `ended` is the previous session when this update
+ * started a new one (different book or a long pause), else null.
+ */
+export const advanceSession = (session, { uid, sourceId, sourceName, page, pageWords, now, lastActivity }) => {
+  if (!session || session.sourceId !== sourceId || now - session.activeAt > SESSION_GAP_MS) {
+    return { session: newSession(sessionsCollection(uid), { sourceId, sourceName, page, now }), ended: session || null };
+  }
+  const credit = Math.max(Math.min(now, lastActivity + IDLE_MS) - session.lastAt, 0);
+  const prev = session.page;
+  const pages = { ...session.pages, [prev]: (session.pages[prev] || 0) + credit };
+  const words = pageWords[prev] || 0;
+  const isRead = !session.counted.includes(prev) && pages[prev] >= (words / MAX_WPM) * 60000;
+  return {
+    session: {
+      ...session, page, pages, lastAt: now,
+      activeAt: credit > 0 ? now : session.activeAt,
+      activeMs: session.activeMs + credit,
+      words: session.words + (isRead ? words : 0),
+      counted: isRead ? [...session.counted, prev] : session.counted,
+    },
+    ended: null,
+  };
+};
+
+/** Starts the clock again after the tab was hidden, without crediting the hidden time. */
+export const resumeSession = (session, now) =>
+  session && now - session.activeAt <= SESSION_GAP_MS ? { ...session, lastAt: now } : null;
+
+/** Words per minute over all sessions, or null while there is too little history. */
+export const readingSpeed = (sessions) => {
+  const timed = sessions.filter(s => s.words > 0);
+  const ms = timed.reduce((sum, s) => sum + s.activeMs, 0);
+  if (ms < MIN_SAMPLE_MS) return null;
+  return Math.round(timed.reduce((sum, s) => sum + s.words, 0) / (ms / 60000));
+};
+
+const streaks = (days) => {
+  let longest = 0;
+  let run = 0;
+  let prev = null;
+  [...days].sort().forEach(day => {
+    run = prev && Date.parse(day) - Date.parse(prev) === DAY_MS ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    prev = day;
+  });
+  // The current streak survives until a full day is missed
+  let current = 0;
+  const active = new Set(days);
+  let cursor = Date.now();
+  if (!active.has(dayKey(cursor))) cursor -= DAY_MS;
+  while (active.has(dayKey(cursor))) {
+    current += 1;
+    cursor -= DAY_MS;
+  }
+  return { current, longest };
+};
+
+/**
+ * Totals for the stats view: `{ todayMs, speed, streak, longestStreak, days }`
+ * where `days` covers the last `dayCount` days, oldest first, as
+ * `{ day, ms, words, sessions }`.
+ */
+export const summarizeStats = (sessions, dayCount = 14) => {
+  const byDay = new Map();
+  sessions.forEach(s => {
+    const entry = byDay.get(s.day) || { day: s.day, ms: 0, words: 0, sessions: 0 };
+    entry.ms += s.activeMs;
+    entry.words += s.words;
+    entry.sessions += 1;
+    byDay.set(s.day, entry);
+  });
+  const activeDays = [...byDay.values()].filter(d => d.ms > 0).map(d => d.day);
+  const { current, longest } = streaks(activeDays);
+  const days = Array.from({ length: dayCount }, (_, i) => {
+    const day = dayKey(Date.now() - (dayCount - 1 - i) * DAY_MS);
+    return byDay.get(day) || { day, ms: 0, words: 0, sessions: 0 };
+  });
+  return {
+    todayMs: byDay.get(dayKey(Date.now()))?.ms || 0,
+    speed: readingSpeed(sessions),
+    streak: current,
+    longestStreak: longest,
+    days,
+  };
+};
+
+/** One book's reading history by day, newest first: `{ day, ms, words, sessions, firstPage, lastPage }`. */
+export const bookTimeline = (sessions, sourceId) => {
+  const byDay = new Map();
+  sessions.filter(s => s.sourceId === sourceId).forEach(s => {
+    const pages = Object.keys(s.pages || {}).map(Number);
+    const entry = byDay.get(s.day) || { day: s.day, ms: 0, words: 0, sessions: 0, firstPage: Infinity, lastPage: -1 };
+    entry.ms += s.activeMs;
+    entry.words += s.words;
+    entry.sessions += 1;
+    if (pages.length) {
+      entry.firstPage = Math.min(entry.firstPage, ...pages);
+      entry.lastPage = Math.max(entry.lastPage, ...pages);
+    }
+    byDay.set(s.day, entry);
+  });
+  return [...byDay.values()].filter(d => d.ms > 0).sort((a, b) => b.day.localeCompare(a.day));
+};
+
+/** "1 h 5 min", "12 min" or "< 1 min". */
+export const formatDuration = (ms) => {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 1) return '< 1 min';
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+};
@@ -0,0 +1,128 @@
+/**
+ * --- SOURCE STORAGE ---
+ * A source document holds only metadata; its text is split across
+ * `sources/{id}/chunks/{n}` subdocuments so books stay under Firestore's
+ * 1 MiB per-document limit. Text is fetched only when a source is opened,
+ * and a copy is kept on the device (see localdb.js) for offline reading.
+ */
+import { doc, setDoc, getDocs, deleteDoc } from 'firebase/firestore';
+import { userCollection, userDoc } from './firebase';
+import { queueWrite } from './sync';
+import { readLocal, writeLocal, deleteLocal } from './localdb';
+
+// UTF-16 code units per chunk; worst case 3 bytes each in Firestore's UTF-8 encoding
+export const CHUNK_CHARS = 300000;
+
+const abortError = () => new DOMException('Import cancelled', 'AbortError');
+
+export const splitContent = (content) => {
+  const parts = [];
+  let start = 0;
+  while (start < content.length) {
+    let end = Math.min(start + CHUNK_CHARS, content.length);
+    // Never split a surrogate pair across chunks
+    if (end < content.length && /[\uD800-\uDBFF]/.test(content[end - 1])) end -= 1;
+    parts.push(content.slice(start, end));
+    start = end;
+  }
+  return parts.length ? parts : [''];
+};
+
+/**
+ * Writes chunks first and the metadata document last, so the Library's
+ * snapshot listener never sees a source whose text is incomplete.
+ * Offline, the writes are queued and sync later. Resolves with the new source id.
+ */
+export const saveSource = async (uid, meta, content, { onProgress, signal } = {}) => {
+  const ref = doc(userCollection(uid, 'sources'));
+  const parts = splitContent(content);
+  for (let i = 0; i < parts.length; i++) {
+    if (signal?.aborted) {
+      await deleteSourceChunks(uid, ref.id);
+      throw abortError();
+    }
+    onProgress?.({ done: i, total: parts.length });
+    await queueWrite(setDoc(doc(ref, 'chunks', String(i)), { index: i, content: parts[i] }));
+  }
+  const source = { ...meta, chunkCount: parts.length, length: content.length };
+  await cacheLocally({ id: ref.id, ...source }, content);
+  await queueWrite(setDoc(ref, source));
+  onProgress?.({ done: parts.length, total: parts.length });
+  return ref.id;
+};
+
+/**
+ * Replaces the text of an existing source after an edit: rewrites its chunks,
+ * then the metadata (plus any `changes`, e.g. moved chapters), then drops
+ * chunks the shorter text no longer needs. `editedAt` is bumped so devices
+ * holding a same-length copy still refetch.
+ */
+export const updateSourceText = async (uid, source, content, changes = {}) => {
+  const ref = userDoc(uid, 'sources', source.id);
+  const parts = splitContent(content);
+  for (let i = 0; i < parts.length; i++) {
+    await queueWrite(setDoc(doc(ref, 'chunks', String(i)), { index: i, content: parts[i] }));
+  }
+  const meta = { editedAt: Date.now(), ...changes, chunkCount: parts.length, length: content.length };
+  const key = versionKey({ ...source, ...meta });
+  contentCache.set(key, content);
+  await cacheLocally({ ...source, ...meta }, content);
+  await queueWrite(setDoc(ref, meta, { merge: true }));
+  for (let i = parts.length; i < (source.chunkCount || 0); i++) {
+    await queueWrite(deleteDoc(doc(ref, 'chunks', String(i))));
+  }
+  return meta;
+};
+
+// Reassembled text per source, so reopening a book in the same session is instant
+const contentCache = new Map();
+
+const versionKey = (source) =>
+  `${source.id}:${source.length}:${source.chunkCount}${source.editedAt ? `:${source.editedAt}` : ''}`;
+
+// A failed local write only costs offline access, never the save itself
+const cacheLocally = (source, content) =>
+  writeLocal(`source:${source.id}`, { version: versionKey(source), content })
+    .catch(err => console.error("Local text cache error:", err));
+
+/**
+ * Returns the full text of a Library entry, reading legacy single-document
+ * sources as-is. Tries memory, then this device, then Firestore.
+ */
+export const loadSourceContent = async (uid, source) => {
+  if (!source.chunkCount) return source.content || '';
+  const key = versionKey(source);
+  if (contentCache.has(key)) return contentCache.get(key);
+  const local = await readLocal(`source:${source.id}`).catch(() => null);
+  if (local?.version === key) {
+    contentCache.set(key, local.content);
+    return local.content;
+  }
+  const snap = await getDocs(userCollection(uid, 'sources', source.id, 'chunks'));
+  // Chunks past `chunkCount` are leftovers of an edit that shortened the text
+  const chunks = snap.docs.map(d => d.data()).filter(c => c.index < source.chunkCount).sort((a, b) => a.index - b.index);
+  if (chunks.length !== source.chunkCount) {
+    throw new Error(navigator.onLine ? 'Source is missing text chunks' : 'Source is not available offline');
+  }
+  const content = chunks.map(c => c.content).join('');
+  contentCache.set(key, content);
+  await cacheLocally(source, content);
+  return content;
+};
+
+const deleteSubcollection = async (uid, sourceId, name) => {
+  const snap = await getDocs(userCollection(uid, 'sources', sourceId, name));
+  await Promise.all(snap.docs.map(d => queueWrite(deleteDoc(d.ref))));
+};
+
+const deleteSourceChunks = (uid, sourceId) => deleteSubcollection(uid, sourceId, 'chunks');
+
+// Everything stored beneath a source document
+const SOURCE_SUBCOLLECTIONS = ['chunks', 'threads', 'annotations', 'codex', 'summaries', 'translations', 'revisions', 'weaver', 'continuity'];
+
+/** Firestore does not cascade deletes, so subcollections are removed explicitly. */
+export const deleteSource = async (uid, sourceId) => {
+  await Promise.all(SOURCE_SUBCOLLECTIONS.map(name => deleteSubcollection(uid, sourceId, name)));
+  await queueWrite(deleteDoc(userDoc(uid, 'sources', sourceId)));
+  await deleteLocal(`source:${sourceId}`).catch(err => console.error("Local text cache error:", err));
+};
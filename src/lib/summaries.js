@@ -0,0 +1,151 @@
+/**
+ * --- SUMMARIES ---
+ * Hierarchical summaries cached under `sources/{id}/summaries/{key}`: page
+ * summaries roll up into section (chapter) summaries, and those into a book
+ * synopsis or a "previously on" recap. Each entry keeps a hash of its input,
+ * so edited text or a new layout misses the cache and is regenerated.
+ */
+import { setDoc } from 'firebase/firestore';
+import { userCollection, userDoc } from './firebase';
+import { queueWrite } from './sync';
+import { parseJsonReply } from './ai';
+import { spoilerRule } from './spoilers';
+
+export const SUMMARY_BATCH_PAGES = 3;
+// Books without a table of contents are summarized in blocks of this many pages
+const FALLBACK_SECTION_PAGES = 10;
+
+export const summariesCollection = (uid, sourceId) => userCollection(uid, 'sources', sourceId, 'summaries');
+
+export const saveSummary = (uid, sourceId, key, entry) =>
+  queueWrite(setDoc(userDoc(uid, 'sources', sourceId, 'summaries', key), { ...entry, updatedAt: Date.now() }));
+
+/** FNV-1a hash of a string as 8 hex digits; only used to detect changed input. */
+export const hashText = (str) => {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16).padStart(8, '0');
+};
+
+/**
+ * Splits the book into `{ title, from, to }` page ranges (0-based, inclusive):
+ * one per chapter in `toc`, or fixed-size blocks when there is none.
+ */
+export const sectionRanges = (toc, pageCount) => {
+  if (!pageCount) return [];
+  const starts = [];
+  (toc || []).forEach(entry => {
+    if (entry.page < pageCount && !starts.some(s => s.page === entry.page)) starts.push(entry);
+  });
+  if (!starts.length) {
+    return Array.from({ length: Math.ceil(pageCount / FALLBACK_SECTION_PAGES) }, (_, i) => {
+      const from = i * FALLBACK_SECTION_PAGES;
+      const to = Math.min(from + FALLBACK_SECTION_PAGES, pageCount) - 1;
+      return { title: `Pages ${from + 1}–${to + 1}`, from, to };
+    });
+  }
+  starts.sort((a, b) => a.page - b.page);
+  if (starts[0].page > 0) starts.unshift({ title: 'Opening', page: 0 });
+  return starts.map((s, i) => ({ title: s.title, from: s.page, to: (starts[i + 1]?.page ?? pageCount) - 1 }));
+};
+
+export const sectionOfPage = (sections, page) => sections.find(s => page >= s.from && page <= s.to) || null;
+
+const SUMMARY_JSON_PROMPT = "You summarize books. Reply ONLY with JSON, no prose.";
+const SUMMARY_PROSE_PROMPT = "You summarize books. Reply with the summary only, no preamble.";
+
+const abortError = () => new DOMException('Summary cancelled', 'AbortError');
+
+const pageKey = (p) => `page-${p}`;
+const pageHash = (pages, p) => hashText(pages[p] || '');
+
+/**
+ * Returns `{ [page]: summary }` for `pageNumbers`, summarizing uncached pages
+ * a few at a time. `job` is `{ pages, cache, store, complete, onProgress, signal }`:
+ * `cache` maps keys to `{ hash, text }` and is updated in place; `store(key, entry)`
+ * persists an entry; `complete(request)` runs one AI request.
+ */
+export const summarizePages = async (job, pageNumbers) => {
+  const { pages, cache, store, complete, onProgress, signal } = job;
+  const missing = pageNumbers.filter(p => cache[pageKey(p)]?.hash !== pageHash(pages, p));
+  for (let i = 0; i < missing.length; i += SUMMARY_BATCH_PAGES) {
+    if (signal?.aborted) throw abortError();
+    const batch = missing.slice(i, i + SUMMARY_BATCH_PAGES);
+    onProgress?.(`Summarizing page ${batch[0] + 1}${batch.length > 1 ? `–${batch[batch.length - 1] + 1}` : ''} (${i + batch.length} of ${missing.length})`);
+    const parsed = parseJsonReply(await complete({
+      systemPrompt: SUMMARY_JSON_PROMPT,
+      mode: 'strict',
+      context: batch.map(p => `[Page ${p + 1}]\n${pages[p]}`).join('\n\n'),
+      prompt: 'Summarize what happens on each page in at most 50 words.\nFormat: {"pages":[{"page":N,"summary":""}]}',
+    }));
+    if (!parsed) throw new Error("Summary reply was not JSON");
+    const replies = parsed.pages || [];
+    await Promise.all(batch.map((p, k) => {
+      // Fall back to reply order when the model numbers pages differently
+      const reply = replies.find(r => Number(r?.page) === p + 1) || (replies.length === batch.length ? replies[k] : null);
+      const text = String(reply?.summary || '').trim();
+      if (!text) return null;
+      const entry = { hash: pageHash(pages, p), text };
+      cache[pageKey(p)] = entry;
+      return store(pageKey(p), entry);
+    }));
+  }
+  return Object.fromEntries(pageNumbers.map(p => [p, cache[pageKey(p)]?.text]).filter(([, t]) => t));
+};
+
+const rollUp = async (job, key, inputs, request) => {
+  const hash = hashText(`${request.prompt}\n${inputs.join('\n')}`);
+  if (job.cache[key]?.hash === hash) return job.cache[key].text;
+  if (job.signal?.aborted) throw abortError();
+  const text = (await job.complete({ mode: 'strict', context: '', ...request, prompt: `${request.prompt}\n\n${inputs.join('\n\n')}` })).trim();
+  if (!text) throw new Error("Summary reply was empty");
+  job.cache[key] = { hash, text };
+  await job.store(key, job.cache[key]);
+  return text;
+};
+
+const pageLines = (summaries) => Object.entries(summaries).map(([p, text]) => `[Page ${Number(p) + 1}] ${text}`);
+
+/** Summary of `section`, optionally cut off after page `limit`. */
+export const summarizeSection = async (job, section, limit = Infinity) => {
+  const to = Math.min(section.to, limit);
+  const pageNumbers = Array.from({ length: to - section.from + 1 }, (_, k) => section.from + k);
+  const summaries = await summarizePages(job, pageNumbers);
+  if (pageNumbers.length === 1) return summaries[section.from] || '';
+  job.onProgress?.(`Summarizing ${section.title}`);
+  return rollUp(job, `section-${section.from}`, pageLines(summaries), {
+    systemPrompt: SUMMARY_PROSE_PROMPT,
+    prompt: `Combine these page summaries of "${section.title}" into one summary of at most 150 words.`,
+  });
+};
+
+/**
+ * Book-level summary of pages 1..`limit + 1`. `kind` is 'book' (a synopsis) or
+ * 'recap' (a "previously on" for a returning reader). Finished sections
+ * contribute their section summary; the section in progress its page summaries.
+ */
+export const summarizeBook = async (job, sections, limit, kind = 'book') => {
+  const inputs = [];
+  for (const section of sections) {
+    if (section.from > limit) break;
+    if (section.to <= limit) {
+      inputs.push(`## ${section.title}\n${await summarizeSection(job, section)}`);
+    } else {
+      const pageNumbers = Array.from({ length: limit - section.from + 1 }, (_, k) => section.from + k);
+      inputs.push(`## ${section.title} (in progress)\n${pageLines(await summarizePages(job, pageNumbers)).join('\n')}`);
+    }
+  }
+  const partial = limit < job.pages.length - 1;
+  job.onProgress?.(kind === 'recap' ? 'Writing recap' : 'Writing synopsis');
+  return rollUp(job, kind, inputs, {
+    systemPrompt: [SUMMARY_PROSE_PROMPT, partial && spoilerRule(limit)].filter(Boolean).join(' '),
+    prompt: kind === 'recap'
+      ? `Write a "Previously on…" recap for a reader returning to this book after a break. They have read up to page ${limit + 1}. ` +
+        'In at most 180 words, remind them of the main characters and events, and end with exactly where they left off.'
+      : `Write a synopsis of ${partial ? `the story so far (up to page ${limit + 1})` : 'the whole book'} in at most 250 words, ` +
+        'using these section summaries.',
+  });
+};
@@ -0,0 +1,62 @@
+/**
+ * --- OFFLINE SYNC ---
+ * Firestore keeps documents and not-yet-sent writes in IndexedDB (see
+ * firebase.js) and replays the writes when the connection returns. A write's
+ * promise only settles once the server has it, so `queueWrite` lets callers
+ * carry on while offline and tracks what is still waiting to sync.
+ */
+import { waitForPendingWrites } from 'firebase/firestore';
+import { db } from './firebase';
+
+let outstanding = 0;
+let draining = false; // waiting on writes queued before this page load
+const listeners = new Set();
+
+const syncState = () => ({ online: navigator.onLine, pending: outstanding > 0 || draining });
+const emit = () => listeners.forEach(fn => fn(syncState()));
+
+/**
+ * Tracks a Firestore write. Online it resolves when the write lands; offline
+ * it resolves at once, since the write is already queued locally.
+ */
+export const queueWrite = (write) => {
+  outstanding += 1;
+  emit();
+  const landed = write.finally(() => {
+    outstanding -= 1;
+    emit();
+  });
+  if (navigator.onLine) return landed;
+  landed.catch(err => console.error("Queued write failed:", err));
+  return Promise.resolve();
+};
+
+/** Reports writes left over from an earlier session as pending until Firestore has replayed them. */
+export const syncPendingWrites = () => {
+  if (!navigator.onLine || draining) return;
+  draining = true;
+  emit();
+  waitForPendingWrites(db)
+    .catch(err => console.error("Sync error:", err))
+    .finally(() => {
+      draining = false;
+      emit();
+    });
+};
+
+/** Calls `onChange({ online, pending })` now and on every change; returns an unsubscribe function. */
+export const watchSync = (onChange) => {
+  const onConnectivity = () => {
+    syncPendingWrites();
+    emit();
+  };
+  listeners.add(onChange);
+  window.addEventListener('online', onConnectivity);
+  window.addEventListener('offline', onConnectivity);
+  onChange(syncState());
+  return () => {
+    listeners.delete(onChange);
+    window.removeEventListener('online', onConnectivity);
+    window.removeEventListener('offline', onConnectivity);
+  };
+};
@@ -0,0 +1,53 @@
+/**
+ * --- CHAT THREADS ---
+ * Conversations live under `sources/{sourceId}/threads/{threadId}` so each
+ * book keeps its own named threads. The source document remembers the last
+ * active thread in `lastThreadId`.
+ */
+import { doc, updateDoc, deleteDoc, setDoc } from 'firebase/firestore';
+import { userCollection, userDoc } from './firebase';
+import { queueWrite } from './sync';
+
+export const threadsCollection = (uid, sourceId) => userCollection(uid, 'sources', sourceId, 'threads');
+
+// Firestore rejects `undefined` fields and the streaming flag is UI-only state
+const serializeMessages = (messages) =>
+  JSON.parse(JSON.stringify(messages.map(({ isStreaming, ...m }) => m)));
+
+export const createThread = async (uid, sourceId, name, messages = []) => {
+  const now = Date.now();
+  const ref = doc(threadsCollection(uid, sourceId));
+  await queueWrite(setDoc(ref, { name, messages: serializeMessages(messages), createdAt: now, updatedAt: now }));
+  return ref.id;
+};
+
+export const saveThreadMessages = (uid, sourceId, threadId, messages) =>
+  queueWrite(updateDoc(userDoc(uid, 'sources', sourceId, 'threads', threadId), {
+    messages: serializeMessages(messages), updatedAt: Date.now()
+  }));
+
+export const renameThread = (uid, sourceId, threadId, name) =>
+  queueWrite(updateDoc(userDoc(uid, 'sources', sourceId, 'threads', threadId), { name, updatedAt: Date.now() }));
+
+export const deleteThread = (uid, sourceId, threadId) =>
+  queueWrite(deleteDoc(userDoc(uid, 'sources', sourceId, 'threads', threadId)));
+
+export const rememberThread = (uid, sourceId, threadId) =>
+  queueWrite(setDoc(userDoc(uid, 'sources', sourceId), { lastThreadId: threadId }, { merge: true }));
+
+/** Markdown transcript with citations resolved to page numbers. */
+export const threadToMarkdown = (thread, messages, docName) => {
+  const lines = [`# ${thread?.name || 'Chat'}`, '', `_${docName} · exported ${new Date().toLocaleString()}_`, ''];
+  messages.forEach(m => {
+    lines.push(`**${m.role === 'user' ? 'You' : 'AI'}:** ${m.content}`, '');
+    (m.citations || []).forEach((c, i) => {
+      lines.push(`> [${i + 1}] Page ${c.page + 1}: "${c.quote}"${c.valid ? '' : ' (unverified)'}`);
+    });
+    if (m.citations?.length) lines.push('');
+  });
+  return lines.join('\n');
+};
+
+/** Stores the rolling conversation summary (see ./memory.js) with the thread. */
+export const saveThreadMemory = (uid, sourceId, threadId, memory) =>
+  queueWrite(updateDoc(userDoc(uid, 'sources', sourceId, 'threads', threadId), { memory }));
@@ -0,0 +1,85 @@
+/**
+ * --- TRANSLATIONS ---
+ * Page translations cached under `sources/{id}/translations/{lang}-{page}` as
+ * `{ lang, page, hash, paragraphs }`, with one translated paragraph for each
+ * paragraph of the original page so the two line up side by side. `hash` is
+ * taken from the page text, so edits or a new layout trigger a fresh request.
+ */
+import { setDoc } from 'firebase/firestore';
+import { userCollection, userDoc } from './firebase';
+import { queueWrite } from './sync';
+import { parseJsonReply } from './ai';
+import { findParagraphs } from './layout';
+import { hashText } from './summaries';
+
+export const translationsCollection = (uid, sourceId) => userCollection(uid, 'sources', sourceId, 'translations');
+
+export const translationKey = (lang, page) => `${lang}-${page}`;
+
+export const saveTranslation = (uid, sourceId, key, entry) =>
+  queueWrite(setDoc(userDoc(uid, 'sources', sourceId, 'translations', key), { ...entry, updatedAt: Date.now() }));
+
+/** Paragraph texts of a page, in the same split the side-by-side view uses. */
+export const pageParagraphs = (pageText) => findParagraphs(pageText).map(p => pageText.slice(p.start, p.end));
+
+/** The cached translation of page `page`, or null when missing or out of date. */
+export const cachedTranslation = (cache, pages, lang, page) => {
+  const entry = cache[translationKey(lang, page)];
+  return entry && entry.hash === hashText(pages[page] || '') ? entry.paragraphs : null;
+};
+
+/** Pages with text that have no up-to-date translation into `lang`. */
+export const untranslatedPages = (cache, pages, lang) =>
+  pages.flatMap((text, page) => (pageParagraphs(text).length && !cachedTranslation(cache, pages, lang, page) ? [page] : []));
+
+const TRANSLATION_PROMPT = "You are a professional literary translator. Reply ONLY with JSON, no prose.";
+
+const abortError = () => new DOMException('Translation cancelled', 'AbortError');
+
+// Models sometimes merge or split paragraphs; keep the count so rows stay aligned
+const fitParagraphs = (replies, count) => {
+  const out = replies.slice(0, count);
+  if (replies.length > count) out[count - 1] = replies.slice(count - 1).join('\n\n');
+  while (out.length < count) out.push('');
+  return out;
+};
+
+/**
+ * Translates the uncached pages among `pageNumbers` into `language`
+ * (`{ code, name }` from LANGUAGES), one page per request. `job` is
+ * `{ pages, cache, store, complete, onProgress, signal }` as in summaries.js.
+ */
+export const translatePages = async (job, pageNumbers, language) => {
+  const { pages, cache, store, complete, onProgress, signal } = job;
+  const missing = pageNumbers.filter(p => !cachedTranslation(cache, pages, language.code, p));
+  for (let i = 0; i < missing.length; i++) {
+    if (signal?.aborted) throw abortError();
+    const page = missing[i];
+    const paragraphs = pageParagraphs(pages[page] || '');
+    if (!paragraphs.length) continue;
+    onProgress?.(`Translating page ${page + 1} into ${language.name} (${i + 1} of ${missing.length})`);
+    const parsed = parseJsonReply(await complete({
+      systemPrompt: TRANSLATION_PROMPT,
+      mode: 'strict',
+      context: paragraphs.map((text, k) => `[${k + 1}] ${text}`).join('\n\n'),
+      prompt: `Translate each numbered paragraph into ${language.name}, keeping names, tone and dialogue punctuation. ` +
+        `Return exactly ${paragraphs.length} paragraphs in the same order, without the numbers.\nFormat: {"paragraphs":[""]}`,
+    }));
+    const replies = Array.isArray(parsed?.paragraphs) ? parsed.paragraphs.map(r => String(r ?? '').trim()) : null;
+    if (!replies?.some(Boolean)) throw new Error("Translation reply was not JSON");
+    const entry = { lang: language.code, page, hash: hashText(pages[page]), paragraphs: fitParagraphs(replies, paragraphs.length) };
+    const key = translationKey(language.code, page);
+    cache[key] = entry;
+    await store(key, entry);
+  }
+};
+
+/** Markdown of the translated book, or of the pages translated so far. */
+export const translationToMarkdown = ({ name, language, pages, cache }) => {
+  const lines = [`# ${name} (${language.name})`, ''];
+  pages.forEach((_, page) => {
+    const paragraphs = cachedTranslation(cache, pages, language.code, page);
+    paragraphs?.filter(Boolean).forEach(p => lines.push(p, ''));
+  });
+  return lines.join('\n');
+};
@@ -0,0 +1,115 @@
+/**
+ * --- VOCABULARY ---
+ * In-context word lookups and the per-user review deck under `vocab/{id}`.
+ * A card is `{ term, lemma, partOfSpeech, definition, translation, lang,
+ * sentence, sourceId, sourceName, page, createdAt }` plus its SM-2 schedule
+ * `{ ease, interval, repetitions, due }` (`interval` in days).
+ */
+import { doc, setDoc, updateDoc, deleteDoc } from 'firebase/firestore';
+import { userCollection, userDoc } from './firebase';
+import { queueWrite } from './sync';
+import { parseJsonReply } from './ai';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// A lapsed card comes back later in the same sitting rather than tomorrow
+const RELEARN_MS = 10 * 60 * 1000;
+const MIN_EASE = 1.3;
+// Cards reviewed at this interval or longer count as learned
+export const LEARNED_DAYS = 21;
+
+/** Review buttons and the SM-2 quality (0–5) each one reports. */
+export const GRADES = [
+  { id: 'again', label: 'Again', quality: 1 },
+  { id: 'hard', label: 'Hard', quality: 3 },
+  { id: 'good', label: 'Good', quality: 4 },
+  { id: 'easy', label: 'Easy', quality: 5 },
+];
+
+export const vocabCollection = (uid) => userCollection(uid, 'vocab');
+
+export const addVocab = async (uid, card) => {
+  const ref = doc(vocabCollection(uid));
+  const now = Date.now();
+  await queueWrite(setDoc(ref, { ...card, ease: 2.5, interval: 0, repetitions: 0, due: now, createdAt: now }));
+  return ref.id;
+};
+
+export const updateVocab = (uid, id, changes) =>
+  queueWrite(updateDoc(userDoc(uid, 'vocab', id), { ...changes, updatedAt: Date.now() }));
+
+export const deleteVocab = (uid, id) => queueWrite(deleteDoc(userDoc(uid, 'vocab', id)));
+
+/** Same-language key used to tell whether a word is already in the deck. */
+export const vocabKey = (term) => term.trim().toLocaleLowerCase().replace(/\s+/g, ' ');
+
+const WORD_CHAR = /[\p{L}\p{M}\p{N}'’-]/u;
+
+/** `{ start, end }` of the word around `offset` in `text`, or null between words. */
+export const wordAt = (text, offset) => {
+  let start = offset;
+  let end = offset;
+  while (start > 0 && WORD_CHAR.test(text[start - 1])) start--;
+  while (end < text.length && WORD_CHAR.test(text[end])) end++;
+  // Trim quotes and dashes that merely touch the word
+  while (start < end && /['’-]/.test(text[start])) start++;
+  while (end > start && /['’-]/.test(text[end - 1])) end--;
+  return end > start ? { start, end } : null;
+};
+
+/** The sentence containing `start`–`end`, trimmed to its surroundings. */
+export const sentenceAround = (text, start, end) => {
+  const before = text.slice(0, start);
+  const from = Math.max(before.search(/[^.!?…\n]*$/), 0);
+  const after = text.slice(end).search(/[.!?…](?=["'”’)\]]*(\s|$))|\n/);
+  const to = after === -1 ? text.length : end + after + 1;
+  return text.slice(from, to).replace(/\s+/g, ' ').trim();
+};
+
+const LOOKUP_PROMPT = "You are a dictionary for language learners. Reply ONLY with JSON, no prose.";
+
+/**
+ * Explains `term` as used in `sentence`, sending both through `complete`.
+ * `language` (`{ code, name }` from LANGUAGES) is the reader's own language.
+ * Resolves to `{ lemma, partOfSpeech, definition, translation }`.
+ */
+export const defineTerm = async (complete, { term, sentence, language }) => {
+  const parsed = parseJsonReply(await complete({
+    systemPrompt: LOOKUP_PROMPT,
+    mode: 'strict',
+    context: sentence,
+    prompt: `Explain "${term}" as it is used in this sentence.\n` +
+      `"lemma" is its dictionary form, "definition" a one-line definition in the sentence's own language, ` +
+      `"translation" its meaning here in ${language.name}.\n` +
+      'Format: {"lemma":"","partOfSpeech":"","definition":"","translation":""}',
+  }));
+  if (!parsed?.definition && !parsed?.translation) throw new Error("Lookup reply was not JSON");
+  const field = (key) => String(parsed[key] || '').trim();
+  return { lemma: field('lemma') || term, partOfSpeech: field('partOfSpeech'), definition: field('definition'), translation: field('translation') };
+};
+
+/**
+ * SM-2 scheduling: the card's next `{ ease, interval, repetitions, due }`
+ * after a review of `quality` (0–5).
+ */
+export const reviewCard = (card, quality, now = Date.now()) => {
+  const ease = Math.max(MIN_EASE, (card.ease ?? 2.5) + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+  if (quality < 3) return { ease, interval: 0, repetitions: 0, due: now + RELEARN_MS };
+  const repetitions = (card.repetitions || 0) + 1;
+  const interval = repetitions === 1 ? 1 : repetitions === 2 ? 6 : Math.round((card.interval || 1) * ease);
+  return { ease, interval, repetitions, due: now + interval * DAY_MS };
+};
+
+/** Cards due by `now`, most overdue first. */
+export const dueCards = (cards, now = Date.now()) =>
+  cards.filter(c => (c.due ?? 0) <= now).sort((a, b) => (a.due ?? 0) - (b.due ?? 0));
+
+/** "10 min", "1 day", "3 weeks"… for a schedule's `due`. */
+export const formatDue = (due, now = Date.now()) => {
+  const ms = due - now;
+  if (ms <= 0) return 'now';
+  if (ms < DAY_MS) return `${Math.max(Math.round(ms / 60000), 1)} min`;
+  const days = Math.round(ms / DAY_MS);
+  if (days < 14) return days === 1 ? '1 day' : `${days} days`;
+  if (days < 60) return `${Math.round(days / 7)} weeks`;
+  return `${Math.round(days / 30)} months`;
+};
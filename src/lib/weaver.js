@@ -0,0 +1,104 @@
+/**
+ * --- PLOT WEAVER ---
+ * Branching "what happens next" drafts under `sources/{id}/weaver/{branchId}`.
+ * A branch is `{ parentId, page, title, premise, draft, createdAt, promotedAt? }`:
+ * root branches (`parentId: null`) continue the scene on `page`, and each
+ * sub-branch continues its parent's draft.
+ */
+import { doc, setDoc, updateDoc, deleteDoc } from 'firebase/firestore';
+import { userCollection, userDoc } from './firebase';
+import { queueWrite } from './sync';
+import { parseJsonReply } from './ai';
+
+const BRANCH_COUNT = 3;
+const DRAFT_WORDS = 500;
+// Context budget (the proxy keeps 5000 characters in strict mode)
+const SCENE_CHARS = 2600;
+const STORY_CHARS = 2000;
+
+const WEAVER_JSON_PROMPT = "You are a co-writer helping an author plot their story. Reply ONLY with JSON, no prose.";
+const WEAVER_PROSE_PROMPT = "You are a co-writer drafting fiction in the author's own style. Reply with the prose only, no preamble or notes.";
+
+export const weaverCollection = (uid, sourceId) => userCollection(uid, 'sources', sourceId, 'weaver');
+
+export const addBranches = (uid, sourceId, branches) => {
+  const now = Date.now();
+  return Promise.all(branches.map((b, i) => queueWrite(setDoc(doc(weaverCollection(uid, sourceId)), { ...b, createdAt: now + i }))));
+};
+
+export const updateBranch = (uid, sourceId, id, changes) =>
+  queueWrite(updateDoc(userDoc(uid, 'sources', sourceId, 'weaver', id), { ...changes, updatedAt: Date.now() }));
+
+export const deleteBranches = (uid, sourceId, ids) =>
+  Promise.all(ids.map(id => queueWrite(deleteDoc(userDoc(uid, 'sources', sourceId, 'weaver', id)))));
+
+/** Branches under `parentId` (null for the roots), oldest first. */
+export const childBranches = (branches, parentId) =>
+  branches.filter(b => (b.parentId ?? null) === parentId).sort((a, b) => a.createdAt - b.createdAt);
+
+/** `id` followed by every branch below it. */
+export const subtreeIds = (branches, id) => {
+  const ids = [id];
+  for (let k = 0; k < ids.length; k++) branches.forEach(b => b.parentId === ids[k] && ids.push(b.id));
+  return ids;
+};
+
+/** Branches from the root down to `id`. */
+export const branchPath = (branches, id) => {
+  const byId = new Map(branches.map(b => [b.id, b]));
+  const path = [];
+  for (let b = byId.get(id); b; b = byId.get(b.parentId)) path.unshift(b);
+  return path;
+};
+
+/**
+ * The drafted text from the root down to `id`, as it would read in the
+ * manuscript; branches above it that were already promoted are left out.
+ */
+export const promotionText = (branches, id) => branchPath(branches, id)
+  .filter(b => b.id === id || !b.promotedAt)
+  .map(b => (b.draft || '').trim()).filter(Boolean).join('\n\n');
+
+// The end of the scene on `page`, then whatever the branches above have added
+const weaverContext = (pages, page, path) => {
+  const scene = [pages[page - 1], pages[page]].filter(Boolean).join('\n\n').slice(-SCENE_CHARS);
+  const story = path.map(b => b.draft || b.premise).join('\n\n').slice(-STORY_CHARS);
+  return `[Scene, page ${page + 1}]\n${scene}${story ? `\n\n[Continuation so far]\n${story}` : ''}`;
+};
+
+/**
+ * Suggests directions for the story after the scene on `page`, or after the
+ * branches in `path` (root first). `steer` is the author's optional wish.
+ * Resolves to `[{ title, premise }]`.
+ */
+export const suggestBranches = async (complete, { pages, page, path = [], steer = '' }) => {
+  const parsed = parseJsonReply(await complete({
+    systemPrompt: WEAVER_JSON_PROMPT,
+    mode: 'strict',
+    context: weaverContext(pages, page, path),
+    prompt: `Suggest ${BRANCH_COUNT} distinct directions the story could take next, ` +
+      `${path.length ? 'picking up where the continuation so far ends' : 'picking up where the scene ends'}.` +
+      `${steer ? ` The author would like: ${steer}.` : ''} ` +
+      'Give each a short "title" and a two or three sentence "premise".\nFormat: {"branches":[{"title":"","premise":""}]}',
+  }));
+  const branches = (parsed?.branches || [])
+    .map(b => ({ title: String(b?.title || '').trim(), premise: String(b?.premise || '').trim() }))
+    .filter(b => b.title && b.premise);
+  if (!branches.length) throw new Error("Weaver reply was not JSON");
+  return branches.slice(0, BRANCH_COUNT);
+};
+
+/** Writes out the last branch in `path` as a continuation of the scene and the branches before it. */
+export const draftBranch = async (complete, { pages, page, path }) => {
+  const branch = path[path.length - 1];
+  const draft = (await complete({
+    systemPrompt: WEAVER_PROSE_PROMPT,
+    mode: 'strict',
+    context: weaverContext(pages, page, path.slice(0, -1)),
+    prompt: `Write the next ${DRAFT_WORDS} words or so of the story, following this direction.\n` +
+      `${branch.title}: ${branch.premise}\n` +
+      'Continue seamlessly from the end of the text above, matching its voice, tense and point of view.',
+  })).trim();
+  if (!draft) throw new Error("Weaver reply was empty");
+  return draft;
+};